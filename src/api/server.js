@@ -0,0 +1,140 @@
+/**
+ * Servidor HTTP do bot
+ * Expõe os endpoints de verificação de saúde usados pelo Docker, as métricas do Prometheus
+ * e a consulta ao log de auditoria (protegida por token)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config/config');
+const { createLogger } = require('../core/logger');
+const metrics = require('../core/metrics');
+const auditService = require('../services/audit-service');
+
+const logger = createLogger('server');
+
+/**
+ * Verifica o token Bearer da consulta ao log de auditoria
+ * @param {Object} req - Requisição
+ * @returns {boolean} - Se o token confere
+ */
+const hasAuditToken = (req) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+
+  if (!match) {
+    return false;
+  }
+
+  // Comparação em tempo constante, sobre os hashes para igualar os tamanhos
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(config.audit.apiToken));
+};
+
+/**
+ * Cria a aplicação express
+ * @param {Object} services - Serviços usados pelas rotas
+ * @param {Object} services.healthService - Serviço de verificação de saúde
+ * @returns {Object} - Aplicação express
+ */
+const createApp = ({ healthService }) => {
+  const app = express();
+
+  // Vivacidade: 503 indica que o processo deve ser reiniciado
+  app.get('/health', async (req, res) => {
+    try {
+      const report = await healthService.getHealth();
+      res.status(report.status === 'fail' ? 503 : 200).json(report);
+    } catch (error) {
+      logger.error(`Erro ao verificar saúde: ${error.message}`);
+      res.status(503).json({ status: 'fail', error: error.message });
+    }
+  });
+
+  // Prontidão: 503 indica que o bot ainda não consegue atender mensagens
+  app.get('/ready', async (req, res) => {
+    try {
+      const report = await healthService.getReadiness();
+      res.status(report.ready ? 200 : 503).json(report);
+    } catch (error) {
+      logger.error(`Erro ao verificar prontidão: ${error.message}`);
+      res.status(503).json({ ready: false, error: error.message });
+    }
+  });
+
+  // Métricas no formato de texto do Prometheus
+  app.get('/metrics', async (req, res) => {
+    try {
+      res.set('Content-Type', metrics.contentType);
+      res.send(await metrics.getMetrics());
+    } catch (error) {
+      logger.error(`Erro ao coletar métricas: ${error.message}`);
+      res.status(500).send(error.message);
+    }
+  });
+
+  // Log de auditoria: desativado sem AUDIT_API_TOKEN
+  app.get('/api/audit', async (req, res) => {
+    if (!config.audit.apiToken) {
+      res.status(404).json({ error: 'audit_api_disabled' });
+      return;
+    }
+
+    if (!hasAuditToken(req)) {
+      res.status(401).json({ error: 'unauthorized' });
+      return;
+    }
+
+    // Apenas valores simples, sem objetos vindos da query string
+    const param = name => (typeof req.query[name] === 'string' ? req.query[name] : undefined);
+
+    try {
+      const result = await auditService.queryAuditLog(
+        {
+          user: param('user') || param('userId'),
+          action: param('action'),
+          licensePlate: param('plate'),
+          from: param('from'),
+          to: param('to')
+        },
+        { page: param('page'), pageSize: param('pageSize') }
+      );
+
+      if (!result.success) {
+        res.status(400).json({ error: result.reason });
+        return;
+      }
+
+      const { success, ...body } = result;
+      res.json(body);
+    } catch (error) {
+      logger.error(`Erro ao consultar log de auditoria: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return app;
+};
+
+/**
+ * Inicia o servidor HTTP
+ * @param {Object} services - Serviços usados pelas rotas
+ * @returns {Promise<Object>} - Servidor HTTP
+ */
+const startServer = (services) => {
+  const app = createApp(services);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(config.server.port, config.server.host, () => {
+      logger.info(`Servidor HTTP ouvindo em ${config.server.host}:${config.server.port}`);
+      resolve(server);
+    });
+
+    server.on('error', reject);
+  });
+};
+
+module.exports = {
+  createApp,
+  startServer
+};
@@ -0,0 +1,19 @@
+/**
+ * Verificação dos catálogos de mensagens
+ * Confere se todas as chaves existem em todos os idiomas e se as variáveis de modelo
+ * ({{nome}}) são as mesmas do idioma padrão. Termina com código 1 se houver problemas.
+ *
+ * Uso: npm run check:locales
+ */
+
+const { SUPPORTED_LOCALES, checkCatalogs } = require('../core/i18n');
+
+const problems = checkCatalogs();
+
+if (problems.length > 0) {
+  console.error(`${problems.length} problema(s) nos catálogos de mensagens:`);
+  problems.forEach(problem => console.error(`• ${problem}`));
+  process.exit(1);
+}
+
+console.log(`Catálogos completos: ${SUPPORTED_LOCALES.join(', ')}`);
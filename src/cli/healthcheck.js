@@ -0,0 +1,48 @@
+/**
+ * Verificação de saúde para o Docker
+ * Consulta o endpoint /health do próprio contêiner e termina com código 0 (saudável) ou 1.
+ * Falhas isoladas são repetidas antes de declarar o bot doente, pois o docker-compose
+ * encerra o processo na primeira falha informada
+ *
+ * Uso: node src/cli/healthcheck.js
+ */
+
+const http = require('http');
+
+const port = process.env.PORT || 3000;
+const attempts = 3;
+const retryDelay = 5000;
+
+/**
+ * Consulta o endpoint /health
+ * @returns {Promise<boolean>} - true se o bot está saudável
+ */
+const check = () => new Promise((resolve) => {
+  const request = http.get({ host: '127.0.0.1', port, path: '/health', timeout: 5000 }, (response) => {
+    response.resume();
+    resolve(response.statusCode === 200);
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Tempo esgotado')));
+
+  request.on('error', (error) => {
+    console.error(`Verificação de saúde falhou: ${error.message}`);
+    resolve(false);
+  });
+});
+
+const main = async () => {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (await check()) {
+      process.exit(0);
+    }
+
+    if (attempt < attempts) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+  }
+
+  process.exit(1);
+};
+
+main();
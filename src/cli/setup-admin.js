@@ -0,0 +1,226 @@
+/**
+ * Configuração do acesso de administrador pelo terminal do servidor
+ * Cria o primeiro administrador com um número real (substituindo o administrador fictício de
+ * versões anteriores) ou recupera o acesso de um administrador: promove e reativa o usuário,
+ * encerra as sessões, descarta códigos pendentes e remove bloqueios de autenticação.
+ * Depois, o administrador entra normalmente pelo WhatsApp, a partir do próprio número.
+ *
+ * Uso: npm run setup:admin -- [--numero 92999999999] [--nome "Nome Completo"] [--recuperar] [--listar]
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const readline = require('readline');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+const config = require('../config/config');
+const User = require('../data/models/User');
+const AuthCode = require('../data/models/AuthCode');
+const AuditLog = require('../data/models/AuditLog');
+const authService = require('../services/auth-service');
+const authThrottle = require('../services/auth-throttle');
+const { PLACEHOLDER_ADMIN_WHATSAPP } = require('../data/setup');
+
+/**
+ * Lê o valor de um argumento de linha de comando
+ * @param {string} name - Nome do argumento (sem --)
+ * @param {string} defaultValue - Valor padrão
+ * @returns {string} - Valor do argumento
+ */
+const getArgument = (name, defaultValue) => {
+  const index = process.argv.indexOf(`--${name}`);
+
+  if (index === -1 || !process.argv[index + 1]) {
+    return defaultValue;
+  }
+
+  return process.argv[index + 1];
+};
+
+/**
+ * Cria a função de perguntas do terminal
+ * As respostas são lidas em ordem, inclusive quando chegam de uma só vez por um pipe;
+ * com a entrada encerrada, as perguntas pendentes recebem resposta vazia
+ * @param {Object} rl - Interface do readline
+ * @returns {Function} - Função (pergunta) => Promise<resposta sem espaços nas pontas>
+ */
+const createAsk = (rl) => {
+  const answers = [];
+  const waiting = [];
+  let closed = false;
+
+  rl.on('line', (line) => {
+    if (waiting.length > 0) {
+      waiting.shift()(line.trim());
+    } else {
+      answers.push(line.trim());
+    }
+  });
+
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach(resolve => resolve(''));
+  });
+
+  return (question) => {
+    process.stdout.write(question);
+
+    if (answers.length > 0 || closed) {
+      return Promise.resolve(answers.length > 0 ? answers.shift() : '');
+    }
+
+    return new Promise(resolve => waiting.push(resolve));
+  };
+};
+
+/**
+ * Lista os administradores cadastrados
+ * @returns {Promise<void>}
+ */
+const listAdmins = async () => {
+  const admins = await User.find({ role: 'admin' }).sort({ createdAt: 1 });
+
+  if (admins.length === 0) {
+    console.log('Nenhum administrador cadastrado.');
+    return;
+  }
+
+  admins.forEach(admin => {
+    const notes = [
+      admin.active ? null : 'inativo',
+      admin.whatsapp === PLACEHOLDER_ADMIN_WHATSAPP ? 'fictício' : null
+    ].filter(Boolean);
+
+    console.log(`• ${admin.fullName} (${admin.whatsapp})${notes.length > 0 ? ` [${notes.join(', ')}]` : ''}`);
+  });
+};
+
+/**
+ * Cria ou recupera um administrador e remove o administrador fictício
+ * @param {string} whatsapp - Número do administrador
+ * @param {string} fullName - Nome (usado apenas ao criar o usuário)
+ * @param {boolean} recovery - Se é uma recuperação de acesso
+ * @returns {Promise<Object>} - Usuário administrador
+ */
+const setupAdmin = async (whatsapp, fullName, recovery) => {
+  let user = await User.findOne({ whatsapp });
+  const before = user ? { role: user.role, active: user.active } : null;
+
+  if (user) {
+    user.role = 'admin';
+    user.active = true;
+    await user.save();
+  } else {
+    user = await User.create({ fullName, whatsapp, role: 'admin', active: true });
+  }
+
+  // Recomeçar o acesso do zero: sem sessões, códigos pendentes ou bloqueios
+  const revoked = await authService.revokeSessions(user._id);
+  await AuthCode.deleteMany({ userId: user._id });
+  await authThrottle.unlock({ whatsapp });
+
+  // O administrador fictício deixa de ser necessário
+  const placeholder = await User.findOneAndDelete({ whatsapp: PLACEHOLDER_ADMIN_WHATSAPP, role: 'admin' });
+
+  await AuditLog.logAction(
+    null,
+    'cli',
+    recovery ? 'admin_recovered' : 'admin_bootstrap',
+    {
+      targetUserId: user._id,
+      before,
+      after: { role: user.role, active: user.active },
+      revokedSessions: revoked.length,
+      placeholderRemoved: !!placeholder,
+      host: os.hostname()
+    }
+  );
+
+  return user;
+};
+
+/**
+ * Função principal
+ * @returns {Promise<void>}
+ */
+const main = async () => {
+  const recovery = process.argv.includes('--recuperar');
+
+  const mongoURI = process.env.MONGODB_URI || config.mongodb.uri;
+  console.log(`Conectando ao MongoDB: ${mongoURI}`);
+
+  await mongoose.connect(mongoURI, config.mongodb.options);
+
+  if (process.argv.includes('--listar')) {
+    await listAdmins();
+    return;
+  }
+
+  // O primeiro administrador só é criado uma vez; depois, use --recuperar
+  const admins = await User.countDocuments({
+    role: 'admin',
+    active: true,
+    whatsapp: { $ne: PLACEHOLDER_ADMIN_WHATSAPP }
+  });
+
+  if (admins > 0 && !recovery) {
+    console.error('Já existe um administrador cadastrado. Para recuperar o acesso, use --recuperar.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = createAsk(rl);
+
+  try {
+    const whatsapp = (getArgument('numero', '') || await ask('WhatsApp do administrador (DDD + número, ex.: 92988887777): '))
+      .replace(/\D/g, '');
+
+    if (!/^[0-9]{10,11}$/.test(whatsapp) || whatsapp === PLACEHOLDER_ADMIN_WHATSAPP) {
+      console.error('Número inválido. Informe DDD + número, apenas dígitos.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const existing = await User.findOne({ whatsapp });
+    let fullName = existing ? existing.fullName : getArgument('nome', '');
+
+    if (existing) {
+      console.log(`Usuário encontrado: ${existing.fullName} (papel atual: ${existing.role}${existing.active ? '' : ', inativo'})`);
+    } else if (!fullName) {
+      fullName = await ask('Nome completo: ');
+    }
+
+    if (fullName.length < 3) {
+      console.error('Nome inválido. Informe pelo menos 3 caracteres.');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!getArgument('numero', '')) {
+      const confirmation = await ask(`Confirmar ${fullName} (${whatsapp}) como administrador? (s/n) `);
+
+      if (!['s', 'sim', 'y', 'yes'].includes(confirmation.toLowerCase())) {
+        console.log('Operação cancelada.');
+        return;
+      }
+    }
+
+    const user = await setupAdmin(whatsapp, fullName, recovery);
+
+    console.log(`\n✅ ${user.fullName} (${user.whatsapp}) é administrador.`);
+    console.log('Para entrar, envie qualquer mensagem ao bot a partir desse número e informe o código recebido no próprio WhatsApp.');
+  } finally {
+    rl.close();
+  }
+};
+
+main()
+  .catch(error => {
+    console.error(`Erro ao configurar administrador: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
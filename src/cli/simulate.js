@@ -0,0 +1,200 @@
+/**
+ * Simulador de conversas para o bot WhatsApp
+ * Inicia o bot com o transporte em memória e permite conversar pelo terminal,
+ * reproduzindo os fluxos sem uma sessão real do WhatsApp
+ *
+ * Uso: npm run simulate -- [--numero 5592999999999] [--interativo]
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const readline = require('readline');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+const config = require('../config/config');
+const { createMockTransport, toChatId } = require('../core/transport/mock-transport');
+
+// Número simulado padrão do remetente
+const DEFAULT_SENDER = '5592988887777';
+
+/**
+ * Lê o valor de um argumento de linha de comando
+ * @param {string} name - Nome do argumento (sem --)
+ * @param {string} defaultValue - Valor padrão
+ * @returns {string} - Valor do argumento
+ */
+const getArgument = (name, defaultValue) => {
+  const index = process.argv.indexOf(`--${name}`);
+
+  if (index === -1 || !process.argv[index + 1]) {
+    return defaultValue;
+  }
+
+  return process.argv[index + 1];
+};
+
+/**
+ * Exibe as instruções do simulador
+ */
+const printHelp = () => {
+  console.log(
+    '\nComandos do simulador:\n' +
+    '  /numero <telefone>        Passa a enviar mensagens como outro número\n' +
+    '  /foto <arquivo> [legenda] Envia uma imagem local como foto\n' +
+    '  /grupo <texto>            Envia o texto no grupo de operadores, mencionando o bot\n' +
+    '  /opcao <id>               Escolhe uma opção do último menu interativo (--interativo)\n' +
+    '  /ajuda                    Exibe esta ajuda\n' +
+    '  /sair                     Encerra o simulador\n\n' +
+    'Qualquer outro texto é enviado ao bot como mensagem.\n'
+  );
+};
+
+/**
+ * Exibe uma mensagem enviada pelo bot
+ * @param {Object} sent - Mensagem registrada pelo transporte
+ */
+const printReply = (sent) => {
+  let lines = sent.text.split('\n').map(line => `  │ ${line}`).join('\n');
+
+  // Opções de botões e listas, escolhidas com /opcao <id>
+  if (sent.menuOptions) {
+    lines += `\n  │\n  │ ${sent.footer || ''}\n` + sent.menuOptions
+      .map(option => `  │ [${option.id}] ${option.label}`)
+      .join('\n');
+  }
+
+  console.log(`\n  🤖 → ${sent.to}\n${lines}\n`);
+};
+
+/**
+ * Função principal do simulador
+ * @returns {Promise<void>}
+ */
+const main = async () => {
+  let sender = getArgument('numero', DEFAULT_SENDER);
+
+  // Conectar ao MongoDB
+  const mongoURI = process.env.MONGODB_URI || config.mongodb.uri;
+  console.log(`Conectando ao MongoDB: ${mongoURI}`);
+
+  await mongoose.connect(mongoURI, config.mongodb.options);
+
+  const { setupDatabase } = require('../data/setup');
+  await setupDatabase();
+
+  // Iniciar o bot com o transporte em memória
+  const transport = createMockTransport({ interactive: process.argv.includes('--interativo') });
+  let lastMenu = null;
+
+  transport.onSend((sent) => {
+    lastMenu = sent.menuOptions ? sent : lastMenu;
+    printReply(sent);
+  });
+
+  // Entregar as mensagens enfileiradas (notificações e respostas que falharam) pelo mesmo transporte
+  const outboundQueue = require('../services/outbound-queue');
+  await outboundQueue.start(transport);
+
+  const { setupMessageHandler } = require('../core/message-handler');
+  setupMessageHandler(outboundQueue.wrapTransport(transport));
+
+  console.log('\nSimulador iniciado. Digite /ajuda para ver os comandos.');
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const prompt = () => {
+    rl.setPrompt(`[${sender}]> `);
+    rl.prompt();
+  };
+
+  /**
+   * Processa uma linha digitada
+   * @param {string} line - Linha digitada
+   * @returns {Promise<void>}
+   */
+  const handleLine = async (line) => {
+    const text = line.trim();
+
+    if (text === '/sair') {
+      rl.close();
+      return;
+    }
+
+    try {
+      if (text === '/ajuda') {
+        printHelp();
+      } else if (text.startsWith('/numero')) {
+        const number = text.split(/\s+/)[1];
+
+        if (number) {
+          sender = number.replace(/\D/g, '');
+          console.log(`Enviando como ${toChatId(sender)}`);
+        } else {
+          console.log('Informe o número: /numero 5592999999999');
+        }
+      } else if (text.startsWith('/foto')) {
+        const [, file, ...caption] = text.split(/\s+/);
+
+        if (file) {
+          await transport.injectImage(sender, path.resolve(file), caption.join(' '));
+        } else {
+          console.log('Informe o arquivo: /foto caminho/para/placa.jpg');
+        }
+      } else if (text.startsWith('/opcao')) {
+        const id = text.split(/\s+/)[1];
+        const option = lastMenu && lastMenu.menuOptions.find(candidate => candidate.id === id);
+
+        if (!option) {
+          console.log('Informe o ID de uma opção do último menu: /opcao <id>');
+        } else if (lastMenu.kind === 'buttons') {
+          await transport.injectButtonReply(sender, option.id, option.label);
+        } else {
+          await transport.injectListReply(sender, option.id, option.label);
+        }
+      } else if (text.startsWith('/grupo')) {
+        if (!config.groups.operatorsGroupId || !config.whatsapp.botNumber) {
+          console.log('Configure OPERATORS_GROUP_ID e BOT_NUMBER para simular o grupo.');
+        } else {
+          const botId = `${config.whatsapp.botNumber}@c.us`;
+          const body = `@${config.whatsapp.botNumber} ${text.replace(/^\/grupo\s*/, '')}`;
+          await transport.injectGroupText(config.groups.operatorsGroupId, sender, body, [botId]);
+        }
+      } else if (text) {
+        await transport.injectText(sender, text);
+      }
+    } catch (error) {
+      console.error(`Erro no simulador: ${error.message}`);
+    }
+
+    prompt();
+  };
+
+  // Processar as linhas em ordem, uma mensagem por vez
+  let pending = Promise.resolve();
+
+  rl.on('line', (line) => {
+    pending = pending.then(() => handleLine(line));
+  });
+
+  rl.on('close', async () => {
+    await pending;
+    outboundQueue.stop();
+    require('../core/idle-monitor').stopIdleMonitor();
+    await mongoose.disconnect();
+    process.exit(0);
+  });
+
+  prompt();
+};
+
+main().catch(async (error) => {
+  console.error(`Erro ao iniciar simulador: ${error.message}`);
+  await mongoose.disconnect();
+  process.exit(1);
+});
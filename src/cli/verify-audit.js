@@ -0,0 +1,78 @@
+/**
+ * Verificação da integridade do log de auditoria pelo terminal do servidor
+ * Percorre a cadeia de hashes, apontando registros alterados ou removidos, e confere os pontos
+ * de verificação assinados exportados pelo bot. Termina com código 1 se algo não conferir.
+ *
+ * Uso: npm run audit:verify -- [--exportar]
+ * Com --exportar, um novo ponto de verificação é exportado se a cadeia estiver íntegra.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+const config = require('../config/config');
+const auditService = require('../services/audit-service');
+
+// Descrição de cada problema encontrado
+const BREAK_DESCRIPTIONS = {
+  missing: item => `registros ${item.from} a ${item.to} ausentes`,
+  broken_link: item => `registro ${item.sequence} não está encadeado ao anterior`,
+  hash_mismatch: item => `registro ${item.sequence}${item.action ? ` (${item.action})` : ''} com conteúdo diferente do hash`,
+  invalid_signature: item => `ponto de verificação ${item.sequence} com assinatura inválida`,
+  unverified_signature: item => `ponto de verificação ${item.sequence} não conferido (AUDIT_CHECKPOINT_KEY não configurada)`,
+  entry_missing: item => `registro ${item.sequence} do ponto de verificação não existe mais`
+};
+
+/**
+ * Função principal
+ * @returns {Promise<void>}
+ */
+const main = async () => {
+  const mongoURI = process.env.MONGODB_URI || config.mongodb.uri;
+  console.log(`Conectando ao MongoDB: ${mongoURI}`);
+
+  await mongoose.connect(mongoURI, config.mongodb.options);
+
+  const chain = await auditService.verifyChain();
+  console.log(`\nCadeia: ${chain.checked} registro(s) verificado(s), último ${chain.lastSequence}`);
+
+  if (chain.legacy > 0) {
+    console.log(`${chain.legacy} registro(s) anteriores ao encadeamento não podem ser verificados`);
+  }
+
+  chain.breaks.forEach(item => console.log(`❌ ${BREAK_DESCRIPTIONS[item.type](item)}`));
+
+  const checkpoints = await auditService.verifyCheckpoints();
+  console.log(`\nPontos de verificação: ${checkpoints.checked} conferido(s) (${config.audit.checkpoint.file})`);
+
+  checkpoints.problems.forEach(item => {
+    console.log(`${item.type === 'unverified_signature' ? '⚠️' : '❌'} ${BREAK_DESCRIPTIONS[item.type](item)}`);
+  });
+
+  const failures = chain.breaks.length + checkpoints.problems.filter(item => item.type !== 'unverified_signature').length;
+
+  if (failures > 0) {
+    console.log(`\n❌ Log de auditoria com ${failures} problema(s) de integridade.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n✅ Log de auditoria íntegro.');
+
+  if (process.argv.includes('--exportar')) {
+    const checkpoint = await auditService.createCheckpoint();
+    console.log(checkpoint
+      ? `Ponto de verificação exportado (sequência ${checkpoint.sequence}).`
+      : 'Nenhum registro novo desde o último ponto de verificação.');
+  }
+};
+
+main()
+  .catch(error => {
+    console.error(`Erro ao verificar o log de auditoria: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -12,6 +12,72 @@ module.exports = {
     host: process.env.HOST || '0.0.0.0'
   },
   
+  // Configurações das verificações de saúde (/health e /ready)
+  health: {
+    maxOfflineSeconds: parseInt(process.env.HEALTH_MAX_OFFLINE, 10) || 900, // Tempo sem conexão com o WhatsApp antes de /health falhar
+    maxStalledSeconds: parseInt(process.env.HEALTH_MAX_STALLED, 10) || 300, // Tempo com mensagens pendentes sem processamento antes de /health falhar
+    databaseTimeout: 3000, // Tempo máximo do ping ao MongoDB em milissegundos
+    recognizerCheckInterval: 60000 // Intervalo mínimo entre verificações do reconhecedor Python em milissegundos
+  },
+  
+  // Configurações do transporte de mensagens
+  transport: {
+    type: process.env.TRANSPORT || 'venom', // venom (WhatsApp real) ou mock (em memória)
+    interactiveMenus: process.env.INTERACTIVE_MENUS !== 'false' // Enviar menus como botões/listas quando o transporte permitir
+  },
+  
+  // Configurações dos estados de conversação
+  state: {
+    store: process.env.STATE_STORE || 'mongodb', // mongodb (persistente) ou memory (testes)
+    ttl: parseInt(process.env.STATE_TTL, 10) || 604800 // Tempo de vida do estado sem atividade em segundos (7 dias)
+  },
+  
+  // Configurações de inatividade das conversas
+  conversation: {
+    // Tempo máximo sem resposta em cada assistente, em segundos, antes de abandoná-lo
+    idleTimeouts: {
+      recognizing_plate: parseInt(process.env.IDLE_TIMEOUT_PLATE, 10) || 300,
+      plate_action: parseInt(process.env.IDLE_TIMEOUT_PLATE, 10) || 300,
+      registering_vehicle: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      editing_vehicle: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      transferring_vehicle: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      removing_vehicle: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      registering_driver: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      driver_profile: parseInt(process.env.IDLE_TIMEOUT_PLATE, 10) || 300,
+      editing_driver: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      merging_drivers: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      sending_notification: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900,
+      managing_users: parseInt(process.env.IDLE_TIMEOUT_WIZARD, 10) || 900
+    },
+    idleCheckSchedule: '* * * * *' // Expressão cron da verificação de conversas inativas
+  },
+  
+  // Configurações da fila de processamento de mensagens
+  messageQueue: {
+    warnDepth: parseInt(process.env.MESSAGE_QUEUE_WARN_DEPTH, 10) || 5 // Mensagens pendentes de um remetente para emitir aviso
+  },
+  
+  // Configurações do WhatsApp
+  whatsapp: {
+    countryCode: process.env.WHATSAPP_COUNTRY_CODE || '55', // Código do país adicionado aos números cadastrados
+    botNumber: process.env.BOT_NUMBER || null // Número do próprio bot, usado para detectar menções em grupos
+  },
+  
+  // Configurações da conexão com o WhatsApp
+  connection: {
+    reconnectBaseDelay: 5000, // Espera antes da primeira nova tentativa de conexão em milissegundos (dobra a cada falha)
+    reconnectMaxDelay: 300000, // Espera máxima entre tentativas de conexão em milissegundos (5 minutos)
+    offlineAlertAfter: parseInt(process.env.OFFLINE_ALERT_AFTER, 10) || 600, // Tempo offline em segundos antes de alertar os administradores
+    offlineCheckInterval: 30000, // Intervalo da verificação de tempo offline em milissegundos
+    alertWebhookUrl: process.env.ALERT_WEBHOOK_URL || null // Webhook opcional que recebe os alertas (JSON { text, timestamp })
+  },
+  
+  // Configurações de grupos
+  groups: {
+    operatorsGroupId: process.env.OPERATORS_GROUP_ID || null, // ID do grupo de operadores (ex.: 120363000000000000@g.us)
+    operatorsInviteCode: process.env.OPERATORS_GROUP_INVITE || null // Código de convite para o bot entrar no grupo
+  },
+  
   // Configurações do MongoDB
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://mongodb:27017/parking-bot',
@@ -25,13 +91,40 @@ module.exports = {
   auth: {
     codeTTL: 600, // Tempo de vida do código de verificação em segundos (10 minutos)
     sessionTTL: 2592000, // Tempo de vida da sessão em segundos (30 dias)
-    maxCodeAttempts: 3 // Número máximo de tentativas de código
+    maxCodeAttempts: 3, // Número máximo de tentativas de código
+    phoneChangeTTL: parseInt(process.env.PHONE_CHANGE_TTL, 10) || 86400, // Validade da solicitação de troca de número em segundos (24 horas)
+    codeSecret: process.env.AUTH_CODE_SECRET || null, // Chave do HMAC dos códigos salvos (sem valor, é gerada a cada inicialização)
+    
+    // Limites contra força bruta, contados por número informado e por aparelho remetente
+    throttle: {
+      window: parseInt(process.env.AUTH_THROTTLE_WINDOW, 10) || 900, // Janela de contagem em segundos (15 minutos)
+      maxRequestsPerNumber: parseInt(process.env.AUTH_MAX_REQUESTS_PER_NUMBER, 10) || 3, // Pedidos de código por número na janela
+      maxRequestsPerSender: parseInt(process.env.AUTH_MAX_REQUESTS_PER_SENDER, 10) || 5, // Pedidos (de código ou troca de número) por aparelho na janela
+      maxFailures: parseInt(process.env.AUTH_MAX_FAILURES, 10) || 5, // Códigos errados na janela
+      lockoutDurations: [300, 900, 3600, 86400], // Bloqueios progressivos em segundos (5 min, 15 min, 1 h, 24 h)
+      lockoutLevelReset: 86400 // Tempo sem bloqueios para voltar ao primeiro nível, em segundos
+    }
+  },
+  
+  // Configurações do log de auditoria (consulta, cadeia de hashes e pontos de verificação)
+  audit: {
+    pageSize: 10, // Registros por página no WhatsApp e padrão da API
+    maxPageSize: 100, // Máximo de registros por página na API
+    apiToken: process.env.AUDIT_API_TOKEN || null, // Token exigido pela API (sem valor, a API fica desativada)
+    // Pontos de verificação assinados da cadeia de hashes (sem chave, não são gerados)
+    checkpoint: {
+      schedule: process.env.AUDIT_CHECKPOINT_SCHEDULE || '0 * * * *', // Expressão cron (padrão: de hora em hora)
+      file: process.env.AUDIT_CHECKPOINT_FILE || 'logs/audit-checkpoints.jsonl', // Arquivo com um ponto por linha
+      key: process.env.AUDIT_CHECKPOINT_KEY || null // Chave da assinatura HMAC-SHA256
+    }
   },
   
   // Configurações de logs
   logging: {
     level: process.env.LOG_LEVEL || 'info',
-    file: process.env.LOG_FILE || 'logs/bot.log'
+    file: process.env.LOG_FILE !== undefined ? process.env.LOG_FILE : 'logs/bot.log', // Vazio grava apenas no console
+    format: process.env.LOG_FORMAT || 'text', // text (legível) ou json (uma linha JSON por registro)
+    maskPlates: process.env.LOG_MASK_PLATES === 'true' // Mascarar placas nos logs (telefones e códigos são sempre mascarados)
   },
   
   // Configurações de reconhecimento de placas
@@ -42,8 +135,19 @@ module.exports = {
     minConfidence: 70 // Confiança mínima para reconhecimento de placas (%)
   },
   
-  // Configurações de notificações
-  notifications: {
-    defaultPrefix: '📢 *Comunidade Ser* 📢\n\n'
+  // Configurações de idioma (os textos ficam em src/locales)
+  i18n: {
+    defaultLocale: process.env.DEFAULT_LOCALE || 'pt-BR' // Idioma de usuários e motoristas sem preferência (pt-BR, en ou es)
+  },
+  
+  // Configurações da fila de mensagens de saída
+  outbound: {
+    pollInterval: 2000, // Intervalo de processamento da fila em milissegundos
+    globalPerMinute: parseInt(process.env.OUTBOUND_GLOBAL_PER_MINUTE, 10) || 20, // Máximo de envios por minuto
+    perRecipientInterval: parseInt(process.env.OUTBOUND_RECIPIENT_INTERVAL, 10) || 3000, // Intervalo mínimo entre envios ao mesmo destinatário (ms)
+    perRecipientReplyInterval: parseInt(process.env.OUTBOUND_REPLY_INTERVAL, 10) || 1000, // Intervalo mínimo entre respostas seguidas ao mesmo destinatário (ms)
+    maxAttempts: 5, // Tentativas antes de mover a mensagem para a fila de mensagens mortas
+    retryBaseDelay: 30000, // Atraso da primeira nova tentativa em milissegundos (dobra a cada falha)
+    retryMaxDelay: 3600000 // Atraso máximo entre tentativas em milissegundos (1 hora)
   }
 };
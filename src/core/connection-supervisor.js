@@ -0,0 +1,319 @@
+/**
+ * Supervisor da conexão com o WhatsApp
+ * Responsável por acompanhar o estado da conexão, reconectar com espera exponencial,
+ * guardar o QR Code atual para um novo pareamento e alertar quando o bot fica offline
+ */
+
+const config = require('../config/config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('connection-supervisor');
+
+// Estados da conexão
+const CONNECTION_STATES = {
+  CONNECTING: 'connecting',
+  AWAITING_QR: 'awaiting_qr',
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  RECONNECTING: 'reconnecting'
+};
+
+// Estados do cliente que exigem assumir a sessão neste dispositivo
+const TAKEOVER_STATES = ['CONFLICT', 'UNLAUNCHED'];
+
+// Estados do cliente que indicam perda da conexão
+const DISCONNECTED_STATES = ['UNPAIRED', 'UNPAIRED_IDLE', 'TIMEOUT'];
+
+// Status de sessão que indicam perda da conexão
+const DISCONNECTED_STATUSES = ['browserClose', 'desconnectedMobile', 'serverClose', 'deleteToken'];
+
+/**
+ * Cria um supervisor de conexão
+ * @param {Object} options - Opções do supervisor
+ * @param {Object} options.transport - Transporte que recebe cada novo cliente (attach/detach)
+ * @param {Function} options.connect - Cria um novo cliente; recebe { onQrCode, onStatus }
+ * @param {Function} options.onAlert - Chamado com o texto do alerta quando o bot fica offline
+ * @returns {Object} - Supervisor de conexão
+ */
+const createConnectionSupervisor = ({ transport, connect, onAlert = async () => {} }) => {
+  const settings = config.connection;
+
+  let state = CONNECTION_STATES.DISCONNECTED;
+  let connectedSince = null;
+  let disconnectedSince = new Date();
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let offlineTimer = null;
+  let connecting = false;
+  let offlineAlerted = false;
+  let lastError = null;
+  let qrCode = null;
+
+  /**
+   * Marca a conexão como estabelecida
+   */
+  const markConnected = () => {
+    const wasAlerted = offlineAlerted;
+    const offlineSeconds = disconnectedSince
+      ? Math.round((Date.now() - disconnectedSince.getTime()) / 1000)
+      : 0;
+
+    state = CONNECTION_STATES.CONNECTED;
+    connectedSince = new Date();
+    disconnectedSince = null;
+    reconnectAttempts = 0;
+    offlineAlerted = false;
+    lastError = null;
+    qrCode = null;
+
+    logger.info('Conexão com o WhatsApp estabelecida');
+
+    if (wasAlerted) {
+      notify(`✅ Conexão com o WhatsApp restabelecida após ${offlineSeconds}s offline.`);
+    }
+  };
+
+  /**
+   * Marca a conexão como perdida
+   * @param {string} reason - Motivo da desconexão
+   */
+  const markDisconnected = (reason) => {
+    if (state !== CONNECTION_STATES.CONNECTED && disconnectedSince) {
+      return;
+    }
+
+    state = CONNECTION_STATES.DISCONNECTED;
+    connectedSince = null;
+    disconnectedSince = new Date();
+    lastError = reason;
+
+    logger.warn(`Conexão com o WhatsApp perdida: ${reason}`);
+  };
+
+  /**
+   * Envia um alerta sem interromper o supervisor em caso de falha
+   * @param {string} text - Texto do alerta
+   */
+  const notify = (text) => {
+    Promise.resolve()
+      .then(() => onAlert(text))
+      .catch(error => logger.error(`Erro ao enviar alerta de conexão: ${error.message}`));
+  };
+
+  /**
+   * Calcula a espera antes da próxima tentativa de reconexão
+   * @returns {number} - Espera em milissegundos
+   */
+  const getReconnectDelay = () => {
+    return Math.min(settings.reconnectBaseDelay * Math.pow(2, reconnectAttempts), settings.reconnectMaxDelay);
+  };
+
+  /**
+   * Trata o QR Code gerado durante a conexão
+   * @param {string} base64 - Imagem do QR Code em base64
+   * @param {string} ascii - QR Code em texto
+   * @param {number} attempts - Tentativas de leitura
+   */
+  const handleQrCode = (base64, ascii, attempts) => {
+    state = CONNECTION_STATES.AWAITING_QR;
+    qrCode = { base64, ascii, attempts, generatedAt: new Date() };
+  };
+
+  /**
+   * Trata o status da sessão informado pelo cliente
+   * @param {string} status - Status da sessão
+   */
+  const handleStatus = (status) => {
+    logger.info(`Status da sessão: ${status}`);
+
+    if (DISCONNECTED_STATUSES.includes(status)) {
+      markDisconnected(`status ${status}`);
+      scheduleReconnect();
+    }
+  };
+
+  /**
+   * Trata mudanças de estado do cliente conectado
+   * @param {string} clientState - Estado informado pelo cliente
+   */
+  const handleStateChange = (clientState) => {
+    logger.info(`Estado do cliente alterado: ${clientState}`);
+
+    if (clientState === 'CONNECTED') {
+      if (state !== CONNECTION_STATES.CONNECTED) {
+        markConnected();
+      }
+      return;
+    }
+
+    if (TAKEOVER_STATES.includes(clientState)) {
+      const client = transport.getClient();
+
+      if (client) {
+        Promise.resolve(client.useHere()).catch(error => {
+          logger.error(`Erro ao assumir a sessão: ${error.message}`);
+        });
+      }
+      return;
+    }
+
+    if (DISCONNECTED_STATES.includes(clientState)) {
+      markDisconnected(`estado ${clientState}`);
+      scheduleReconnect();
+    }
+  };
+
+  /**
+   * Cria um novo cliente e o associa ao transporte
+   * @returns {Promise<boolean>} - true se conectou
+   */
+  const connectOnce = async () => {
+    connecting = true;
+    state = reconnectAttempts > 0 ? CONNECTION_STATES.RECONNECTING : CONNECTION_STATES.CONNECTING;
+
+    try {
+      const client = await connect({ onQrCode: handleQrCode, onStatus: handleStatus });
+
+      transport.attach(client);
+      markConnected();
+
+      return true;
+    } catch (error) {
+      state = CONNECTION_STATES.DISCONNECTED;
+      lastError = error.message;
+      disconnectedSince = disconnectedSince || new Date();
+      reconnectAttempts++;
+
+      logger.error(`Erro ao conectar ao WhatsApp (tentativa ${reconnectAttempts}): ${error.message}`);
+
+      return false;
+    } finally {
+      connecting = false;
+    }
+  };
+
+  /**
+   * Descarta o cliente atual e tenta conectar novamente
+   * @returns {Promise<void>}
+   */
+  const reconnect = async () => {
+    reconnectTimer = null;
+
+    const previousClient = transport.detach();
+
+    if (previousClient && typeof previousClient.close === 'function') {
+      try {
+        await previousClient.close();
+      } catch (error) {
+        logger.warn(`Erro ao encerrar o cliente anterior: ${error.message}`);
+      }
+    }
+
+    const connected = await connectOnce();
+
+    if (!connected) {
+      scheduleReconnect();
+    }
+  };
+
+  /**
+   * Agenda uma tentativa de reconexão, se ainda não houver uma pendente
+   */
+  const scheduleReconnect = () => {
+    if (reconnectTimer || connecting) {
+      return;
+    }
+
+    const delay = getReconnectDelay();
+
+    logger.info(`Nova tentativa de conexão em ${Math.round(delay / 1000)}s`);
+
+    reconnectTimer = setTimeout(() => {
+      reconnect().catch(error => {
+        logger.error(`Erro ao reconectar ao WhatsApp: ${error.message}`);
+      });
+    }, delay);
+  };
+
+  /**
+   * Verifica se o bot está offline há mais tempo que o permitido
+   */
+  const checkOffline = () => {
+    if (!disconnectedSince || offlineAlerted) {
+      return;
+    }
+
+    const offlineSeconds = Math.round((Date.now() - disconnectedSince.getTime()) / 1000);
+
+    if (offlineSeconds < settings.offlineAlertAfter) {
+      return;
+    }
+
+    offlineAlerted = true;
+
+    notify(
+      `O bot está sem conexão com o WhatsApp há ${offlineSeconds}s.\n` +
+      `Último erro: ${lastError || 'desconhecido'}\n` +
+      (qrCode ? 'Um novo pareamento é necessário: leia o QR Code atual.' : `Tentativas de reconexão: ${reconnectAttempts}`)
+    );
+  };
+
+  // Receber as mudanças de estado de todos os clientes associados ao transporte
+  transport.onStateChange(handleStateChange);
+
+  return {
+    /**
+     * Inicia a conexão e a verificação de tempo offline
+     * Uma falha na primeira conexão não interrompe o bot: novas tentativas são agendadas
+     * @returns {Promise<boolean>} - true se a primeira conexão foi estabelecida
+     */
+    start: async () => {
+      if (!offlineTimer) {
+        offlineTimer = setInterval(checkOffline, settings.offlineCheckInterval);
+      }
+
+      const connected = await connectOnce();
+
+      if (!connected) {
+        scheduleReconnect();
+      }
+
+      return connected;
+    },
+
+    /**
+     * Interrompe as reconexões e a verificação de tempo offline
+     */
+    stop: () => {
+      clearTimeout(reconnectTimer);
+      clearInterval(offlineTimer);
+      reconnectTimer = null;
+      offlineTimer = null;
+    },
+
+    /**
+     * Obtém o estado atual da conexão
+     * @returns {Object} - Estado da conexão
+     */
+    getStatus: () => ({
+      state,
+      connected: state === CONNECTION_STATES.CONNECTED,
+      connectedSince,
+      disconnectedSince,
+      reconnectAttempts,
+      lastError,
+      awaitingQrCode: Boolean(qrCode)
+    }),
+
+    /**
+     * Obtém o QR Code atual para um novo pareamento
+     * @returns {Object|null} - QR Code ({ base64, ascii, attempts, generatedAt }) ou null
+     */
+    getQrCode: () => qrCode
+  };
+};
+
+module.exports = {
+  CONNECTION_STATES,
+  createConnectionSupervisor
+};
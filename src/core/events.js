@@ -0,0 +1,22 @@
+/**
+ * Barramento de eventos do bot WhatsApp
+ * Permite que os módulos publiquem acontecimentos (entradas, saídas, alertas)
+ * sem conhecer quem os consome
+ */
+
+const { EventEmitter } = require('events');
+
+// Nomes dos eventos publicados
+const EVENTS = {
+  PARKING_ENTRY: 'parking.entry',
+  PARKING_EXIT: 'parking.exit',
+  ALERT: 'alert'
+};
+
+// Barramento compartilhado (singleton)
+const botEvents = new EventEmitter();
+
+module.exports = {
+  EVENTS,
+  botEvents
+};
@@ -0,0 +1,161 @@
+/**
+ * Catálogo de mensagens do bot WhatsApp
+ * Carrega os textos de src/locales, resolve chaves com variáveis de modelo ({{nome}})
+ * e recorre ao idioma padrão quando uma chave não existe no idioma escolhido
+ */
+
+const config = require('../config/config');
+
+// Catálogos disponíveis, por código de idioma
+const catalogs = {
+  'pt-BR': require('../locales/pt-BR.json'),
+  en: require('../locales/en.json'),
+  es: require('../locales/es.json')
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(config.i18n.defaultLocale)
+  ? config.i18n.defaultLocale
+  : 'pt-BR';
+
+/**
+ * Normaliza um código de idioma para um dos idiomas suportados
+ * Aceita variações como "pt", "PT-br", "es-AR" ou "en_US"
+ * @param {string} value - Código de idioma
+ * @returns {string|null} - Idioma suportado ou null
+ */
+const normalizeLocale = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const normalized = String(value).trim().replace('_', '-').toLowerCase();
+  const exact = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === normalized);
+
+  if (exact) {
+    return exact;
+  }
+
+  const language = normalized.split('-')[0];
+  return SUPPORTED_LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+};
+
+/**
+ * Busca uma chave (ex.: "vehicle.registration.make") em um catálogo
+ * @param {Object} catalog - Catálogo de mensagens
+ * @param {string} key - Chave separada por pontos
+ * @returns {*} - Valor encontrado ou undefined
+ */
+const lookup = (catalog, key) => {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+};
+
+/**
+ * Substitui as variáveis de modelo de um texto
+ * @param {string} template - Texto com variáveis {{nome}}
+ * @param {Object} vars - Valores das variáveis
+ * @returns {string} - Texto final
+ */
+const interpolate = (template, vars) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    return vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match;
+  });
+};
+
+/**
+ * Traduz uma chave do catálogo
+ * @param {string} locale - Idioma desejado (usa o padrão se não for suportado)
+ * @param {string} key - Chave da mensagem
+ * @param {Object} vars - Variáveis de modelo
+ * @returns {string} - Mensagem traduzida ou a própria chave se não existir em nenhum catálogo
+ */
+const translate = (locale, key, vars = {}) => {
+  const resolvedLocale = normalizeLocale(locale) || DEFAULT_LOCALE;
+  let value = lookup(catalogs[resolvedLocale], key);
+
+  if (typeof value !== 'string') {
+    value = lookup(catalogs[DEFAULT_LOCALE], key);
+  }
+
+  if (typeof value !== 'string') {
+    return key;
+  }
+
+  return interpolate(value, vars);
+};
+
+/**
+ * Cria uma função de tradução para um idioma
+ * @param {string} locale - Idioma desejado
+ * @returns {Function} - t(key, vars)
+ */
+const translator = (locale) => {
+  const t = (key, vars) => translate(locale, key, vars);
+  t.locale = normalizeLocale(locale) || DEFAULT_LOCALE;
+  return t;
+};
+
+/**
+ * Lista todas as chaves de um catálogo
+ * @param {Object} node - Catálogo ou parte dele
+ * @param {string} prefix - Prefixo da chave atual
+ * @returns {Array<string>} - Chaves separadas por pontos
+ */
+const flattenKeys = (node, prefix = '') => {
+  return Object.keys(node).reduce((keys, name) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+
+    return typeof node[name] === 'object' && node[name] !== null
+      ? keys.concat(flattenKeys(node[name], key))
+      : keys.concat(key);
+  }, []);
+};
+
+/**
+ * Lista as variáveis de modelo de um texto
+ * @param {string} text - Texto
+ * @returns {Array<string>} - Variáveis ordenadas
+ */
+const templateVars = (text) => {
+  return Array.from(new Set((text.match(/\{\{\s*\w+\s*\}\}/g) || []).map(v => v.replace(/[{}\s]/g, '')))).sort();
+};
+
+/**
+ * Verifica se todos os catálogos têm as mesmas chaves e variáveis de modelo
+ * @returns {Array<string>} - Problemas encontrados (vazio se os catálogos estão completos)
+ */
+const checkCatalogs = () => {
+  const problems = [];
+  const allKeys = new Set();
+
+  SUPPORTED_LOCALES.forEach(locale => flattenKeys(catalogs[locale]).forEach(key => allKeys.add(key)));
+
+  allKeys.forEach(key => {
+    const reference = lookup(catalogs[DEFAULT_LOCALE], key);
+
+    SUPPORTED_LOCALES.forEach(locale => {
+      const value = lookup(catalogs[locale], key);
+
+      if (typeof value !== 'string') {
+        problems.push(`${locale}: chave ausente "${key}"`);
+        return;
+      }
+
+      if (typeof reference === 'string' && templateVars(value).join(',') !== templateVars(reference).join(',')) {
+        problems.push(`${locale}: variáveis de "${key}" diferem de ${DEFAULT_LOCALE} (${templateVars(value).join(', ') || 'nenhuma'})`);
+      }
+    });
+  });
+
+  return problems;
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  translate,
+  translator,
+  checkCatalogs
+};
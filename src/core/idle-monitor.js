@@ -0,0 +1,135 @@
+/**
+ * Monitor de inatividade das conversas do bot WhatsApp
+ * Responsável por abandonar assistentes parados há mais tempo que o configurado,
+ * avisando o usuário e devolvendo-o ao menu principal
+ */
+
+const cron = require('node-cron');
+const config = require('../config/config');
+const { createLogger, generateCorrelationId, runWithCorrelationId } = require('./logger');
+const stateManager = require('./state-manager');
+const AuditLog = require('../data/models/AuditLog');
+const { translator } = require('./i18n');
+
+const logger = createLogger('idle-monitor');
+
+// Tarefa agendada da verificação em andamento
+let task = null;
+
+/**
+ * Obtém o tempo máximo de inatividade de um estado
+ * @param {string} state - Nome do estado
+ * @returns {number|null} - Tempo em segundos ou null se o estado não expira
+ */
+const getIdleTimeout = (state) => {
+  return config.conversation.idleTimeouts[state] || null;
+};
+
+/**
+ * Verifica se uma conversa está inativa há mais tempo que o permitido
+ * @param {Object} stateData - Dados do estado atual
+ * @returns {boolean} - true se a conversa expirou
+ */
+const isIdle = (stateData) => {
+  const timeout = getIdleTimeout(stateData.state);
+
+  if (!timeout || !stateData.updatedAt) {
+    return false;
+  }
+
+  return Date.now() - new Date(stateData.updatedAt).getTime() > timeout * 1000;
+};
+
+/**
+ * Abandona o assistente em andamento e devolve o usuário ao menu principal
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} phoneNumber - Número de telefone do usuário
+ * @param {Object} stateData - Dados do estado atual
+ * @returns {Promise<void>}
+ */
+const abandonConversation = async (client, phoneNumber, stateData) => {
+  const from = `${phoneNumber}@c.us`;
+  const idleSeconds = Math.round((Date.now() - new Date(stateData.updatedAt).getTime()) / 1000);
+  const t = translator(stateData.context.language);
+
+  // Voltar ao menu sem deixar dados do assistente abandonado no contexto
+  await stateManager.setState(phoneNumber, 'authenticated');
+  await stateManager.resetContext(phoneNumber);
+
+  // Registrar log de auditoria
+  if (stateData.context.userId) {
+    await AuditLog.logAction(
+      stateData.context.userId,
+      phoneNumber,
+      'conversation_abandoned',
+      { state: stateData.state, idleSeconds }
+    );
+  }
+
+  await client.sendText(from, t('idle.expired'));
+
+  // Enviar menu principal
+  const authModule = require('../modules/auth');
+  await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+
+  logger.info(`Conversa de ${phoneNumber} abandonada no estado ${stateData.state} após ${idleSeconds}s sem atividade`);
+};
+
+/**
+ * Interrompe a verificação periódica de conversas inativas
+ */
+const stopIdleMonitor = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+/**
+ * Inicia a verificação periódica de conversas inativas
+ * Uma verificação iniciada antes (nova configuração dos manipuladores) é interrompida
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} senderQueue - Fila de processamento por remetente
+ * @returns {Object} - Tarefa agendada
+ */
+const startIdleMonitor = (client, senderQueue) => {
+  const timeouts = config.conversation.idleTimeouts;
+  const stateNames = Object.keys(timeouts);
+
+  stopIdleMonitor();
+
+  if (stateNames.length === 0) {
+    return null;
+  }
+
+  const shortestTimeout = Math.min(...Object.values(timeouts));
+
+  task = cron.schedule(config.conversation.idleCheckSchedule, async () => {
+    const updatedBefore = new Date(Date.now() - shortestTimeout * 1000);
+    const candidates = await stateManager.findIdleStates(stateNames, updatedBefore);
+
+    for (const candidate of candidates) {
+      const from = `${candidate.phoneNumber}@c.us`;
+
+      // Usar a fila do remetente para não concorrer com uma mensagem em processamento
+      senderQueue.enqueue(from, () => runWithCorrelationId(generateCorrelationId(), async () => {
+        const stateData = await stateManager.getState(candidate.phoneNumber);
+
+        if (stateData && isIdle(stateData)) {
+          await abandonConversation(client, candidate.phoneNumber, stateData);
+        }
+      })).catch(error => {
+        logger.error(`Erro ao abandonar conversa de ${candidate.phoneNumber}: ${error.message}`);
+      });
+    }
+  });
+
+  return task;
+};
+
+module.exports = {
+  isIdle,
+  abandonConversation,
+  startIdleMonitor,
+  stopIdleMonitor
+};
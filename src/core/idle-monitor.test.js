@@ -0,0 +1,38 @@
+/**
+ * Testes do agendamento do monitor de inatividade
+ */
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+}));
+
+const cron = require('node-cron');
+const { startIdleMonitor, stopIdleMonitor } = require('./idle-monitor');
+
+const senderQueue = { enqueue: jest.fn() };
+
+afterEach(() => {
+  stopIdleMonitor();
+});
+
+describe('startIdleMonitor', () => {
+  it('interrompe a verificação anterior ao ser iniciado de novo', () => {
+    const first = startIdleMonitor({}, senderQueue);
+    const second = startIdleMonitor({}, senderQueue);
+
+    expect(cron.schedule).toHaveBeenCalledTimes(2);
+    expect(first.stop).toHaveBeenCalled();
+    expect(second.stop).not.toHaveBeenCalled();
+  });
+});
+
+describe('stopIdleMonitor', () => {
+  it('interrompe a verificação em andamento', () => {
+    const task = startIdleMonitor({}, senderQueue);
+
+    stopIdleMonitor();
+    stopIdleMonitor();
+
+    expect(task.stop).toHaveBeenCalledTimes(1);
+  });
+});
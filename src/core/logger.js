@@ -0,0 +1,144 @@
+/**
+ * Logger compartilhado do bot WhatsApp
+ * Centraliza a configuração do winston (texto ou JSON), acrescenta o ID de correlação da
+ * mensagem em processamento e mascara dados pessoais antes de gravar qualquer linha
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+const config = require('../config/config');
+
+// Contexto da mensagem em processamento, propagado por todas as chamadas assíncronas
+const logContext = new AsyncLocalStorage();
+
+// Números de telefone com DDD (10 a 13 dígitos, inclusive em IDs como 5592999999999@c.us)
+const PHONE_PATTERN = /\b\d{10,13}\b/g;
+
+// Códigos de verificação (6 dígitos)
+const CODE_PATTERN = /\b\d{6}\b/g;
+
+// Placas nos formatos antigo (ABC1234) e Mercosul (ABC1D23)
+const PLATE_PATTERN = /\b[A-Z]{3}\d[A-Z0-9]\d{2}\b/g;
+
+/**
+ * Mascara um número de telefone, preservando o código de área e os últimos dígitos
+ * @param {string} phone - Número de telefone
+ * @returns {string} - Número mascarado (ex.: 5592******777)
+ */
+const maskPhone = (phone) => {
+  return phone.slice(0, phone.length - 9) + '******' + phone.slice(-3);
+};
+
+/**
+ * Mascara uma placa, preservando o primeiro e o último caractere
+ * @param {string} plate - Placa
+ * @returns {string} - Placa mascarada (ex.: A*****3)
+ */
+const maskPlate = (plate) => {
+  return plate[0] + '*****' + plate.slice(-1);
+};
+
+/**
+ * Mascara os dados pessoais de um texto
+ * @param {string} text - Texto original
+ * @returns {string} - Texto mascarado
+ */
+const maskText = (text) => {
+  let masked = text
+    .replace(PHONE_PATTERN, maskPhone)
+    .replace(CODE_PATTERN, '******');
+
+  if (config.logging.maskPlates) {
+    masked = masked.replace(PLATE_PATTERN, maskPlate);
+  }
+
+  return masked;
+};
+
+// Formato que acrescenta o ID de correlação da mensagem em processamento
+const correlationFormat = winston.format((info) => {
+  const context = logContext.getStore();
+
+  if (context && context.correlationId) {
+    info.correlationId = context.correlationId;
+  }
+
+  return info;
+});
+
+// Formato que mascara dados pessoais na mensagem
+const maskFormat = winston.format((info) => {
+  if (typeof info.message === 'string') {
+    info.message = maskText(info.message);
+  }
+
+  if (typeof info.stack === 'string') {
+    info.stack = maskText(info.stack);
+  }
+
+  return info;
+});
+
+// Saída em texto, legível no terminal e em docker-compose logs
+const textFormat = winston.format.printf(({ level, message, timestamp, correlationId }) => {
+  return `${timestamp} ${level.toUpperCase()}: ${correlationId ? `[${correlationId}] ` : ''}${message}`;
+});
+
+// Console sempre; arquivo quando configurado, exceto nos testes
+const transports = [new winston.transports.Console()];
+
+if (config.logging.file && process.env.NODE_ENV !== 'test') {
+  transports.push(new winston.transports.File({ filename: config.logging.file }));
+}
+
+const rootLogger = winston.createLogger({
+  level: config.logging.level || 'info',
+  format: winston.format.combine(
+    correlationFormat(),
+    maskFormat(),
+    winston.format.timestamp(),
+    config.logging.format === 'json' ? winston.format.json() : textFormat
+  ),
+  transports
+});
+
+/**
+ * Cria o logger de um módulo
+ * @param {string} moduleName - Nome do módulo, incluído no campo module da saída JSON
+ * @returns {Object} - Logger winston
+ */
+const createLogger = (moduleName) => rootLogger.child({ module: moduleName });
+
+/**
+ * Gera um ID de correlação
+ * @returns {string} - ID de correlação
+ */
+const generateCorrelationId = () => crypto.randomBytes(4).toString('hex');
+
+/**
+ * Executa uma tarefa com um ID de correlação, incluído em todos os logs gerados por ela
+ * @param {string} correlationId - ID de correlação
+ * @param {Function} task - Tarefa a executar
+ * @returns {*} - Resultado da tarefa
+ */
+const runWithCorrelationId = (correlationId, task) => {
+  return logContext.run({ correlationId }, task);
+};
+
+/**
+ * Obtém o ID de correlação da tarefa atual
+ * @returns {string|null} - ID de correlação
+ */
+const getCorrelationId = () => {
+  const context = logContext.getStore();
+  return context ? context.correlationId : null;
+};
+
+module.exports = {
+  createLogger,
+  generateCorrelationId,
+  runWithCorrelationId,
+  getCorrelationId,
+  maskText
+};
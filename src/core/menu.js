@@ -0,0 +1,145 @@
+/**
+ * Renderização de menus do bot WhatsApp
+ * Envia as opções como botões ou lista interativa quando o transporte permite e, caso
+ * contrário, como texto numerado. As respostas são aceitas pelo ID da opção (botão ou
+ * item da lista) ou pelo número digitado
+ */
+
+const config = require('../config/config');
+const { createLogger } = require('./logger');
+const { translator } = require('./i18n');
+
+const logger = createLogger('menu');
+
+// Quantidade máxima de botões aceita pelo WhatsApp; acima disso é usada uma lista
+const MAX_BUTTONS = 3;
+
+// Tipos de mensagem de resposta a menus interativos
+const BUTTON_REPLY = 'buttons_response';
+const LIST_REPLY = 'list_response';
+
+/**
+ * Opção de menu
+ * @typedef {Object} MenuOption
+ * @property {string} id - Identificador da opção, enviado pelo botão ou item da lista
+ * @property {number} number - Número digitado na versão em texto (padrão: posição na lista)
+ * @property {string} label - Texto exibido
+ */
+
+/**
+ * Numera as opções que não definem o próprio número
+ * @param {Array<MenuOption>} options - Opções do menu
+ * @returns {Array<MenuOption>} - Opções numeradas
+ */
+const numberOptions = (options) => {
+  return options.map((option, index) => ({ ...option, number: option.number || index + 1 }));
+};
+
+/**
+ * Formata o número de uma opção como emoji (1️⃣) quando possível
+ * @param {number} number - Número da opção
+ * @returns {string} - Número formatado
+ */
+const formatNumber = (number) => {
+  return number >= 0 && number <= 9 ? `${number}️⃣` : `${number}.`;
+};
+
+/**
+ * Monta a versão em texto numerado de um menu
+ * @param {Object} menu - Menu
+ * @param {string} menu.text - Texto exibido antes das opções
+ * @param {Array<MenuOption>} menu.options - Opções do menu
+ * @param {string} menu.locale - Idioma do usuário
+ * @param {string} menu.footer - Instrução exibida antes das opções (padrão: menu.selectOption no idioma)
+ * @returns {string} - Texto do menu
+ */
+const formatMenuText = ({ text, options, locale, footer }) => {
+  const t = translator(locale);
+  const lines = numberOptions(options).map(option => `${formatNumber(option.number)} ${option.label}`);
+
+  return `${text}\n\n${footer || t('menu.selectOption')}\n\n${lines.join('\n')}`;
+};
+
+/**
+ * Envia um menu, usando botões ou lista interativa quando o transporte permite
+ * Falhas no envio interativo (recurso indisponível na conta, por exemplo) caem para o texto
+ * @param {Object} client - Transporte de mensagens
+ * @param {string} to - Chat de destino
+ * @param {Object} menu - Menu
+ * @param {string} menu.text - Texto exibido antes das opções
+ * @param {Array<MenuOption>} menu.options - Opções do menu
+ * @param {string} menu.locale - Idioma do usuário
+ * @returns {Promise<Object>} - Resultado do envio
+ */
+const sendMenu = async (client, to, menu) => {
+  const t = translator(menu.locale);
+  const options = numberOptions(menu.options);
+
+  if (config.transport.interactiveMenus) {
+    try {
+      if (options.length <= MAX_BUTTONS && typeof client.sendButtons === 'function') {
+        return await client.sendButtons(to, menu.text, options, t('menu.selectOption'));
+      }
+
+      if (typeof client.sendList === 'function') {
+        return await client.sendList(to, menu.text, t('menu.listButton'), options, t('menu.selectOption'));
+      }
+    } catch (error) {
+      logger.warn(`Falha ao enviar menu interativo para ${to}, usando texto: ${error.message}`);
+    }
+  }
+
+  return client.sendText(to, formatMenuText({ ...menu, options }));
+};
+
+/**
+ * Converte a resposta a um botão ou lista em mensagem de texto com o ID da opção escolhida,
+ * para que os manipuladores tratem igualmente respostas interativas e digitadas
+ * @param {Object} message - Mensagem recebida
+ * @returns {Object} - Mensagem de texto (ou a própria mensagem, se não for uma resposta de menu)
+ */
+const normalizeMenuReply = (message) => {
+  let selectedId = null;
+
+  if (message.type === BUTTON_REPLY) {
+    selectedId = message.selectedButtonId;
+  } else if (message.type === LIST_REPLY) {
+    selectedId = message.listResponse && message.listResponse.singleSelectReply
+      ? message.listResponse.singleSelectReply.selectedRowId
+      : null;
+  } else {
+    return message;
+  }
+
+  return {
+    ...message,
+    type: 'chat',
+    body: selectedId || message.body || '',
+    menuReply: true
+  };
+};
+
+/**
+ * Identifica a opção escolhida pelo ID ou pelo número digitado
+ * @param {string} text - Texto recebido
+ * @param {Array<MenuOption>} options - Opções do menu
+ * @returns {string|null} - ID da opção escolhida ou null
+ */
+const resolveOption = (text, options) => {
+  const answer = (text || '').trim().toLowerCase();
+
+  const option = numberOptions(options).find(candidate => {
+    return candidate.id.toLowerCase() === answer ||
+      String(candidate.number) === answer ||
+      candidate.label.toLowerCase() === answer;
+  });
+
+  return option ? option.id : null;
+};
+
+module.exports = {
+  sendMenu,
+  formatMenuText,
+  normalizeMenuReply,
+  resolveOption
+};
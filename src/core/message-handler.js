@@ -3,106 +3,391 @@
  * Responsável por rotear mensagens para os módulos apropriados
  */
 
-const winston = require('winston');
-const config = require('../../config/config');
+const config = require('../config/config');
+const { createLogger, generateCorrelationId, runWithCorrelationId } = require('./logger');
 const stateManager = require('./state-manager');
+const { assertTransport } = require('./transport');
+const { createSenderQueue } = require('./sender-queue');
+const { isIdle, abandonConversation, startIdleMonitor } = require('./idle-monitor');
+const authService = require('../services/auth-service');
+const AuditLog = require('../data/models/AuditLog');
+const User = require('../data/models/User');
+const stateMachine = require('./state-machine');
+const { can } = require('./permissions');
+const metrics = require('./metrics');
+const { normalizeLocale, translator } = require('./i18n');
+const { normalizeMenuReply } = require('./menu');
+const { processShortcut } = require('./shortcuts');
 const authModule = require('../modules/auth');
-const vehicleModule = require('../modules/vehicle');
-const driverModule = require('../modules/driver');
-const notificationModule = require('../modules/notification');
 const userModule = require('../modules/user');
+const { registerModules } = require('../modules');
+const groupModule = require('../modules/group');
 
-// Configuração de logs
-const logger = winston.createLogger({
-  level: config.logging.level || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: config.logging.file || 'logs/bot.log'
-    })
-  ]
+const logger = createLogger('message-handler');
+
+// Fila de processamento por remetente
+const senderQueue = createSenderQueue({
+  warnDepth: config.messageQueue.warnDepth,
+  onDepthWarning: (from, depth) => {
+    logger.warn(`Fila de mensagens de ${from.replace(/@c\.us$/, '')} com ${depth} mensagens pendentes`);
+  }
 });
 
+// Comandos de usuários autenticados: padrão (sobre o texto em minúsculas), permissão exigida
+// (null para qualquer usuário autenticado) e manipulador
+const COMMANDS = [
+  {
+    // Sessões ativas do próprio usuário (#sessoes)
+    pattern: /^#(?:sessoes|sessões|sessions|sesiones)$/,
+    permission: null,
+    handler: (client, message, stateData) => authModule.handleListSessions(client, message, stateData)
+  },
+  {
+    // Encerramento de sessões (#encerrar N / #encerrar todas)
+    pattern: /^#(?:encerrar|revoke|cerrar)\s+(\S+)$/,
+    permission: null,
+    handler: (client, message, stateData, match) => authModule.handleRevokeSessions(
+      client, message, stateData, stateManager, match[1]
+    )
+  },
+  {
+    // Desconexão forçada de um usuário (#desconectar NÚMERO)
+    pattern: /^#(?:desconectar|disconnect)\s+(\S+)$/,
+    permission: 'user.manage',
+    handler: (client, message, stateData, match) => userModule.handleForceLogout(
+      client, message, stateData, stateManager, match[1]
+    )
+  },
+  {
+    // Decisão sobre troca de número (#aprovar CÓDIGO / #recusar CÓDIGO); sem código, lista as pendentes
+    pattern: /^#(aprovar|approve|aprobar|recusar|reject|rechazar)(?:\s+(\S+))?$/,
+    permission: 'user.manage',
+    handler: (client, message, stateData, match) => userModule.handlePhoneChangeDecision(
+      client, message, stateData, ['aprovar', 'approve', 'aprobar'].includes(match[1]), match[2]
+    )
+  },
+  {
+    // Consulta ao log de auditoria (#auditoria filtro:valor ...)
+    pattern: /^#(?:auditoria|audit)(?:\s+.+)?$/,
+    permission: 'audit.view',
+    handler: (client, message, stateData) => userModule.handleAuditQuery(client, message, stateData)
+  },
+  {
+    // Lista de papéis e permissões (#papeis)
+    pattern: /^#(?:papeis|papéis|roles)$/,
+    permission: 'role.manage',
+    handler: (client, message, stateData) => userModule.handleListRoles(client, message, stateData)
+  },
+  {
+    // Papel personalizado (#papel NOME permissão1,permissão2 / #papel NOME remover)
+    pattern: /^#(?:papel|role|rol)\s+(\S+)\s+(\S+)$/,
+    permission: 'role.manage',
+    handler: (client, message, stateData, match) => userModule.handleRoleCommand(client, message, stateData, match[1], match[2])
+  },
+  {
+    // Papel de um usuário (#atribuir NÚMERO PAPEL)
+    pattern: /^#(?:atribuir|assign|asignar)\s+(\S+)\s+(\S+)$/,
+    permission: 'role.manage',
+    handler: (client, message, stateData, match) => userModule.handleAssignRole(client, message, stateData, match[1], match[2])
+  }
+];
+
 /**
  * Configura o manipulador de mensagens
- * @param {Object} client - Cliente WhatsApp
+ * @param {Object} client - Transporte de mensagens (venom ou mock)
  */
 const setupMessageHandler = (client) => {
-  client.onMessage(async (message) => {
-    try {
-      // Ignorar mensagens de grupos
-      if (message.isGroupMsg) {
-        return;
-      }
-      
-      // Obter número de telefone
-      const from = message.from;
-      const phoneNumber = from.replace(/@c\.us$/, '');
-      
-      logger.debug(`Mensagem recebida de ${phoneNumber}: ${message.body}`);
+  assertTransport(client);
+  
+  // Registrar os estados declarados pelos módulos
+  registerModules();
+  
+  // Mensagens do mesmo remetente são processadas em ordem, uma por vez, cada uma com
+  // seu próprio ID de correlação nos logs
+  client.onMessage((message) => {
+    const correlationId = generateCorrelationId();
+    
+    return senderQueue.enqueue(message.from, () => runWithCorrelationId(correlationId, () => processMessage(client, message)));
+  });
+  
+  // Abandonar assistentes parados (substitui a verificação de uma configuração anterior)
+  startIdleMonitor(client, senderQueue);
+  
+  // Publicar eventos no grupo de operadores, se configurado
+  groupModule.setupGroup(client).catch(error => {
+    logger.error(`Erro ao configurar grupo de operadores: ${error.message}`);
+  });
+};
+
+/**
+ * Processa uma mensagem recebida
+ * @param {Object} client - Transporte de mensagens
+ * @param {Object} message - Mensagem recebida
+ * @returns {Promise<void>}
+ */
+const processMessage = async (client, message) => {
+  const endTimer = metrics.handlerDuration.startTimer();
+  let stateLabel = 'new';
+  let locale = null;
+  
+  try {
+    // Mensagens de grupos só são atendidas no grupo de operadores
+    if (message.isGroupMsg) {
+      stateLabel = 'group';
+      await groupModule.handleGroupMessage(client, message);
+      return;
+    }
+    
+    // Respostas a botões e listas chegam como texto com o ID da opção escolhida
+    message = normalizeMenuReply(message);
+    
+    // Obter número de telefone
+    const from = message.from;
+    const phoneNumber = from.replace(/@c\.us$/, '');
+    
+    // O conteúdo pode trazer códigos de verificação, nomes ou a mídia inteira: registrar só o tipo e o tamanho
+    logger.debug(`Mensagem recebida de ${phoneNumber}: ${message.type}, ${(message.body || '').length} caracteres`);
+    
+    // Obter estado atual
+    const stateData = await stateManager.getState(phoneNumber);
+    
+    // Verificar se é um novo usuário
+    if (!stateData || !stateData.state) {
+      await handleNewUser(client, message);
+      return;
+    }
+    
+    stateLabel = stateData.state;
+    locale = stateData.context.language;
+    
+    // Verificar se a sessão autenticada continua válida
+    if (stateData.context.sessionId) {
+      const sessionValid = await checkSession(client, message, stateData);
       
-      // Verificar comandos globais
-      if (message.body === '#cancelar' || message.body === '#cancel') {
-        await handleCancelCommand(client, message);
+      if (!sessionValid) {
         return;
       }
-      
-      // Obter estado atual
-      const stateData = await stateManager.getState(phoneNumber);
-      
-      // Verificar se é um novo usuário
-      if (!stateData || !stateData.state) {
-        await handleNewUser(client, message);
-        return;
+    }
+    
+    // Abandonar o assistente expirado em vez de interpretar a mensagem nele
+    if (isIdle(stateData)) {
+      await abandonConversation(client, phoneNumber, stateData);
+      return;
+    }
+    
+    // Verificar comandos globais
+    const commandProcessed = await processGlobalCommand(client, message, stateData);
+    
+    if (commandProcessed) {
+      return;
+    }
+    
+    // Verificar atalhos de operador (entrada/saida/placa/#buscar)
+    const shortcutProcessed = await processShortcut(client, message, stateData, stateManager);
+    
+    if (shortcutProcessed) {
+      return;
+    }
+    
+    // Rotear mensagem com base no estado
+    await routeMessage(client, message, stateData);
+    
+  } catch (error) {
+    logger.error(`Erro ao processar mensagem: ${error.message}`);
+    
+    // Enviar mensagem de erro genérica
+    await client.sendText(message.from, translator(locale)('common.genericErrorCancel'));
+  } finally {
+    metrics.messagesTotal.inc({ state: stateLabel });
+    endTimer({ state: stateLabel });
+  }
+};
+
+/**
+ * Obtém as métricas da fila de processamento por remetente
+ * @returns {Object} - Métricas da fila
+ */
+const getQueueMetrics = () => senderQueue.getMetrics();
+
+/**
+ * Processa comandos globais disponíveis em qualquer estado
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @returns {Promise<boolean>} - true se um comando global foi processado
+ */
+const processGlobalCommand = async (client, message, stateData) => {
+  // Verificar se é uma mensagem de texto
+  if (message.type !== 'chat' || !message.body) {
+    return false;
+  }
+  
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const command = message.body.trim().toLowerCase();
+  const isAuthenticated = !!stateData.context.sessionId;
+  const t = translator(stateData.context.language);
+  
+  // Troca de idioma, com o código opcional (#idioma es)
+  const languageCommand = command.match(/^#(?:idioma|language)(?:\s+(\S+))?$/);
+  
+  if (languageCommand) {
+    await changeLanguage(client, from, stateData, languageCommand[1]);
+    return true;
+  }
+  
+  // Comandos de usuários autenticados, liberados conforme a permissão do papel
+  for (const restrictedCommand of COMMANDS) {
+    const match = command.match(restrictedCommand.pattern);
+    
+    if (!match) {
+      continue;
+    }
+    
+    if (!isAuthenticated) {
+      await client.sendText(from, t('auth.notAuthenticated'));
+      return true;
+    }
+    
+    if (!can(stateData.context.userRole, restrictedCommand.permission)) {
+      logger.warn(`Comando ${match[0].split(/\s/)[0]} negado para ${phoneNumber}`);
+      await client.sendText(from, t('common.permissionDenied'));
+      return true;
+    }
+    
+    await restrictedCommand.handler(client, message, stateData, match);
+    return true;
+  }
+  
+  switch (command) {
+    case '#cancelar':
+    case '#cancel':
+    case '#menu':
+      if (isAuthenticated) {
+        // Voltar ao menu principal
+        await stateManager.setState(phoneNumber, 'authenticated');
+        await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+      } else if (command === '#menu') {
+        await client.sendText(from, t('auth.menuRequiresAuth'));
+      } else {
+        // Reiniciar autenticação
+        await stateManager.setState(phoneNumber, 'initial');
+        await sendWelcome(client, from, '', t.locale);
       }
+      return true;
       
-      // Rotear mensagem com base no estado
-      await routeMessage(client, message, stateData);
+    case '#ajuda':
+    case '#ayuda':
+    case '#help':
+      await client.sendText(from, buildHelpMessage(stateData.state, t, isAuthenticated, stateData.context.userRole));
+      return true;
       
-    } catch (error) {
-      logger.error(`Erro ao processar mensagem: ${error.message}`);
+    case '#sair':
+    case '#salir':
+    case '#exit':
+      if (isAuthenticated) {
+        await authModule.logout(client, from, stateData, stateManager);
+      } else {
+        await client.sendText(from, t('auth.notAuthenticated'));
+      }
+      return true;
       
-      // Enviar mensagem de erro genérica
-      await client.sendText(message.from, 
-        '❌ Ocorreu um erro ao processar sua solicitação. Por favor, tente novamente ou digite *#cancelar* para voltar ao menu principal.'
-      );
-    }
-  });
+    default:
+      return false;
+  }
 };
 
 /**
- * Manipula comando de cancelamento
+ * Altera o idioma das mensagens do usuário
+ * Sem código, exibe o idioma atual e as opções; autenticado, a preferência é salva no cadastro
  * @param {Object} client - Cliente WhatsApp
- * @param {Object} message - Mensagem recebida
+ * @param {string} from - Chat do usuário
+ * @param {Object} stateData - Dados do estado atual
+ * @param {string} requested - Código do idioma informado (opcional)
  * @returns {Promise<void>}
  */
-const handleCancelCommand = async (client, message) => {
-  const from = message.from;
+const changeLanguage = async (client, from, stateData, requested) => {
   const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
   
-  // Obter estado atual
-  const stateData = await stateManager.getState(phoneNumber);
+  if (!requested) {
+    await client.sendText(from, t('language.menu', { current: t(`language.names.${t.locale}`) }));
+    return;
+  }
   
-  // Verificar se o usuário está autenticado
-  if (stateData && stateData.state === 'authenticated') {
-    // Enviar menu principal
-    await authModule.sendMainMenu(client, from, stateData.context.userRole);
-  } else {
-    // Resetar estado
-    await stateManager.setState(phoneNumber, 'initial');
+  const language = normalizeLocale(requested);
+  
+  if (!language) {
+    await client.sendText(from, t('language.invalid'));
+    return;
+  }
+  
+  await stateManager.updateContext(phoneNumber, { language });
+  
+  if (stateData.context.userId) {
+    await User.updateOne({ _id: stateData.context.userId }, { language });
     
-    // Enviar mensagem de boas-vindas
-    await client.sendText(from, 
-      '👋 *Bem-vindo ao Sistema de Estacionamento da Comunidade Ser* 👋\n\n' +
-      'Para acessar o sistema, por favor, envie seu número de WhatsApp (o mesmo que está cadastrado no sistema).'
+    // Registrar log de auditoria
+    await AuditLog.logAction(
+      stateData.context.userId,
+      phoneNumber,
+      'language_changed',
+      { before: stateData.context.language || null, after: language }
     );
   }
+  
+  const newT = translator(language);
+  await client.sendText(from, newT('language.changed', { language: newT(`language.names.${language}`) }));
+  
+  logger.debug(`Idioma de ${phoneNumber} alterado para ${language}`);
+};
+
+/**
+ * Monta a mensagem de ajuda contextual
+ * @param {string} state - Estado atual
+ * @param {Function} t - Função de tradução do usuário
+ * @param {boolean} isAuthenticated - Se o usuário está autenticado (exibe os atalhos)
+ * @param {string} role - Papel do usuário (exibe os comandos de administração permitidos)
+ * @returns {string} - Mensagem de ajuda
+ */
+const buildHelpMessage = (state, t, isAuthenticated, role) => {
+  let helpMessage = `${t('help.title')}\n\n`;
+  
+  // Ajuda do estado atual, declarada pelo módulo
+  const stateHelp = stateMachine.getHelp(state);
+  
+  if (stateHelp) {
+    helpMessage += `${t(stateHelp)}\n`;
+  }
+  
+  // Comandos globais disponíveis em qualquer estado
+  helpMessage += `\n${t('help.globalCommands')}`;
+  
+  // Atalhos de operador
+  if (isAuthenticated) {
+    helpMessage += `\n\n${t('help.shortcuts')}`;
+  }
+  
+  // Comandos de administração
+  if (isAuthenticated && ['user.manage', 'role.manage', 'audit.view'].some(permission => can(role, permission))) {
+    helpMessage += `\n\n${t('help.adminCommands')}`;
+  }
+  
+  return helpMessage;
+};
+
+/**
+ * Envia a mensagem de boas-vindas
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} to - Chat de destino
+ * @param {string} notice - Aviso exibido antes das instruções (opcional)
+ * @param {string} locale - Idioma da mensagem (opcional)
+ * @returns {Promise<void>}
+ */
+const sendWelcome = async (client, to, notice = '', locale = null) => {
+  const t = translator(locale);
+  
+  await client.sendText(to, t('welcome.message', { notice: notice ? `${notice}\n\n` : '' }));
 };
 
 /**
@@ -115,14 +400,83 @@ const handleNewUser = async (client, message) => {
   const from = message.from;
   const phoneNumber = from.replace(/@c\.us$/, '');
   
+  // Restaurar sessão ativa do aparelho, se existir
+  const restoreResult = await authService.restoreSession(phoneNumber);
+  
+  if (restoreResult.success) {
+    const user = restoreResult.user;
+    const t = translator(user.language);
+    
+    await stateManager.setState(phoneNumber, 'authenticated');
+    await stateManager.updateContext(phoneNumber, { 
+      userId: user.id,
+      userName: user.fullName,
+      userRole: user.role,
+      language: t.locale,
+      sessionId: restoreResult.sessionId
+    });
+    
+    // Registrar log de auditoria
+    await AuditLog.logAction(
+      user.id,
+      phoneNumber,
+      'auth_session_restored',
+      { deviceInfo: `WhatsApp ${phoneNumber}` }
+    );
+    
+    metrics.authEventsTotal.inc({ event: 'session_restored' });
+    
+    await client.sendText(from, t('welcome.back', { name: user.fullName }));
+    
+    // Enviar menu principal
+    await authModule.sendMainMenu(client, from, user.role, t.locale);
+    
+    logger.debug(`Sessão restaurada para o usuário ${user.id}`);
+    return;
+  }
+  
   // Definir estado inicial
   await stateManager.setState(phoneNumber, 'initial');
   
-  // Enviar mensagem de boas-vindas
-  await client.sendText(from, 
-    '👋 *Bem-vindo ao Sistema de Estacionamento da Comunidade Ser* 👋\n\n' +
-    'Para acessar o sistema, por favor, envie seu número de WhatsApp (o mesmo que está cadastrado no sistema).'
-  );
+  // Enviar mensagem de boas-vindas no idioma padrão, já que o usuário ainda não foi identificado
+  const t = translator(null);
+  await sendWelcome(client, from, restoreResult.expired ? t('welcome.sessionExpired') : '');
+};
+
+/**
+ * Verifica se a sessão vinculada ao estado atual continua válida
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @returns {Promise<boolean>} - true se a sessão é válida
+ */
+const checkSession = async (client, message, stateData) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  // A sessão só vale no aparelho que a abriu
+  const validation = await authService.validateSession(stateData.context.sessionId, phoneNumber);
+  
+  if (validation.valid) {
+    // Refletir alterações de papel feitas pelo administrador
+    if (validation.user.role !== stateData.context.userRole) {
+      await stateManager.updateContext(phoneNumber, { userRole: validation.user.role });
+      stateData.context.userRole = validation.user.role;
+    }
+    
+    return true;
+  }
+  
+  logger.debug(`Sessão inválida para ${phoneNumber}: ${validation.message}`);
+  
+  // Forçar nova autenticação
+  await stateManager.clearState(phoneNumber);
+  await stateManager.setState(phoneNumber, 'initial');
+  
+  await client.sendText(from, t('session.ended', { reason: t(`session.reasons.${validation.reason}`) }));
+  
+  return false;
 };
 
 /**
@@ -133,66 +487,42 @@ const handleNewUser = async (client, message) => {
  * @returns {Promise<void>}
  */
 const routeMessage = async (client, message, stateData) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
   const state = stateData.state;
+  const t = translator(stateData.context.language);
   
-  switch (state) {
-    case 'initial':
-      // Iniciar autenticação
-      await authModule.handleInitialState(client, message, stateData, stateManager);
-      break;
-      
-    case 'awaiting_code':
-      // Verificar código de autenticação
-      await authModule.handleAwaitingCode(client, message, stateData, stateManager);
-      break;
-      
-    case 'authenticated':
-      // Processar comando no menu principal
-      await authModule.handleAuthenticated(client, message, stateData, stateManager);
-      break;
-      
-    case 'recognizing_plate':
-      // Processar reconhecimento de placa
-      await vehicleModule.handlePlateRecognition(client, message, stateData, stateManager);
-      break;
-      
-    case 'plate_action':
-      // Processar ação sobre placa reconhecida
-      await vehicleModule.handlePlateAction(client, message, stateData, stateManager);
-      break;
-      
-    case 'registering_vehicle':
-      // Processar cadastro de veículo
-      await vehicleModule.handleRegisteringVehicle(client, message, stateData, stateManager);
-      break;
-      
-    case 'registering_driver':
-      // Processar cadastro de motorista
-      await driverModule.handleRegisteringDriver(client, message, stateData, stateManager);
-      break;
-      
-    case 'sending_notification':
-      // Processar envio de notificação
-      await notificationModule.handleSendingNotification(client, message, stateData, stateManager);
-      break;
-      
-    case 'managing_users':
-      // Processar gerenciamento de usuários
-      await userModule.handleManagingUsers(client, message, stateData, stateManager);
-      break;
-      
-    default:
-      // Estado desconhecido, voltar ao estado inicial
-      logger.warn(`Estado desconhecido: ${state}`);
-      await stateManager.setState(message.from.replace(/@c\.us$/, ''), 'initial');
-      
-      await client.sendText(message.from, 
-        '❌ Ocorreu um erro ao processar sua solicitação. Por favor, tente novamente.'
-      );
-      break;
+  const definition = stateMachine.getDefinition(state);
+  
+  if (!definition) {
+    // Estado desconhecido, voltar ao estado inicial
+    logger.warn(`Estado desconhecido: ${state}`);
+    await stateManager.setState(phoneNumber, 'initial');
+    
+    await client.sendText(from, t('common.genericError'));
+    return;
+  }
+  
+  // Verificar se o papel do usuário pode acessar o estado
+  if (!stateMachine.isAllowed(state, stateData.context.userRole)) {
+    logger.warn(`Acesso negado ao estado ${state} para ${phoneNumber}`);
+    
+    await client.sendText(from, t('common.permissionDenied'));
+    
+    if (stateData.context.sessionId) {
+      await stateManager.setState(phoneNumber, 'authenticated');
+      await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+    } else {
+      await stateManager.setState(phoneNumber, 'initial');
+    }
+    return;
   }
+  
+  // Executar o manipulador do módulo, aceitando apenas as transições declaradas
+  await definition.handler(client, message, stateData, stateMachine.guardStateManager(stateManager, state));
 };
 
 module.exports = {
-  setupMessageHandler
+  setupMessageHandler,
+  getQueueMetrics
 };
@@ -0,0 +1,149 @@
+/**
+ * Testes dos fluxos de conversa conduzidos pelo transporte em memória, como no simulador
+ */
+
+jest.mock('./idle-monitor', () => ({
+  ...jest.requireActual('./idle-monitor'),
+  startIdleMonitor: jest.fn()
+}));
+
+const stateManager = require('./state-manager');
+const { createMemoryStore } = require('./state-stores');
+const { createMockTransport } = require('./transport/mock-transport');
+const { translator } = require('./i18n');
+const { setupMessageHandler } = require('./message-handler');
+const { abandonConversation } = require('./idle-monitor');
+const authService = require('../services/auth-service');
+const outboundQueue = require('../services/outbound-queue');
+const AuditLog = require('../data/models/AuditLog');
+const Vehicle = require('../data/models/Vehicle');
+const Driver = require('../data/models/Driver');
+const ParkingLog = require('../data/models/ParkingLog');
+const RecognitionLog = require('../data/models/RecognitionLog');
+
+const OPERATOR = '5592988887777';
+const t = translator('pt-BR');
+
+const user = { id: '64b000000000000000000001', fullName: 'Operador', role: 'operator' };
+const vehicle = { _id: 'v1', licensePlate: 'ABC1234', make: 'Fiat', model: 'Uno', color: 'Branco', driverId: 'd1' };
+const driver = { _id: 'd1', fullName: 'Maria Silva', whatsapp: '92977776666', memberStatus: 'member', notifyOnEntry: true };
+
+let transport;
+
+/**
+ * Envia mensagens do operador e devolve os textos respondidos pelo bot
+ * @param {...string} bodies - Mensagens enviadas
+ * @returns {Promise<Array<string>>} - Respostas do bot
+ */
+const say = async (...bodies) => {
+  transport.clearSentMessages();
+
+  for (const body of bodies) {
+    await transport.injectText(OPERATOR, body);
+  }
+
+  return transport.getSentMessages(OPERATOR).map(sent => sent.text);
+};
+
+/**
+ * Autentica o operador
+ * @returns {Promise<void>}
+ */
+const login = () => say('oi', '92988887777', '123456');
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  stateManager.setStore(createMemoryStore());
+
+  jest.spyOn(authService, 'restoreSession').mockResolvedValue({ success: false });
+  jest.spyOn(authService, 'initiateAuth').mockResolvedValue({ success: true, code: '123456' });
+  jest.spyOn(authService, 'verifyCode').mockResolvedValue({ success: true, user, sessionId: 's1' });
+  jest.spyOn(authService, 'validateSession').mockResolvedValue({ valid: true, user });
+  jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+  jest.spyOn(RecognitionLog, 'create').mockResolvedValue({});
+  jest.spyOn(outboundQueue, 'enqueue').mockResolvedValue({});
+
+  transport = createMockTransport();
+  setupMessageHandler(transport);
+});
+
+describe('autenticação', () => {
+  it('pede o número, envia o código e abre o menu principal', async () => {
+    const replies = await login();
+
+    expect(authService.initiateAuth).toHaveBeenCalledWith('92988887777', OPERATOR);
+    expect(authService.verifyCode).toHaveBeenCalledWith('92988887777', '123456', `WhatsApp ${OPERATOR}`, OPERATOR);
+    expect(replies).toContain(t('auth.codeSent', { number: '92988887777' }));
+    expect(replies).toContain(t('auth.success', { name: 'Operador' }));
+    expect(AuditLog.logAction).toHaveBeenCalledWith(user.id, OPERATOR, 'auth_success', expect.any(Object));
+    expect((await stateManager.getState(OPERATOR)).state).toBe('authenticated');
+  });
+
+  it('recusa números em formato inválido', async () => {
+    const replies = await say('oi', '123');
+
+    expect(replies).toContain(t('auth.invalidNumber'));
+    expect(authService.initiateAuth).not.toHaveBeenCalled();
+  });
+});
+
+describe('reconhecimento de placa', () => {
+  beforeEach(async () => {
+    jest.spyOn(Driver, 'findById').mockResolvedValue(driver);
+    jest.spyOn(ParkingLog, 'findOne').mockResolvedValue(null);
+
+    await login();
+  });
+
+  it('oferece o cadastro de placas desconhecidas', async () => {
+    jest.spyOn(Vehicle, 'findOne').mockResolvedValue(null);
+
+    const replies = await say('1', 'QQQ1A11');
+
+    expect(replies[replies.length - 1]).toContain(t('plate.unregistered', { plate: 'QQQ1A11' }));
+    expect((await stateManager.getState(OPERATOR)).context).toMatchObject({ recognizedPlate: 'QQQ1A11', isRegistered: false });
+  });
+
+  it('registra a entrada de um veículo cadastrado e avisa o motorista', async () => {
+    jest.spyOn(Vehicle, 'findOne').mockResolvedValue(vehicle);
+    jest.spyOn(ParkingLog, 'create').mockImplementation(async (data) => ({ _id: 'p1', ...data }));
+
+    await say('1', 'ABC1234');
+    const replies = await say('1');
+
+    expect(ParkingLog.create).toHaveBeenCalledWith(expect.objectContaining({ vehicleId: 'v1', driverId: 'd1', registeredBy: user.id }));
+    expect(AuditLog.logAction).toHaveBeenCalledWith(user.id, OPERATOR, 'parking_entry', expect.any(Object));
+    expect(outboundQueue.enqueue).toHaveBeenCalledWith('5592977776666@c.us', expect.stringContaining('ABC1234'));
+    expect(replies[0]).toContain('ABC1234');
+  });
+
+  it('recusa a entrada de um veículo removido com o menu aberto', async () => {
+    jest.spyOn(Vehicle, 'findOne').mockResolvedValueOnce(vehicle).mockResolvedValue(null);
+    jest.spyOn(ParkingLog, 'create');
+
+    await say('1', 'ABC1234');
+    const replies = await say('1');
+
+    expect(replies[0]).toBe(t('vehicle.notFound'));
+    expect(ParkingLog.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('inatividade', () => {
+  it('volta ao menu descartando os dados do assistente e mantendo a sessão', async () => {
+    jest.spyOn(Vehicle, 'findOne').mockResolvedValue(null);
+
+    await login();
+    await say('1', 'QQQ1A11');
+    await stateManager.updateContext(OPERATOR, { vehicleRegistrationStep: 'make' });
+
+    transport.clearSentMessages();
+    await abandonConversation(transport, OPERATOR, await stateManager.getState(OPERATOR));
+
+    const stateData = await stateManager.getState(OPERATOR);
+
+    expect(stateData.state).toBe('authenticated');
+    expect(stateData.context).toEqual({ userId: user.id, userName: 'Operador', userRole: 'operator', language: 'pt-BR', sessionId: 's1' });
+    expect(transport.getSentMessages(OPERATOR)[0].text).toBe(t('idle.expired'));
+  });
+});
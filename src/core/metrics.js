@@ -0,0 +1,104 @@
+/**
+ * Métricas de operação do bot no formato Prometheus
+ * Os módulos incrementam os contadores e histogramas abaixo; o endpoint /metrics
+ * expõe o registro completo, incluindo as métricas padrão do processo Node.js
+ */
+
+const promClient = require('prom-client');
+const mongoose = require('mongoose');
+const ParkingLog = require('../data/models/ParkingLog');
+
+// Prefixo comum de todas as métricas
+const PREFIX = 'parking_bot_';
+
+const registry = new promClient.Registry();
+
+promClient.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+// Mensagens recebidas por estado de conversação (new = sem estado, group = grupo de operadores)
+const messagesTotal = new promClient.Counter({
+  name: `${PREFIX}messages_total`,
+  help: 'Mensagens recebidas por estado de conversação',
+  labelNames: ['state'],
+  registers: [registry]
+});
+
+// Tempo de processamento de cada mensagem, por estado
+const handlerDuration = new promClient.Histogram({
+  name: `${PREFIX}handler_duration_seconds`,
+  help: 'Tempo de processamento das mensagens por estado de conversação',
+  labelNames: ['state'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+// Reconhecimentos de placa por foto (success ou failure)
+const plateRecognitionsTotal = new promClient.Counter({
+  name: `${PREFIX}plate_recognitions_total`,
+  help: 'Reconhecimentos de placa por foto, por resultado',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+// Tempo do reconhecimento de placa (processingTimeMs do RecognitionLog, em segundos)
+const plateRecognitionDuration = new promClient.Histogram({
+  name: `${PREFIX}plate_recognition_duration_seconds`,
+  help: 'Tempo de execução do reconhecedor de placas',
+  labelNames: ['result'],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+  registers: [registry]
+});
+
+// Entradas e saídas registradas
+const parkingEventsTotal = new promClient.Counter({
+  name: `${PREFIX}parking_events_total`,
+  help: 'Entradas e saídas de veículos registradas',
+  labelNames: ['type'],
+  registers: [registry]
+});
+
+// Eventos de autenticação (code_sent, unknown_number, error, code_rejected, login, session_restored, logout)
+const authEventsTotal = new promClient.Counter({
+  name: `${PREFIX}auth_events_total`,
+  help: 'Eventos de autenticação por tipo',
+  labelNames: ['event'],
+  registers: [registry]
+});
+
+// Envios da fila de saída (kind: notification ou message; status: sent, retry ou dead)
+const outboundMessagesTotal = new promClient.Counter({
+  name: `${PREFIX}outbound_messages_total`,
+  help: 'Tentativas de envio da fila de mensagens de saída por resultado',
+  labelNames: ['kind', 'status'],
+  registers: [registry]
+});
+
+// Veículos no estacionamento, consultados a cada coleta
+new promClient.Gauge({
+  name: `${PREFIX}parked_vehicles`,
+  help: 'Veículos atualmente no estacionamento',
+  registers: [registry],
+  async collect() {
+    if (mongoose.connection.readyState === 1) {
+      this.set(await ParkingLog.countDocuments({ exitTime: null }));
+    }
+  }
+});
+
+/**
+ * Obtém as métricas no formato de texto do Prometheus
+ * @returns {Promise<string>} - Métricas serializadas
+ */
+const getMetrics = () => registry.metrics();
+
+module.exports = {
+  contentType: registry.contentType,
+  getMetrics,
+  messagesTotal,
+  handlerDuration,
+  plateRecognitionsTotal,
+  plateRecognitionDuration,
+  parkingEventsTotal,
+  authEventsTotal,
+  outboundMessagesTotal
+};
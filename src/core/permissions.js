@@ -0,0 +1,188 @@
+/**
+ * Matriz de permissões do bot WhatsApp
+ * Define o que cada papel pode fazer. Os papéis padrão (admin, operator e viewer) são fixos;
+ * os papéis personalizados são criados pelos administradores e ficam na coleção roles.
+ * Estados, opções de menu, atalhos e comandos declaram a permissão exigida e são verificados aqui.
+ */
+
+const { createLogger } = require('./logger');
+const Role = require('../data/models/Role');
+const User = require('../data/models/User');
+
+const logger = createLogger('permissions');
+
+// Permissões disponíveis
+const PERMISSIONS = [
+  'menu.access',             // Acessar o menu principal
+  'plate.recognize',         // Consultar placas (foto ou texto)
+  'parking.entry',           // Registrar entrada no estacionamento
+  'parking.exit',            // Registrar saída do estacionamento
+  'vehicle.create',          // Cadastrar veículos
+  'vehicle.update',          // Corrigir marca, modelo e cor de veículos
+  'vehicle.transfer',        // Transferir veículos para outro motorista
+  'vehicle.delete',          // Remover veículos
+  'driver.create',           // Cadastrar motoristas
+  'driver.search',           // Buscar motoristas e ver o perfil
+  'driver.update',           // Corrigir dados de motoristas
+  'driver.merge',            // Mesclar cadastros duplicados de motoristas
+  'notification.send',       // Notificar um motorista
+  'notification.broadcast',  // Notificar todos os membros ou visitantes
+  'group.commands',          // Usar comandos no grupo de operadores
+  'user.manage',             // Gerenciar usuários e aprovar trocas de número
+  'role.manage',             // Criar papéis personalizados e atribuir papéis
+  'audit.view'               // Consultar o log de auditoria
+];
+
+// Permissões de cada papel padrão
+const BUILT_IN_ROLES = {
+  admin: PERMISSIONS,
+  operator: PERMISSIONS.filter(permission => !['vehicle.delete', 'driver.merge', 'user.manage', 'role.manage', 'audit.view'].includes(permission)),
+  viewer: ['menu.access', 'plate.recognize', 'driver.search']
+};
+
+// Nomes aceitos para papéis personalizados
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{2,29}$/;
+
+// Papéis personalizados carregados do banco (nome → permissões)
+let customRoles = new Map();
+
+/**
+ * Carrega os papéis personalizados do banco de dados
+ * @returns {Promise<void>}
+ */
+const loadRoles = async () => {
+  const roles = await Role.find();
+
+  customRoles = new Map(roles.map(role => [role.name, role.permissions]));
+
+  logger.info(`${customRoles.size} papel(éis) personalizado(s) carregado(s)`);
+};
+
+/**
+ * Obtém as permissões de um papel
+ * @param {string} role - Papel
+ * @returns {Array<string>} - Permissões (vazia para papéis desconhecidos)
+ */
+const getPermissions = (role) => {
+  return BUILT_IN_ROLES[role] || customRoles.get(role) || [];
+};
+
+/**
+ * Verifica se um papel tem uma permissão
+ * @param {string} role - Papel
+ * @param {string|null} permission - Permissão exigida (null para ações públicas)
+ * @returns {boolean} - true se a ação é permitida
+ */
+const can = (role, permission) => {
+  return !permission || getPermissions(role).includes(permission);
+};
+
+/**
+ * Verifica se um papel existe
+ * @param {string} role - Papel
+ * @returns {boolean} - true se o papel é padrão ou personalizado
+ */
+const roleExists = (role) => {
+  return !!BUILT_IN_ROLES[role] || customRoles.has(role);
+};
+
+/**
+ * Lista os papéis padrão e personalizados
+ * @returns {Array<Object>} - Papéis ({ name, permissions, builtIn })
+ */
+const listRoles = () => {
+  const builtIn = Object.entries(BUILT_IN_ROLES)
+    .map(([name, permissions]) => ({ name, permissions, builtIn: true }));
+
+  const custom = [...customRoles.entries()]
+    .map(([name, permissions]) => ({ name, permissions, builtIn: false }));
+
+  return [...builtIn, ...custom];
+};
+
+/**
+ * Cria ou atualiza um papel personalizado
+ * @param {string} name - Nome do papel
+ * @param {Array<string>} permissions - Permissões concedidas
+ * @param {string} userId - Administrador responsável
+ * @returns {Promise<Object>} - Resultado ({ success, reason, invalid, before, created })
+ */
+const saveRole = async (name, permissions, userId) => {
+  const roleName = name.toLowerCase();
+
+  if (!ROLE_NAME_PATTERN.test(roleName)) {
+    return { success: false, reason: 'invalid_name' };
+  }
+
+  if (BUILT_IN_ROLES[roleName]) {
+    return { success: false, reason: 'built_in' };
+  }
+
+  const invalid = permissions.filter(permission => !PERMISSIONS.includes(permission));
+
+  if (invalid.length > 0 || permissions.length === 0) {
+    return { success: false, reason: 'invalid_permissions', invalid };
+  }
+
+  const unique = [...new Set(permissions)];
+  const existing = await Role.findOne({ name: roleName });
+  const before = existing ? [...existing.permissions] : null;
+
+  if (existing) {
+    existing.permissions = unique;
+    existing.updatedAt = new Date();
+    await existing.save();
+  } else {
+    await Role.create({ name: roleName, permissions: unique, createdBy: userId });
+  }
+
+  customRoles.set(roleName, unique);
+
+  logger.info(`Papel ${roleName} ${existing ? 'atualizado' : 'criado'}: ${unique.join(', ')}`);
+
+  return { success: true, name: roleName, permissions: unique, before, created: !existing };
+};
+
+/**
+ * Remove um papel personalizado sem usuários atribuídos
+ * @param {string} name - Nome do papel
+ * @returns {Promise<Object>} - Resultado ({ success, reason, permissions, users })
+ */
+const deleteRole = async (name) => {
+  const roleName = name.toLowerCase();
+
+  if (BUILT_IN_ROLES[roleName]) {
+    return { success: false, reason: 'built_in' };
+  }
+
+  const role = await Role.findOne({ name: roleName });
+
+  if (!role) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const users = await User.countDocuments({ role: roleName });
+
+  if (users > 0) {
+    return { success: false, reason: 'in_use', users };
+  }
+
+  await Role.deleteOne({ _id: role._id });
+  customRoles.delete(roleName);
+
+  logger.info(`Papel ${roleName} removido`);
+
+  return { success: true, name: roleName, permissions: role.permissions };
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  loadRoles,
+  getPermissions,
+  can,
+  roleExists,
+  listRoles,
+  saveRole,
+  deleteRole
+};
@@ -0,0 +1,114 @@
+/**
+ * Testes da matriz de permissões
+ */
+
+let permissions;
+let Role;
+let User;
+
+beforeEach(() => {
+  // Os papéis personalizados ficam em memória no módulo: cada teste parte sem nenhum
+  jest.isolateModules(() => {
+    permissions = require('./permissions');
+    Role = require('../data/models/Role');
+    User = require('../data/models/User');
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('can', () => {
+  it('concede todas as permissões ao administrador', () => {
+    permissions.PERMISSIONS.forEach(permission => {
+      expect(permissions.can('admin', permission)).toBe(true);
+    });
+  });
+
+  it('restringe as ações administrativas do operador', () => {
+    expect(permissions.can('operator', 'parking.entry')).toBe(true);
+    expect(permissions.can('operator', 'vehicle.transfer')).toBe(true);
+    expect(permissions.can('operator', 'driver.update')).toBe(true);
+
+    ['vehicle.delete', 'driver.merge', 'user.manage', 'role.manage', 'audit.view'].forEach(permission => {
+      expect(permissions.can('operator', permission)).toBe(false);
+    });
+  });
+
+  it('limita o visualizador às consultas', () => {
+    expect(permissions.can('viewer', 'plate.recognize')).toBe(true);
+    expect(permissions.can('viewer', 'driver.search')).toBe(true);
+    expect(permissions.can('viewer', 'parking.entry')).toBe(false);
+    expect(permissions.can('viewer', 'vehicle.create')).toBe(false);
+  });
+
+  it('permite ações públicas a qualquer papel e nega o resto a papéis desconhecidos', () => {
+    expect(permissions.can('desconhecido', null)).toBe(true);
+    expect(permissions.can('desconhecido', 'menu.access')).toBe(false);
+  });
+});
+
+describe('saveRole', () => {
+  it('cria um papel personalizado e passa a aplicá-lo', async () => {
+    jest.spyOn(Role, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Role, 'create').mockResolvedValue({});
+
+    const result = await permissions.saveRole('Portaria', ['parking.entry', 'parking.exit', 'parking.entry'], 'u1');
+
+    expect(result).toEqual({ success: true, name: 'portaria', permissions: ['parking.entry', 'parking.exit'], before: null, created: true });
+    expect(Role.create).toHaveBeenCalledWith({ name: 'portaria', permissions: ['parking.entry', 'parking.exit'], createdBy: 'u1' });
+    expect(permissions.roleExists('portaria')).toBe(true);
+    expect(permissions.can('portaria', 'parking.exit')).toBe(true);
+    expect(permissions.can('portaria', 'vehicle.create')).toBe(false);
+  });
+
+  it('atualiza um papel existente e devolve as permissões anteriores', async () => {
+    const existing = { name: 'portaria', permissions: ['parking.entry'], save: jest.fn().mockResolvedValue() };
+    jest.spyOn(Role, 'findOne').mockResolvedValue(existing);
+
+    const result = await permissions.saveRole('portaria', ['parking.exit'], 'u1');
+
+    expect(result).toMatchObject({ success: true, before: ['parking.entry'], created: false });
+    expect(existing.permissions).toEqual(['parking.exit']);
+    expect(existing.save).toHaveBeenCalled();
+    expect(permissions.can('portaria', 'parking.entry')).toBe(false);
+  });
+
+  it('recusa nomes inválidos, papéis padrão e permissões desconhecidas', async () => {
+    jest.spyOn(Role, 'findOne');
+
+    await expect(permissions.saveRole('x', ['parking.entry'], 'u1')).resolves.toEqual({ success: false, reason: 'invalid_name' });
+    await expect(permissions.saveRole('Operator', ['parking.entry'], 'u1')).resolves.toEqual({ success: false, reason: 'built_in' });
+    await expect(permissions.saveRole('portaria', ['parking.entry', 'tudo'], 'u1'))
+      .resolves.toEqual({ success: false, reason: 'invalid_permissions', invalid: ['tudo'] });
+    await expect(permissions.saveRole('portaria', [], 'u1'))
+      .resolves.toEqual({ success: false, reason: 'invalid_permissions', invalid: [] });
+    expect(Role.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('deleteRole', () => {
+  it('recusa papéis atribuídos a usuários', async () => {
+    jest.spyOn(Role, 'findOne').mockResolvedValue({ _id: 'r1', name: 'portaria', permissions: ['parking.entry'] });
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Role, 'deleteOne');
+
+    await expect(permissions.deleteRole('portaria')).resolves.toEqual({ success: false, reason: 'in_use', users: 2 });
+    expect(Role.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('remove papéis sem usuários', async () => {
+    jest.spyOn(Role, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Role, 'create').mockResolvedValue({});
+    await permissions.saveRole('portaria', ['parking.entry'], 'u1');
+
+    Role.findOne.mockResolvedValue({ _id: 'r1', name: 'portaria', permissions: ['parking.entry'] });
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Role, 'deleteOne').mockResolvedValue({});
+
+    await expect(permissions.deleteRole('portaria')).resolves.toMatchObject({ success: true, name: 'portaria' });
+    expect(Role.deleteOne).toHaveBeenCalledWith({ _id: 'r1' });
+    expect(permissions.roleExists('portaria')).toBe(false);
+  });
+});
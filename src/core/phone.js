@@ -0,0 +1,69 @@
+/**
+ * Utilitários de números de telefone para o bot WhatsApp
+ */
+
+const config = require('../config/config');
+
+/**
+ * Converte um número cadastrado (DDD + número) em identificador de chat do WhatsApp
+ * @param {string} number - Número de telefone, com ou sem código do país
+ * @returns {string} - Identificador de chat (ex.: 5592999999999@c.us)
+ */
+const toChatId = (number) => {
+  if (number.includes('@')) {
+    return number;
+  }
+  
+  const digits = number.replace(/\D/g, '');
+  
+  // Números cadastrados sem código do país (10 ou 11 dígitos)
+  if (digits.length <= 11) {
+    return `${config.whatsapp.countryCode}${digits}@c.us`;
+  }
+  
+  return `${digits}@c.us`;
+};
+
+/**
+ * Converte um identificador de chat (ou número com código do país) no formato cadastrado
+ * @param {string} number - Identificador de chat ou número de telefone
+ * @returns {string} - Número sem código do país (ex.: 92999999999)
+ */
+const toLocalNumber = (number) => {
+  const digits = number.replace(/@c\.us$/, '').replace(/\D/g, '');
+  const countryCode = config.whatsapp.countryCode;
+  
+  if (digits.length > 11 && digits.startsWith(countryCode)) {
+    return digits.slice(countryCode.length);
+  }
+  
+  return digits;
+};
+
+/**
+ * Verifica se dois números (cadastrado ou identificador de chat) são da mesma linha
+ * Contas brasileiras antigas do WhatsApp usam o identificador sem o nono dígito do celular
+ * (559288887777), por isso ele é desconsiderado na comparação
+ * @param {string} first - Número ou identificador de chat
+ * @param {string} second - Número ou identificador de chat
+ * @returns {boolean} - true se os números são equivalentes
+ */
+const isSameNumber = (first, second) => {
+  const normalize = (number) => {
+    const local = toLocalNumber(number);
+    
+    if (config.whatsapp.countryCode === '55' && local.length === 11 && local[2] === '9') {
+      return local.slice(0, 2) + local.slice(3);
+    }
+    
+    return local;
+  };
+  
+  return normalize(first) === normalize(second);
+};
+
+module.exports = {
+  toChatId,
+  toLocalNumber,
+  isSameNumber
+};
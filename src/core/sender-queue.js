@@ -0,0 +1,102 @@
+/**
+ * Fila de processamento por remetente para o bot WhatsApp
+ * Garante que as mensagens de um mesmo remetente sejam processadas estritamente em ordem,
+ * enquanto remetentes diferentes continuam sendo atendidos em paralelo
+ */
+
+/**
+ * Cria uma fila de processamento por remetente
+ * @param {Object} options - Opções da fila
+ * @param {number} options.warnDepth - Profundidade a partir da qual um aviso é emitido
+ * @param {Function} options.onDepthWarning - Chamado quando a fila de um remetente atinge warnDepth
+ * @returns {Object} - Fila de processamento
+ */
+const createSenderQueue = (options = {}) => {
+  const warnDepth = options.warnDepth || 5;
+  const onDepthWarning = options.onDepthWarning || (() => {});
+  
+  // Fila de cada remetente: última tarefa encadeada e quantidade de tarefas pendentes
+  const queues = new Map();
+  
+  const metrics = {
+    processed: 0,
+    failed: 0,
+    peakDepth: 0,
+    lastProcessedAt: null
+  };
+  
+  /**
+   * Enfileira uma tarefa para um remetente
+   * @param {string} key - Identificador do remetente
+   * @param {Function} task - Tarefa assíncrona
+   * @returns {Promise<*>} - Resultado da tarefa
+   */
+  const enqueue = (key, task) => {
+    const queue = queues.get(key) || { tail: Promise.resolve(), depth: 0 };
+    
+    queue.depth += 1;
+    queues.set(key, queue);
+    
+    if (queue.depth > metrics.peakDepth) {
+      metrics.peakDepth = queue.depth;
+    }
+    
+    if (queue.depth >= warnDepth) {
+      onDepthWarning(key, queue.depth);
+    }
+    
+    // Executar somente após a conclusão da tarefa anterior do mesmo remetente
+    const run = queue.tail.then(() => task());
+    
+    queue.tail = run
+      .then(() => {
+        metrics.processed += 1;
+      }, () => {
+        metrics.failed += 1;
+      })
+      .then(() => {
+        queue.depth -= 1;
+        metrics.lastProcessedAt = new Date();
+        
+        // Liberar a fila quando não houver mais tarefas pendentes
+        if (queue.depth === 0 && queues.get(key) === queue) {
+          queues.delete(key);
+        }
+      });
+    
+    return run;
+  };
+  
+  /**
+   * Obtém as métricas da fila
+   * @returns {Object} - Métricas da fila
+   */
+  const getMetrics = () => {
+    let pending = 0;
+    let largestQueue = 0;
+    
+    queues.forEach(queue => {
+      pending += queue.depth;
+      largestQueue = Math.max(largestQueue, queue.depth);
+    });
+    
+    return {
+      activeSenders: queues.size,
+      pendingMessages: pending,
+      largestQueue,
+      peakDepth: metrics.peakDepth,
+      processed: metrics.processed,
+      failed: metrics.failed,
+      lastProcessedAt: metrics.lastProcessedAt
+    };
+  };
+  
+  return {
+    enqueue,
+    getMetrics
+  };
+};
+
+module.exports = {
+  createSenderQueue
+};
@@ -0,0 +1,93 @@
+/**
+ * Testes da fila de processamento por remetente
+ */
+
+const { createSenderQueue } = require('./sender-queue');
+
+/**
+ * Cria uma tarefa que só termina quando liberada
+ * @param {Array<string>} events - Registro dos eventos das tarefas
+ * @param {string} name - Nome da tarefa
+ * @returns {Object} - Tarefa e função que a libera
+ */
+const createTask = (events, name) => {
+  let release;
+  const done = new Promise((resolve) => {
+    release = resolve;
+  });
+
+  const task = async () => {
+    events.push(`${name}:início`);
+    await done;
+    events.push(`${name}:fim`);
+    return name;
+  };
+
+  return { task, release };
+};
+
+describe('createSenderQueue', () => {
+  it('processa as mensagens de um remetente em ordem, uma por vez', async () => {
+    const queue = createSenderQueue();
+    const events = [];
+    const first = createTask(events, 'a1');
+    const second = createTask(events, 'a2');
+
+    const firstRun = queue.enqueue('a', first.task);
+    const secondRun = queue.enqueue('a', second.task);
+
+    await new Promise(setImmediate);
+    expect(events).toEqual(['a1:início']);
+
+    second.release();
+    first.release();
+
+    await expect(firstRun).resolves.toBe('a1');
+    await expect(secondRun).resolves.toBe('a2');
+    expect(events).toEqual(['a1:início', 'a1:fim', 'a2:início', 'a2:fim']);
+  });
+
+  it('atende remetentes diferentes em paralelo', async () => {
+    const queue = createSenderQueue();
+    const events = [];
+    const blocked = createTask(events, 'a1');
+    const other = createTask(events, 'b1');
+
+    queue.enqueue('a', blocked.task);
+    other.release();
+
+    await expect(queue.enqueue('b', other.task)).resolves.toBe('b1');
+    expect(events).toEqual(['a1:início', 'b1:início', 'b1:fim']);
+
+    blocked.release();
+  });
+
+  it('continua a fila após uma tarefa com erro', async () => {
+    const queue = createSenderQueue();
+
+    const failed = queue.enqueue('a', async () => {
+      throw new Error('falha');
+    });
+    const next = queue.enqueue('a', async () => 'ok');
+
+    await expect(failed).rejects.toThrow('falha');
+    await expect(next).resolves.toBe('ok');
+    expect(queue.getMetrics()).toMatchObject({ processed: 1, failed: 1, pendingMessages: 0, activeSenders: 0 });
+  });
+
+  it('avisa quando a fila de um remetente atinge a profundidade configurada', async () => {
+    const onDepthWarning = jest.fn();
+    const queue = createSenderQueue({ warnDepth: 2, onDepthWarning });
+    const events = [];
+    const blocked = createTask(events, 'a1');
+
+    queue.enqueue('a', blocked.task);
+    const last = queue.enqueue('a', async () => 'a2');
+
+    expect(onDepthWarning).toHaveBeenCalledWith('a', 2);
+    expect(queue.getMetrics()).toMatchObject({ activeSenders: 1, pendingMessages: 2, largestQueue: 2, peakDepth: 2 });
+
+    blocked.release();
+    await last;
+  });
+});
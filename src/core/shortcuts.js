@@ -0,0 +1,128 @@
+/**
+ * Atalhos de operador para o bot WhatsApp
+ * Comandos de uma única mensagem, interpretados antes do roteamento por estado, que executam
+ * as mesmas ações do fluxo de placa: "entrada ABC1D23", "saida ABC1D23", "placa ABC1234"
+ * e "#buscar nome", além de "#motorista NÚMERO" para abrir o perfil de um motorista.
+ * Disponíveis apenas para usuários autenticados.
+ */
+
+const { createLogger } = require('./logger');
+const { can } = require('./permissions');
+const { translator } = require('./i18n');
+const vehicleModule = require('../modules/vehicle');
+const driverModule = require('../modules/driver');
+
+const logger = createLogger('shortcuts');
+
+// Palavras aceitas para cada atalho, nos idiomas suportados
+const SHORTCUTS = {
+  entry: ['entrada', 'entry'],
+  exit: ['saida', 'saída', 'salida', 'exit'],
+  plate: ['placa', 'plate'],
+  search: ['#buscar', '#search'],
+  profile: ['#motorista', '#driver', '#conductor']
+};
+
+// Permissão exigida por atalho
+const SHORTCUT_PERMISSIONS = {
+  entry: 'parking.entry',
+  exit: 'parking.exit',
+  plate: 'plate.recognize',
+  search: 'driver.search',
+  profile: 'driver.search'
+};
+
+/**
+ * Identifica um atalho no texto recebido
+ * Atalhos de placa só são reconhecidos com uma placa válida, para não capturar respostas
+ * de texto livre dos assistentes
+ * @param {string} text - Texto recebido
+ * @returns {Object|null} - Atalho ({ name, argument }) ou null
+ */
+const parseShortcut = (text) => {
+  const match = (text || '').trim().match(/^(\S+)(?:\s+(.+))?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const word = match[1].toLowerCase();
+  const argument = (match[2] || '').trim();
+  const name = Object.keys(SHORTCUTS).find(key => SHORTCUTS[key].includes(word));
+
+  if (!name) {
+    return null;
+  }
+
+  if (name === 'search' || name === 'profile') {
+    return { name, argument };
+  }
+
+  // Aceitar a placa com hífen ou espaço (ABC-1234, ABC 1D23)
+  const licensePlate = argument.replace(/[\s-]/g, '').toUpperCase();
+
+  if (!vehicleModule.isValidLicensePlate(licensePlate)) {
+    return null;
+  }
+
+  return { name, argument: licensePlate };
+};
+
+/**
+ * Executa o atalho contido na mensagem, se houver
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<boolean>} - true se um atalho foi executado
+ */
+const processShortcut = async (client, message, stateData, stateManager) => {
+  if (message.type !== 'chat' || !message.body || !stateData.context.sessionId) {
+    return false;
+  }
+
+  const shortcut = parseShortcut(message.body);
+
+  if (!shortcut) {
+    return false;
+  }
+
+  if (!can(stateData.context.userRole, SHORTCUT_PERMISSIONS[shortcut.name])) {
+    logger.warn(`Atalho ${shortcut.name} negado para ${message.from.replace(/@c\.us$/, '')}`);
+
+    await client.sendText(message.from, translator(stateData.context.language)('common.permissionDenied'));
+    return true;
+  }
+
+  logger.debug(`Atalho ${shortcut.name} executado por ${message.from.replace(/@c\.us$/, '')}`);
+
+  switch (shortcut.name) {
+    case 'entry':
+    case 'exit':
+      await vehicleModule.handleParkingShortcut(client, message, stateData, shortcut.name, shortcut.argument);
+      break;
+
+    case 'plate':
+      // Mesmo fluxo da placa digitada: exibe o veículo e as ações disponíveis
+      await vehicleModule.handlePlateRecognition(client, { ...message, body: shortcut.argument }, stateData, stateManager);
+      break;
+
+    case 'search':
+      await driverModule.handleDriverSearch(client, message, stateData, shortcut.argument);
+      break;
+
+    case 'profile':
+      await driverModule.handleDriverProfile(client, message, stateData, stateManager, shortcut.argument);
+      break;
+
+    default:
+      return false;
+  }
+
+  return true;
+};
+
+module.exports = {
+  parseShortcut,
+  processShortcut
+};
@@ -0,0 +1,164 @@
+/**
+ * Máquina de estados de conversação para o bot WhatsApp
+ * Registro declarativo dos estados de cada módulo, com manipulador, transições permitidas,
+ * permissão exigida e texto de ajuda
+ */
+
+const permissions = require('./permissions');
+
+// Estado para o qual qualquer estado pode retornar (reinício da conversa)
+const RESET_STATE = 'initial';
+
+// Estados registrados, indexados pelo nome
+const registry = new Map();
+
+/**
+ * Definição de um estado de conversação
+ * @typedef {Object} StateDefinition
+ * @property {Function} handler - Manipulador (client, message, stateData, stateManager)
+ * @property {Array<string>} transitions - Estados para os quais o manipulador pode avançar
+ * @property {string|null} permission - Permissão exigida (null para estados públicos)
+ * @property {string} help - Chave do catálogo de mensagens com a ajuda exibida pelo comando #ajuda
+ */
+
+/**
+ * Registra os estados de um módulo
+ * @param {string} moduleName - Nome do módulo
+ * @param {Object<string, StateDefinition>} states - Estados do módulo
+ */
+const registerModule = (moduleName, states) => {
+  Object.entries(states).forEach(([name, definition]) => {
+    if (registry.has(name)) {
+      throw new Error(`Estado ${name} já registrado pelo módulo ${registry.get(name).module}`);
+    }
+
+    if (typeof definition.handler !== 'function') {
+      throw new Error(`Estado ${name} do módulo ${moduleName} sem manipulador`);
+    }
+
+    registry.set(name, {
+      name,
+      module: moduleName,
+      handler: definition.handler,
+      transitions: definition.transitions || [],
+      permission: definition.permission || null,
+      help: definition.help || ''
+    });
+  });
+};
+
+/**
+ * Verifica se todas as transições declaradas apontam para estados registrados
+ */
+const validate = () => {
+  registry.forEach(definition => {
+    definition.transitions.forEach(target => {
+      if (!registry.has(target)) {
+        throw new Error(`Transição de ${definition.name} para estado desconhecido: ${target}`);
+      }
+    });
+  });
+};
+
+/**
+ * Obtém a definição de um estado
+ * @param {string} name - Nome do estado
+ * @returns {StateDefinition|null} - Definição do estado
+ */
+const getDefinition = (name) => {
+  return registry.get(name) || null;
+};
+
+/**
+ * Verifica se uma transição é permitida
+ * @param {string} from - Estado atual
+ * @param {string} to - Próximo estado
+ * @returns {boolean} - true se a transição é permitida
+ */
+const canTransition = (from, to) => {
+  if (!registry.has(to)) {
+    return false;
+  }
+
+  if (from === to || to === RESET_STATE) {
+    return true;
+  }
+
+  const definition = registry.get(from);
+  return !!definition && definition.transitions.includes(to);
+};
+
+/**
+ * Verifica se um papel pode acessar um estado
+ * @param {string} name - Nome do estado
+ * @param {string} role - Papel do usuário
+ * @returns {boolean} - true se o acesso é permitido
+ */
+const isAllowed = (name, role) => {
+  const definition = registry.get(name);
+
+  if (!definition) {
+    return false;
+  }
+
+  return permissions.can(role, definition.permission);
+};
+
+/**
+ * Cria um gerenciador de estados que rejeita transições não declaradas
+ * @param {Object} stateManager - Gerenciador de estados
+ * @param {string} currentState - Estado atual da conversa
+ * @returns {Object} - Gerenciador de estados com validação de transições
+ */
+const guardStateManager = (stateManager, currentState) => {
+  let state = currentState;
+
+  return {
+    ...stateManager,
+
+    setState: async (phoneNumber, nextState) => {
+      if (!registry.has(nextState)) {
+        throw new Error(`Estado desconhecido: ${nextState}`);
+      }
+
+      if (!canTransition(state, nextState)) {
+        throw new Error(`Transição inválida: ${state} → ${nextState}`);
+      }
+
+      const result = await stateManager.setState(phoneNumber, nextState);
+      state = nextState;
+
+      return result;
+    }
+  };
+};
+
+/**
+ * Obtém a chave do texto de ajuda de um estado
+ * @param {string} name - Nome do estado
+ * @returns {string} - Chave do catálogo de mensagens (vazia se o estado não tem ajuda)
+ */
+const getHelp = (name) => {
+  const definition = registry.get(name);
+  return definition ? definition.help : '';
+};
+
+/**
+ * Lista os estados registrados
+ * @returns {Array<StateDefinition>} - Estados registrados
+ */
+const listStates = () => {
+  return [...registry.values()];
+};
+
+module.exports = {
+  RESET_STATE,
+  registerModule,
+  validate,
+  getDefinition,
+  canTransition,
+  isAllowed,
+  guardStateManager,
+  getHelp,
+  listStates
+};
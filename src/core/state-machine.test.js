@@ -0,0 +1,110 @@
+/**
+ * Testes da máquina de estados de conversação
+ */
+
+let stateMachine;
+
+const handler = async () => {};
+
+beforeEach(() => {
+  // O registro de estados é global ao módulo: cada teste parte de um registro vazio
+  jest.isolateModules(() => {
+    stateMachine = require('./state-machine');
+  });
+
+  stateMachine.registerModule('auth', {
+    initial: { handler, transitions: ['awaiting_code'] },
+    awaiting_code: { handler, transitions: ['authenticated'] },
+    authenticated: { handler, transitions: ['registering_vehicle'] }
+  });
+
+  stateMachine.registerModule('vehicle', {
+    registering_vehicle: { handler, transitions: ['authenticated'], permission: 'vehicle.create' }
+  });
+});
+
+describe('registerModule', () => {
+  it('recusa estados registrados por dois módulos', () => {
+    expect(() => stateMachine.registerModule('driver', { initial: { handler } }))
+      .toThrow('Estado initial já registrado pelo módulo auth');
+  });
+
+  it('recusa estados sem manipulador', () => {
+    expect(() => stateMachine.registerModule('driver', { registering_driver: {} }))
+      .toThrow('sem manipulador');
+  });
+});
+
+describe('validate', () => {
+  it('recusa transições para estados desconhecidos', () => {
+    stateMachine.registerModule('driver', { registering_driver: { handler, transitions: ['inexistente'] } });
+
+    expect(() => stateMachine.validate()).toThrow('estado desconhecido: inexistente');
+  });
+});
+
+describe('canTransition', () => {
+  it('permite transições declaradas, a permanência e o reinício', () => {
+    expect(stateMachine.canTransition('initial', 'awaiting_code')).toBe(true);
+    expect(stateMachine.canTransition('awaiting_code', 'awaiting_code')).toBe(true);
+    expect(stateMachine.canTransition('registering_vehicle', 'initial')).toBe(true);
+  });
+
+  it('recusa transições não declaradas e estados desconhecidos', () => {
+    expect(stateMachine.canTransition('initial', 'authenticated')).toBe(false);
+    expect(stateMachine.canTransition('authenticated', 'inexistente')).toBe(false);
+  });
+});
+
+describe('isAllowed', () => {
+  it('confere a permissão exigida pelo estado', () => {
+    expect(stateMachine.isAllowed('registering_vehicle', 'operator')).toBe(true);
+    expect(stateMachine.isAllowed('registering_vehicle', 'viewer')).toBe(false);
+    expect(stateMachine.isAllowed('authenticated', 'viewer')).toBe(true);
+    expect(stateMachine.isAllowed('inexistente', 'admin')).toBe(false);
+  });
+});
+
+describe('guardStateManager', () => {
+  const createStateManager = () => ({
+    setState: jest.fn().mockResolvedValue(true),
+    updateContext: jest.fn().mockResolvedValue(true)
+  });
+
+  it('repassa transições válidas e acompanha o estado atual', async () => {
+    const stateManager = createStateManager();
+    const guarded = stateMachine.guardStateManager(stateManager, 'initial');
+
+    await guarded.setState('5592999999999', 'awaiting_code');
+    await guarded.setState('5592999999999', 'authenticated');
+
+    expect(stateManager.setState).toHaveBeenCalledTimes(2);
+    expect(stateManager.setState).toHaveBeenLastCalledWith('5592999999999', 'authenticated');
+  });
+
+  it('recusa estados desconhecidos sem alterar o estado', async () => {
+    const stateManager = createStateManager();
+    const guarded = stateMachine.guardStateManager(stateManager, 'initial');
+
+    await expect(guarded.setState('5592999999999', 'inexistente')).rejects.toThrow('Estado desconhecido: inexistente');
+    expect(stateManager.setState).not.toHaveBeenCalled();
+  });
+
+  it('recusa transições não declaradas', async () => {
+    const stateManager = createStateManager();
+    const guarded = stateMachine.guardStateManager(stateManager, 'initial');
+
+    await expect(guarded.setState('5592999999999', 'registering_vehicle'))
+      .rejects.toThrow('Transição inválida: initial → registering_vehicle');
+    expect(stateManager.setState).not.toHaveBeenCalled();
+  });
+
+  it('mantém as demais operações do gerenciador', async () => {
+    const stateManager = createStateManager();
+    const guarded = stateMachine.guardStateManager(stateManager, 'initial');
+
+    await guarded.updateContext('5592999999999', { language: 'en' });
+
+    expect(stateManager.updateContext).toHaveBeenCalledWith('5592999999999', { language: 'en' });
+  });
+});
@@ -3,28 +3,36 @@
  * Responsável por gerenciar os estados de conversação dos usuários
  */
 
-const winston = require('winston');
-const config = require('../../config/config');
+const config = require('../config/config');
+const { createLogger } = require('./logger');
+const { createStateStore } = require('./state-stores');
 
-// Configuração de logs
-const logger = winston.createLogger({
-  level: config.logging.level || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: config.logging.file || 'logs/bot.log'
-    })
-  ]
-});
+const logger = createLogger('state-manager');
 
-// Armazenamento em memória para estados (em produção, usar Redis ou MongoDB)
-const states = new Map();
+// Armazenamento de estados (MongoDB por padrão, memória para testes)
+let store = createStateStore(config.state.store);
+
+// Campos da sessão autenticada, mantidos quando o contexto de um assistente é descartado
+const SESSION_FIELDS = ['userId', 'userName', 'userRole', 'language', 'sessionId'];
+
+/**
+ * Substitui o armazenamento de estados
+ * @param {Object} newStore - Armazenamento de estados (ver src/core/state-stores)
+ */
+const setStore = (newStore) => {
+  store = newStore;
+  logger.debug(`Armazenamento de estados alterado para: ${newStore.name}`);
+};
+
+/**
+ * Calcula a data de expiração de um estado a partir do TTL configurado
+ * @returns {Date} - Data de expiração
+ */
+const getExpiration = () => {
+  const expiresAt = new Date();
+  expiresAt.setSeconds(expiresAt.getSeconds() + config.state.ttl);
+  return expiresAt;
+};
 
 /**
  * Obtém o estado atual de um usuário
@@ -33,7 +41,7 @@ const states = new Map();
  */
 const getState = async (phoneNumber) => {
   try {
-    return states.get(phoneNumber) || null;
+    return await store.get(phoneNumber);
   } catch (error) {
     logger.error(`Erro ao obter estado para ${phoneNumber}: ${error.message}`);
     return null;
@@ -48,15 +56,8 @@ const getState = async (phoneNumber) => {
  */
 const setState = async (phoneNumber, state) => {
   try {
-    // Obter estado atual
-    const currentState = states.get(phoneNumber) || { context: {} };
-    
-    // Atualizar estado
-    states.set(phoneNumber, {
-      state,
-      context: currentState.context,
-      updatedAt: new Date()
-    });
+    // Atualizar estado, preservando o contexto atual
+    await store.setState(phoneNumber, state, getExpiration());
     
     logger.debug(`Estado atualizado para ${phoneNumber}: ${state}`);
     
@@ -75,21 +76,14 @@ const setState = async (phoneNumber, state) => {
  */
 const updateContext = async (phoneNumber, contextData) => {
   try {
-    // Obter estado atual
-    const currentState = states.get(phoneNumber);
+    // Atualizar contexto
+    const updated = await store.updateContext(phoneNumber, contextData, getExpiration());
     
-    if (!currentState) {
+    if (!updated) {
       logger.warn(`Tentativa de atualizar contexto para usuário sem estado: ${phoneNumber}`);
       return false;
     }
     
-    // Atualizar contexto
-    states.set(phoneNumber, {
-      state: currentState.state,
-      context: { ...currentState.context, ...contextData },
-      updatedAt: new Date()
-    });
-    
     logger.debug(`Contexto atualizado para ${phoneNumber}`);
     
     return true;
@@ -99,6 +93,38 @@ const updateContext = async (phoneNumber, contextData) => {
   }
 };
 
+/**
+ * Descarta os dados de assistentes do contexto de um usuário, mantendo apenas a sessão
+ * @param {string} phoneNumber - Número de telefone do usuário
+ * @returns {Promise<boolean>} - Resultado da operação
+ */
+const resetContext = async (phoneNumber) => {
+  try {
+    const current = await store.get(phoneNumber);
+    
+    if (!current) {
+      return false;
+    }
+    
+    const context = {};
+    
+    SESSION_FIELDS.forEach(field => {
+      if (current.context[field] !== undefined) {
+        context[field] = current.context[field];
+      }
+    });
+    
+    await store.replaceContext(phoneNumber, context, getExpiration());
+    
+    logger.debug(`Contexto reiniciado para ${phoneNumber}`);
+    
+    return true;
+  } catch (error) {
+    logger.error(`Erro ao reiniciar contexto para ${phoneNumber}: ${error.message}`);
+    return false;
+  }
+};
+
 /**
  * Limpa o estado de um usuário
  * @param {string} phoneNumber - Número de telefone do usuário
@@ -106,7 +132,7 @@ const updateContext = async (phoneNumber, contextData) => {
  */
 const clearState = async (phoneNumber) => {
   try {
-    states.delete(phoneNumber);
+    await store.clear(phoneNumber);
     
     logger.debug(`Estado limpo para ${phoneNumber}`);
     
@@ -117,10 +143,28 @@ const clearState = async (phoneNumber) => {
   }
 };
 
+/**
+ * Busca conversas sem atividade em determinados estados
+ * @param {Array<string>} stateNames - Estados a considerar
+ * @param {Date} updatedBefore - Considerar apenas conversas sem atividade desde esta data
+ * @returns {Promise<Array<Object>>} - Conversas encontradas (com phoneNumber)
+ */
+const findIdleStates = async (stateNames, updatedBefore) => {
+  try {
+    return await store.findIdle(stateNames, updatedBefore);
+  } catch (error) {
+    logger.error(`Erro ao buscar conversas inativas: ${error.message}`);
+    return [];
+  }
+};
+
 // Exportar funções
 module.exports = {
   getState,
   setState,
   updateContext,
-  clearState
+  resetContext,
+  clearState,
+  findIdleStates,
+  setStore
 };
@@ -0,0 +1,30 @@
+/**
+ * Armazenamentos de estados de conversação disponíveis
+ */
+
+const { createMemoryStore } = require('./memory-store');
+const { createMongoStore } = require('./mongo-store');
+
+/**
+ * Cria um armazenamento de estados
+ * @param {string} type - Tipo de armazenamento (mongodb ou memory)
+ * @returns {Object} - Armazenamento de estados
+ */
+const createStateStore = (type) => {
+  switch (type) {
+    case 'mongodb':
+      return createMongoStore();
+      
+    case 'memory':
+      return createMemoryStore();
+      
+    default:
+      throw new Error(`Tipo de armazenamento de estados desconhecido: ${type}`);
+  }
+};
+
+module.exports = {
+  createStateStore,
+  createMemoryStore,
+  createMongoStore
+};
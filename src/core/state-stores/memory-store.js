@@ -0,0 +1,124 @@
+/**
+ * Armazenamento de estados em memória
+ * Indicado para testes e execuções locais; os estados são perdidos ao reiniciar
+ */
+
+/**
+ * Cria um armazenamento de estados em memória
+ * @returns {Object} - Armazenamento de estados
+ */
+const createMemoryStore = () => {
+  const states = new Map();
+  
+  /**
+   * Obtém o registro ainda válido de um usuário
+   * @param {string} phoneNumber - Número de telefone do usuário
+   * @returns {Object|null} - Registro de estado
+   */
+  const getValid = (phoneNumber) => {
+    const record = states.get(phoneNumber);
+    
+    if (!record) {
+      return null;
+    }
+    
+    // Descartar registros expirados
+    if (record.expiresAt <= new Date()) {
+      states.delete(phoneNumber);
+      return null;
+    }
+    
+    return record;
+  };
+  
+  return {
+    name: 'memory',
+    
+    get: async (phoneNumber) => {
+      const record = getValid(phoneNumber);
+      
+      if (!record) {
+        return null;
+      }
+      
+      return {
+        state: record.state,
+        context: { ...record.context },
+        updatedAt: record.updatedAt
+      };
+    },
+    
+    setState: async (phoneNumber, state, expiresAt) => {
+      const current = getValid(phoneNumber) || { context: {} };
+      
+      states.set(phoneNumber, {
+        state,
+        context: current.context,
+        updatedAt: new Date(),
+        expiresAt
+      });
+      
+      return true;
+    },
+    
+    updateContext: async (phoneNumber, contextData, expiresAt) => {
+      const current = getValid(phoneNumber);
+      
+      if (!current) {
+        return false;
+      }
+      
+      states.set(phoneNumber, {
+        state: current.state,
+        context: { ...current.context, ...contextData },
+        updatedAt: new Date(),
+        expiresAt
+      });
+      
+      return true;
+    },
+    
+    replaceContext: async (phoneNumber, context, expiresAt) => {
+      const current = getValid(phoneNumber);
+      
+      if (!current) {
+        return false;
+      }
+      
+      states.set(phoneNumber, {
+        state: current.state,
+        context: { ...context },
+        updatedAt: new Date(),
+        expiresAt
+      });
+      
+      return true;
+    },
+    
+    clear: async (phoneNumber) => {
+      states.delete(phoneNumber);
+      return true;
+    },
+    
+    findIdle: async (stateNames, updatedBefore) => {
+      const idle = [];
+      
+      states.forEach((record, phoneNumber) => {
+        if (stateNames.includes(record.state) && record.updatedAt < updatedBefore && getValid(phoneNumber)) {
+          idle.push({
+            phoneNumber,
+            state: record.state,
+            context: { ...record.context },
+            updatedAt: record.updatedAt
+          });
+        }
+      });
+      
+      return idle;
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,100 @@
+/**
+ * Armazenamento de estados no MongoDB
+ * Mantém as conversas entre reinicializações do bot; registros expirados
+ * são removidos pelo índice TTL da coleção
+ */
+
+const ConversationState = require('../../data/models/ConversationState');
+
+/**
+ * Cria um armazenamento de estados no MongoDB
+ * @returns {Object} - Armazenamento de estados
+ */
+const createMongoStore = () => {
+  return {
+    name: 'mongodb',
+    
+    get: async (phoneNumber) => {
+      // O índice TTL não remove os registros imediatamente, por isso a expiração é verificada na consulta
+      const record = await ConversationState.findOne({
+        phoneNumber,
+        expiresAt: { $gt: new Date() }
+      }).lean();
+      
+      if (!record) {
+        return null;
+      }
+      
+      return {
+        state: record.state,
+        context: record.context || {},
+        updatedAt: record.updatedAt
+      };
+    },
+    
+    setState: async (phoneNumber, state, expiresAt) => {
+      // Registros expirados ainda não removidos não devem levar o contexto antigo adiante
+      await ConversationState.deleteOne({ phoneNumber, expiresAt: { $lte: new Date() } });
+      
+      await ConversationState.updateOne(
+        { phoneNumber },
+        {
+          $set: { state, updatedAt: new Date(), expiresAt },
+          $setOnInsert: { context: {} }
+        },
+        { upsert: true }
+      );
+      
+      return true;
+    },
+    
+    updateContext: async (phoneNumber, contextData, expiresAt) => {
+      // Atualizar apenas as chaves informadas, sem sobrescrever o restante do contexto
+      const update = { updatedAt: new Date(), expiresAt };
+      
+      Object.keys(contextData).forEach(key => {
+        update[`context.${key}`] = contextData[key];
+      });
+      
+      const result = await ConversationState.updateOne(
+        { phoneNumber, expiresAt: { $gt: new Date() } },
+        { $set: update }
+      );
+      
+      return result.matchedCount > 0;
+    },
+    
+    replaceContext: async (phoneNumber, context, expiresAt) => {
+      const result = await ConversationState.updateOne(
+        { phoneNumber, expiresAt: { $gt: new Date() } },
+        { $set: { context, updatedAt: new Date(), expiresAt } }
+      );
+      
+      return result.matchedCount > 0;
+    },
+    
+    clear: async (phoneNumber) => {
+      await ConversationState.deleteOne({ phoneNumber });
+      return true;
+    },
+    
+    findIdle: async (stateNames, updatedBefore) => {
+      const records = await ConversationState.find({
+        state: { $in: stateNames },
+        updatedAt: { $lt: updatedBefore },
+        expiresAt: { $gt: new Date() }
+      }).lean();
+      
+      return records.map(record => ({
+        phoneNumber: record.phoneNumber,
+        state: record.state,
+        context: record.context || {},
+        updatedAt: record.updatedAt
+      }));
+    }
+  };
+};
+
+module.exports = {
+  createMongoStore
+};
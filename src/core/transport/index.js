@@ -0,0 +1,71 @@
+/**
+ * Camada de transporte de mensagens para o bot WhatsApp
+ * Define a interface comum implementada pelos transportes disponíveis (venom, mock)
+ */
+
+const config = require('../../config/config');
+
+/**
+ * Interface de transporte de mensagens
+ * @typedef {Object} Transport
+ * @property {string} name - Nome do transporte
+ * @property {function(string, string): Promise<Object>} sendText - Envia uma mensagem de texto para um chat
+ * @property {function(function(Object): Promise<void>): void} onMessage - Registra um manipulador de mensagens recebidas
+ * @property {function(Object): Promise<Buffer>} decryptFile - Obtém o conteúdo de uma mensagem de mídia
+ * @property {function(string, string, Array<Object>, string): Promise<Object>} [sendButtons] - Envia texto com botões
+ *   ({ id, label }) e rodapé (opcional)
+ * @property {function(string, string, string, Array<Object>, string): Promise<Object>} [sendList] - Envia texto com
+ *   uma lista de opções ({ id, label }) aberta pelo botão informado, e rodapé (opcional)
+ */
+
+// Métodos obrigatórios de um transporte
+const REQUIRED_METHODS = ['sendText', 'onMessage', 'decryptFile'];
+
+/**
+ * Verifica se um objeto implementa a interface de transporte
+ * @param {Object} transport - Transporte a ser verificado
+ * @returns {Object} - O próprio transporte
+ */
+const assertTransport = (transport) => {
+  if (!transport) {
+    throw new Error('Transporte de mensagens não informado');
+  }
+  
+  REQUIRED_METHODS.forEach(method => {
+    if (typeof transport[method] !== 'function') {
+      throw new Error(`Transporte inválido: método ${method} não implementado`);
+    }
+  });
+  
+  return transport;
+};
+
+/**
+ * Cria o transporte de mensagens configurado
+ * @param {string} type - Tipo de transporte (venom ou mock)
+ * @param {Object} options - Opções repassadas ao transporte
+ * @returns {Promise<Transport>} - Transporte de mensagens
+ */
+const createTransport = async (type = config.transport.type, options = {}) => {
+  switch (type) {
+    case 'venom': {
+      // Carregado sob demanda para não exigir o navegador em execuções offline
+      const { getClient } = require('../whatsapp-client');
+      return assertTransport(await getClient());
+    }
+      
+    case 'mock': {
+      const { createMockTransport } = require('./mock-transport');
+      return assertTransport(createMockTransport(options));
+    }
+      
+    default:
+      throw new Error(`Tipo de transporte desconhecido: ${type}`);
+  }
+};
+
+module.exports = {
+  REQUIRED_METHODS,
+  assertTransport,
+  createTransport
+};
@@ -0,0 +1,264 @@
+/**
+ * Transporte de mensagens em memória para o bot WhatsApp
+ * Registra as mensagens enviadas e permite injetar mensagens recebidas,
+ * possibilitando exercitar as conversas sem um aparelho pareado
+ */
+
+const fs = require('fs');
+
+/**
+ * Converte um número de telefone em identificador de chat
+ * @param {string} phoneNumber - Número de telefone ou identificador de chat
+ * @returns {string} - Identificador de chat (ex.: 5592999999999@c.us)
+ */
+const toChatId = (phoneNumber) => {
+  return phoneNumber.includes('@') ? phoneNumber : `${phoneNumber}@c.us`;
+};
+
+/**
+ * Cria um transporte de mensagens em memória
+ * @param {Object} options - Opções do transporte
+ * @param {string} options.botNumber - Número simulado do bot
+ * @param {boolean} options.interactive - Simular suporte a botões e listas
+ * @returns {Object} - Transporte de mensagens
+ */
+const createMockTransport = (options = {}) => {
+  const botId = toChatId(options.botNumber || '5592000000000');
+  
+  // Manipuladores registrados e mensagens enviadas
+  const messageHandlers = [];
+  const sendListeners = [];
+  const sentMessages = [];
+  
+  // Conteúdo das mídias injetadas, indexado pelo ID da mensagem
+  const media = new Map();
+  
+  let sequence = 0;
+  
+  /**
+   * Monta uma mensagem recebida no formato do venom
+   * @param {string} from - Remetente
+   * @param {Object} fields - Campos específicos da mensagem
+   * @returns {Object} - Mensagem
+   */
+  const buildMessage = (from, fields) => {
+    sequence += 1;
+    
+    return {
+      id: `mock_${Date.now()}_${sequence}`,
+      from: toChatId(from),
+      to: botId,
+      isGroupMsg: false,
+      timestamp: Math.floor(Date.now() / 1000),
+      ...fields
+    };
+  };
+  
+  /**
+   * Registra uma mensagem enviada pelo bot
+   * @param {string} to - Chat de destino
+   * @param {string} text - Texto da mensagem
+   * @param {Object} fields - Campos específicos da mensagem (ex.: opções de menu)
+   * @returns {Object} - Resultado do envio
+   */
+  const record = (to, text, fields = {}) => {
+    sequence += 1;
+    
+    const sent = {
+      id: `mock_out_${sequence}`,
+      to,
+      text,
+      timestamp: new Date(),
+      ...fields
+    };
+    
+    sentMessages.push(sent);
+    sendListeners.forEach(listener => listener(sent));
+    
+    return { id: sent.id, to };
+  };
+  
+  /**
+   * Entrega uma mensagem aos manipuladores registrados
+   * @param {Object} message - Mensagem recebida
+   * @returns {Promise<Object>} - Mensagem entregue
+   */
+  const dispatch = async (message) => {
+    for (const handler of messageHandlers) {
+      await handler(message);
+    }
+    
+    return message;
+  };
+  
+  const transport = {
+    name: 'mock',
+    
+    /**
+     * Registra uma mensagem enviada pelo bot
+     * @param {string} to - Chat de destino
+     * @param {string} text - Texto da mensagem
+     * @returns {Promise<Object>} - Resultado do envio
+     */
+    sendText: async (to, text) => record(to, text),
+    
+    /**
+     * Registra um manipulador de mensagens recebidas
+     * @param {Function} handler - Manipulador de mensagens
+     */
+    onMessage: (handler) => {
+      messageHandlers.push(handler);
+    },
+    
+    /**
+     * Obtém o conteúdo de uma mídia injetada
+     * @param {Object} message - Mensagem de mídia
+     * @returns {Promise<Buffer>} - Conteúdo do arquivo
+     */
+    decryptFile: async (message) => {
+      if (!media.has(message.id)) {
+        throw new Error(`Mídia não encontrada para a mensagem ${message.id}`);
+      }
+      
+      return media.get(message.id);
+    },
+    
+    /**
+     * Injeta uma mensagem de texto recebida
+     * @param {string} from - Número do remetente
+     * @param {string} body - Texto da mensagem
+     * @returns {Promise<Object>} - Mensagem após o processamento
+     */
+    injectText: (from, body) => {
+      return dispatch(buildMessage(from, { type: 'chat', body }));
+    },
+    
+    /**
+     * Injeta uma mensagem de texto recebida em um grupo
+     * @param {string} groupId - ID do grupo (ex.: 120363000000000000@g.us)
+     * @param {string} author - Número do autor
+     * @param {string} body - Texto da mensagem
+     * @param {Array<string>} mentionedJidList - Chats mencionados na mensagem
+     * @returns {Promise<Object>} - Mensagem após o processamento
+     */
+    injectGroupText: (groupId, author, body, mentionedJidList = []) => {
+      return dispatch(buildMessage(groupId, {
+        type: 'chat',
+        body,
+        isGroupMsg: true,
+        author: toChatId(author),
+        mentionedJidList
+      }));
+    },
+    
+    /**
+     * Injeta a resposta a um botão
+     * @param {string} from - Número do remetente
+     * @param {string} buttonId - ID do botão escolhido
+     * @param {string} label - Texto do botão
+     * @returns {Promise<Object>} - Mensagem após o processamento
+     */
+    injectButtonReply: (from, buttonId, label = '') => {
+      return dispatch(buildMessage(from, { type: 'buttons_response', body: label, selectedButtonId: buttonId }));
+    },
+    
+    /**
+     * Injeta a resposta a uma lista de opções
+     * @param {string} from - Número do remetente
+     * @param {string} rowId - ID do item escolhido
+     * @param {string} title - Texto do item
+     * @returns {Promise<Object>} - Mensagem após o processamento
+     */
+    injectListReply: (from, rowId, title = '') => {
+      return dispatch(buildMessage(from, {
+        type: 'list_response',
+        body: title,
+        listResponse: { singleSelectReply: { selectedRowId: rowId } }
+      }));
+    },
+    
+    /**
+     * Injeta uma mensagem de imagem recebida
+     * @param {string} from - Número do remetente
+     * @param {Buffer|string} image - Conteúdo da imagem ou caminho do arquivo
+     * @param {string} caption - Legenda da imagem
+     * @returns {Promise<Object>} - Mensagem após o processamento
+     */
+    injectImage: (from, image, caption = '') => {
+      const buffer = Buffer.isBuffer(image) ? image : fs.readFileSync(image);
+      const message = buildMessage(from, {
+        type: 'image',
+        body: '',
+        caption,
+        mimetype: 'image/jpeg'
+      });
+      
+      media.set(message.id, buffer);
+      
+      return dispatch(message);
+    },
+    
+    /**
+     * Registra um ouvinte chamado a cada mensagem enviada pelo bot
+     * @param {Function} listener - Ouvinte
+     */
+    onSend: (listener) => {
+      sendListeners.push(listener);
+    },
+    
+    /**
+     * Obtém as mensagens enviadas pelo bot
+     * @param {string} to - Filtrar por número ou chat de destino (opcional)
+     * @returns {Array<Object>} - Mensagens enviadas
+     */
+    getSentMessages: (to) => {
+      if (!to) {
+        return [...sentMessages];
+      }
+      
+      return sentMessages.filter(sent => sent.to === toChatId(to));
+    },
+    
+    /**
+     * Descarta as mensagens enviadas registradas
+     */
+    clearSentMessages: () => {
+      sentMessages.length = 0;
+    }
+  };
+  
+  // Botões e listas, disponíveis apenas quando simulados
+  if (options.interactive) {
+    /**
+     * Registra uma mensagem com botões enviada pelo bot
+     * @param {string} to - Chat de destino
+     * @param {string} text - Texto da mensagem
+     * @param {Array<Object>} buttons - Botões ({ id, label })
+     * @param {string} footer - Texto exibido abaixo da mensagem
+     * @returns {Promise<Object>} - Resultado do envio
+     */
+    transport.sendButtons = async (to, text, buttons, footer = '') => {
+      return record(to, text, { kind: 'buttons', menuOptions: buttons, footer });
+    };
+    
+    /**
+     * Registra uma mensagem com lista de opções enviada pelo bot
+     * @param {string} to - Chat de destino
+     * @param {string} text - Texto da mensagem
+     * @param {string} buttonText - Texto do botão que abre a lista
+     * @param {Array<Object>} rows - Opções ({ id, label })
+     * @param {string} footer - Texto exibido abaixo da mensagem
+     * @returns {Promise<Object>} - Resultado do envio
+     */
+    transport.sendList = async (to, text, buttonText, rows, footer = '') => {
+      return record(to, text, { kind: 'list', menuOptions: rows, buttonText, footer });
+    };
+  }
+  
+  return transport;
+};
+
+module.exports = {
+  createMockTransport,
+  toChatId
+};
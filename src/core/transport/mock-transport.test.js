@@ -0,0 +1,102 @@
+/**
+ * Testes do transporte de mensagens em memória
+ */
+
+const { createMockTransport, toChatId } = require('./mock-transport');
+
+describe('toChatId', () => {
+  it('acrescenta o sufixo de contato a números de telefone', () => {
+    expect(toChatId('5592999999999')).toBe('5592999999999@c.us');
+  });
+
+  it('mantém identificadores de chat já completos', () => {
+    expect(toChatId('120363000000000000@g.us')).toBe('120363000000000000@g.us');
+  });
+});
+
+describe('createMockTransport', () => {
+  it('registra as mensagens enviadas e filtra por destinatário', async () => {
+    const transport = createMockTransport();
+
+    await transport.sendText('5592111111111@c.us', 'primeira');
+    await transport.sendText('5592222222222@c.us', 'segunda');
+
+    expect(transport.getSentMessages()).toHaveLength(2);
+    expect(transport.getSentMessages('5592111111111').map(sent => sent.text)).toEqual(['primeira']);
+
+    transport.clearSentMessages();
+
+    expect(transport.getSentMessages()).toEqual([]);
+  });
+
+  it('avisa os ouvintes a cada envio', async () => {
+    const transport = createMockTransport();
+    const listener = jest.fn();
+
+    transport.onSend(listener);
+    await transport.sendText('5592111111111@c.us', 'olá');
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ to: '5592111111111@c.us', text: 'olá' }));
+  });
+
+  it('entrega as mensagens injetadas aos manipuladores no formato do venom', async () => {
+    const transport = createMockTransport({ botNumber: '5592000000001' });
+    const handler = jest.fn();
+
+    transport.onMessage(handler);
+    await transport.injectText('5592111111111', 'oi');
+    await transport.injectButtonReply('5592111111111', 'confirm', 'Sim');
+    await transport.injectListReply('5592111111111', 'vehicles', 'Veículos');
+
+    const [text, button, list] = handler.mock.calls.map(([message]) => message);
+
+    expect(text).toMatchObject({ type: 'chat', body: 'oi', from: '5592111111111@c.us', to: '5592000000001@c.us', isGroupMsg: false });
+    expect(button).toMatchObject({ type: 'buttons_response', selectedButtonId: 'confirm' });
+    expect(list.listResponse.singleSelectReply.selectedRowId).toBe('vehicles');
+  });
+
+  it('marca mensagens de grupo com o autor e as menções', async () => {
+    const transport = createMockTransport();
+    const handler = jest.fn();
+
+    transport.onMessage(handler);
+    await transport.injectGroupText('120363000000000000@g.us', '5592111111111', '@bot ABC1D23', ['5592000000000@c.us']);
+
+    expect(handler.mock.calls[0][0]).toMatchObject({
+      from: '120363000000000000@g.us',
+      author: '5592111111111@c.us',
+      isGroupMsg: true,
+      mentionedJidList: ['5592000000000@c.us']
+    });
+  });
+
+  it('devolve o conteúdo das imagens injetadas', async () => {
+    const transport = createMockTransport();
+    const image = Buffer.from('imagem');
+    let received = null;
+
+    transport.onMessage((message) => {
+      received = message;
+    });
+    await transport.injectImage('5592111111111', image, 'placa');
+
+    expect(received).toMatchObject({ type: 'image', caption: 'placa' });
+    await expect(transport.decryptFile(received)).resolves.toBe(image);
+    await expect(transport.decryptFile({ id: 'desconhecida' })).rejects.toThrow('Mídia não encontrada');
+  });
+
+  it('só oferece botões e listas quando simulados', async () => {
+    expect(createMockTransport().sendButtons).toBeUndefined();
+
+    const transport = createMockTransport({ interactive: true });
+    const options = [{ id: 'a', label: 'A' }];
+
+    await transport.sendButtons('5592111111111@c.us', 'Escolha', options, 'rodapé');
+    await transport.sendList('5592111111111@c.us', 'Escolha', 'Abrir', options);
+
+    const [buttons, list] = transport.getSentMessages();
+
+    expect(buttons).toMatchObject({ kind: 'buttons', menuOptions: options, footer: 'rodapé' });
+    expect(list).toMatchObject({ kind: 'list', menuOptions: options, buttonText: 'Abrir' });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Transporte de mensagens baseado no venom-bot
+ * Adapta o cliente venom à interface de transporte do bot. Os manipuladores registrados
+ * são mantidos pelo transporte e reaplicados a cada novo cliente após uma reconexão
+ */
+
+/**
+ * Cria um transporte para clientes venom
+ * @param {Object} initialClient - Cliente retornado por venom.create (opcional)
+ * @returns {Object} - Transporte de mensagens
+ */
+const createVenomTransport = (initialClient = null) => {
+  let venomClient = null;
+
+  // Manipuladores reaplicados a cada cliente conectado
+  const messageHandlers = [];
+  const stateHandlers = [];
+
+  /**
+   * Obtém o cliente conectado
+   * @returns {Object} - Cliente venom
+   */
+  const requireClient = () => {
+    if (!venomClient) {
+      throw new Error('Cliente WhatsApp desconectado');
+    }
+
+    return venomClient;
+  };
+
+  const transport = {
+    name: 'venom',
+
+    /**
+     * Envia uma mensagem de texto
+     * @param {string} to - Chat de destino (ex.: 5592999999999@c.us)
+     * @param {string} text - Texto da mensagem
+     * @returns {Promise<Object>} - Resultado do envio
+     */
+    sendText: async (to, text) => requireClient().sendText(to, text),
+
+    /**
+     * Envia uma mensagem com botões de resposta
+     * @param {string} to - Chat de destino
+     * @param {string} text - Texto da mensagem
+     * @param {Array<Object>} buttons - Botões ({ id, label })
+     * @param {string} footer - Texto exibido abaixo da mensagem
+     * @returns {Promise<Object>} - Resultado do envio
+     */
+    sendButtons: async (to, text, buttons, footer = '') => {
+      return requireClient().sendButtons(to, text, buttons.map(button => ({
+        buttonId: button.id,
+        buttonText: { displayText: button.label }
+      })), footer);
+    },
+
+    /**
+     * Envia uma mensagem com lista de opções
+     * @param {string} to - Chat de destino
+     * @param {string} text - Texto da mensagem
+     * @param {string} buttonText - Texto do botão que abre a lista
+     * @param {Array<Object>} rows - Opções ({ id, label })
+     * @param {string} footer - Texto exibido abaixo da mensagem
+     * @returns {Promise<Object>} - Resultado do envio
+     */
+    sendList: async (to, text, buttonText, rows, footer = '') => {
+      return requireClient().sendListMenu(to, text, '', footer, buttonText, [{
+        title: buttonText,
+        rows: rows.map(row => ({ rowId: row.id, title: row.label, description: '' }))
+      }]);
+    },
+
+    /**
+     * Registra um manipulador de mensagens recebidas
+     * @param {Function} handler - Manipulador de mensagens
+     */
+    onMessage: (handler) => {
+      messageHandlers.push(handler);
+
+      if (venomClient) {
+        venomClient.onMessage(handler);
+      }
+    },
+
+    /**
+     * Obtém o conteúdo de uma mensagem de mídia
+     * @param {Object} message - Mensagem de mídia
+     * @returns {Promise<Buffer>} - Conteúdo do arquivo
+     */
+    decryptFile: async (message) => requireClient().decryptFile(message),
+
+    /**
+     * Registra um manipulador de mudanças de estado da conexão
+     * @param {Function} handler - Manipulador de estado
+     */
+    onStateChange: (handler) => {
+      stateHandlers.push(handler);
+
+      if (venomClient) {
+        venomClient.onStateChange(handler);
+      }
+    },
+
+    /**
+     * Entra em um grupo a partir de um código de convite
+     * @param {string} inviteCode - Código de convite do grupo
+     * @returns {Promise<Object>} - Resultado da operação
+     */
+    joinGroup: async (inviteCode) => requireClient().joinGroup(inviteCode),
+
+    /**
+     * Associa um novo cliente venom, reaplicando os manipuladores registrados
+     * @param {Object} client - Cliente venom
+     */
+    attach: (client) => {
+      venomClient = client;
+
+      messageHandlers.forEach(handler => client.onMessage(handler));
+      stateHandlers.forEach(handler => client.onStateChange(handler));
+    },
+
+    /**
+     * Desassocia o cliente atual
+     * @returns {Object|null} - Cliente desassociado
+     */
+    detach: () => {
+      const previousClient = venomClient;
+      venomClient = null;
+      return previousClient;
+    },
+
+    /**
+     * Obtém o cliente venom subjacente
+     * @returns {Object|null} - Cliente venom
+     */
+    getClient: () => venomClient
+  };
+
+  if (initialClient) {
+    transport.attach(initialClient);
+  }
+
+  return transport;
+};
+
+module.exports = {
+  createVenomTransport
+};
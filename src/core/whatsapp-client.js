@@ -1,118 +1,137 @@
 /**
  * Cliente WhatsApp para o bot
- * Responsável por gerenciar a conexão com o WhatsApp
+ * Responsável por criar os clientes venom e manter a conexão com o WhatsApp
  */
 
 const venom = require('venom-bot');
 const fs = require('fs');
 const path = require('path');
-const winston = require('winston');
-const config = require('../../config/config');
+const { createLogger } = require('./logger');
+const { createVenomTransport } = require('./transport/venom-transport');
+const { createConnectionSupervisor } = require('./connection-supervisor');
 
-// Configuração de logs
-const logger = winston.createLogger({
-  level: config.logging.level || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: config.logging.file || 'logs/bot.log'
-    })
-  ]
-});
+const logger = createLogger('whatsapp-client');
 
-// Cliente WhatsApp (singleton)
+// Transporte WhatsApp e supervisor da conexão (singletons)
 let client = null;
+let supervisor = null;
+
+/**
+ * Salva o QR Code como imagem para pareamento
+ * @param {string} base64Qrimg - Imagem do QR Code em base64
+ */
+const saveQrCode = (base64Qrimg) => {
+  const qrCodePath = path.resolve(__dirname, '../../media/qrcode.png');
+  const matches = base64Qrimg.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+  
+  if (matches && matches.length === 3) {
+    const imageData = Buffer.from(matches[2], 'base64');
+    fs.writeFileSync(qrCodePath, imageData);
+    logger.info(`QR Code salvo em: ${qrCodePath}`);
+  }
+};
+
+/**
+ * Cria um novo cliente venom
+ * @param {Object} handlers - Manipuladores do supervisor
+ * @param {Function} handlers.onQrCode - Chamado a cada QR Code gerado
+ * @param {Function} handlers.onStatus - Chamado a cada mudança de status da sessão
+ * @returns {Promise<Object>} - Cliente venom conectado
+ */
+const createVenomClient = async ({ onQrCode, onStatus }) => {
+  // Diretório para armazenar tokens de sessão
+  const tokensDir = path.resolve(__dirname, '../../tokens');
+  
+  // Criar diretório se não existir
+  if (!fs.existsSync(tokensDir)) {
+    fs.mkdirSync(tokensDir, { recursive: true });
+  }
+  
+  return venom.create(
+    'parking-bot',
+    (base64Qrimg, asciiQR, attempts, urlCode) => {
+      logger.info('QR Code gerado. Escaneie para autenticar.');
+      logger.info(asciiQR);
+      
+      saveQrCode(base64Qrimg);
+      onQrCode(base64Qrimg, asciiQR, attempts);
+    },
+    (statusSession, session) => {
+      onStatus(statusSession);
+    },
+    {
+      folderNameToken: tokensDir,
+      headless: true,
+      useChrome: true,
+      debug: false,
+      logQR: false,
+      browserArgs: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--single-process',
+        '--disable-gpu'
+      ],
+      disableWelcome: true,
+      updatesLog: false,
+      autoClose: 0, // Aguardar a leitura do QR Code sem encerrar o navegador
+      createPathFileToken: true
+    }
+  );
+};
 
 /**
  * Obtém o cliente WhatsApp
- * @returns {Promise<Object>} - Cliente WhatsApp
+ * A primeira conexão é aguardada; se falhar, o supervisor continua tentando em segundo plano
+ * e as mensagens de saída permanecem na fila até a conexão ser restabelecida
+ * @returns {Promise<Object>} - Transporte de mensagens baseado no venom
  */
 const getClient = async () => {
   if (client) {
     return client;
   }
   
-  try {
-    // Diretório para armazenar tokens de sessão
-    const tokensDir = path.resolve(__dirname, '../../tokens');
-    
-    // Criar diretório se não existir
-    if (!fs.existsSync(tokensDir)) {
-      fs.mkdirSync(tokensDir, { recursive: true });
-    }
-    
-    // Inicializar cliente
-    client = await venom.create(
-      'parking-bot',
-      (base64Qrimg, asciiQR, attempts, urlCode) => {
-        logger.info('QR Code gerado. Escaneie para autenticar.');
-        logger.info(asciiQR);
-        
-        // Salvar QR Code como imagem
-        const qrCodePath = path.resolve(__dirname, '../../media/qrcode.png');
-        const matches = base64Qrimg.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-        
-        if (matches && matches.length === 3) {
-          const imageData = Buffer.from(matches[2], 'base64');
-          fs.writeFileSync(qrCodePath, imageData);
-          logger.info(`QR Code salvo em: ${qrCodePath}`);
-        }
-      },
-      (statusSession, session) => {
-        logger.info(`Status da sessão: ${statusSession}`);
-      },
-      {
-        folderNameToken: tokensDir,
-        headless: true,
-        useChrome: true,
-        debug: false,
-        logQR: false,
-        browserArgs: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--single-process',
-          '--disable-gpu'
-        ],
-        disableWelcome: true,
-        updatesLog: false,
-        autoClose: 60000,
-        createPathFileToken: true
-      }
-    );
-    
-    // Configurar manipuladores de eventos
-    client.onStateChange((state) => {
-      logger.info(`Estado do cliente alterado: ${state}`);
-      
-      // Reconectar se desconectado
-      if (state === 'CONFLICT' || state === 'UNLAUNCHED') {
-        client.useHere();
-      }
-    });
-    
-    client.onMessage((message) => {
-      // Manipulador de mensagens configurado em message-handler.js
-    });
-    
+  // Expor o cliente através da interface de transporte
+  client = createVenomTransport();
+  
+  supervisor = createConnectionSupervisor({
+    transport: client,
+    connect: createVenomClient,
+    onAlert: (text) => require('../services/alert-service').alertAdmins(text)
+  });
+  
+  const connected = await supervisor.start();
+  
+  if (connected) {
     logger.info('Cliente WhatsApp inicializado com sucesso');
-    
-    return client;
-  } catch (error) {
-    logger.error(`Erro ao inicializar cliente WhatsApp: ${error.message}`);
-    throw error;
+  } else {
+    logger.warn('Cliente WhatsApp iniciado sem conexão; novas tentativas serão feitas');
   }
+  
+  return client;
+};
+
+/**
+ * Obtém o estado atual da conexão com o WhatsApp
+ * @returns {Object|null} - Estado da conexão ou null se o cliente não foi iniciado
+ */
+const getConnectionStatus = () => {
+  return supervisor ? supervisor.getStatus() : null;
+};
+
+/**
+ * Obtém o QR Code atual para um novo pareamento
+ * @returns {Object|null} - QR Code ou null se não houver pareamento pendente
+ */
+const getQrCode = () => {
+  return supervisor ? supervisor.getQrCode() : null;
 };
 
 module.exports = {
-  getClient
+  getClient,
+  getConnectionStatus,
+  getQrCode
 };
@@ -1,15 +1,24 @@
 /**
  * Modelo de log de auditoria para o MongoDB
+ * Cada registro guarda o hash do seu conteúdo encadeado ao do registro anterior (sequence,
+ * prevHash, hash): alterar ou remover um registro quebra a cadeia a partir dele
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Hash anterior ao primeiro registro da cadeia
+const GENESIS_HASH = '0'.repeat(64);
+
+// Tentativas de inclusão quando outro processo grava o mesmo número de sequência
+const MAX_APPEND_ATTEMPTS = 5;
+
 const AuditLogSchema = new Schema({
+  // Ausente em eventos de aparelhos não identificados (ex.: bloqueio por tentativas)
   userId: {
     type: Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   userWhatsapp: {
     type: String,
@@ -28,27 +37,122 @@ const AuditLogSchema = new Schema({
   },
   ipAddress: {
     type: String
+  },
+  // Posição na cadeia (registros anteriores ao encadeamento não têm)
+  sequence: {
+    type: Number
+  },
+  prevHash: {
+    type: String
+  },
+  hash: {
+    type: String
   }
+}, {
+  // Manter objetos vazios nos detalhes, que fazem parte do conteúdo com hash
+  minimize: false
 });
 
+/**
+ * Serializa um valor em JSON com as chaves em ordem alfabética
+ * @param {*} value - Valor em formato JSON
+ * @returns {string} - Texto canônico
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Calcula o hash de um registro (conteúdo, posição e hash do registro anterior)
+ * @param {Object} entry - Registro (documento ou objeto simples)
+ * @returns {string} - Hash SHA-256 em hexadecimal
+ */
+AuditLogSchema.statics.computeHash = function(entry) {
+  const content = canonicalize({
+    sequence: entry.sequence,
+    prevHash: entry.prevHash,
+    userId: entry.userId ? String(entry.userId) : null,
+    userWhatsapp: entry.userWhatsapp,
+    action: entry.action,
+    details: entry.details === undefined ? null : entry.details,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    ipAddress: entry.ipAddress || null
+  });
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Inclui um registro no fim da cadeia
+ * @param {Object} Model - Modelo AuditLog
+ * @param {Object} data - Conteúdo do registro
+ * @returns {Promise<Object>} - Log de auditoria criado
+ */
+const appendEntry = async (Model, data) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await Model.findOne({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+    
+    const entry = {
+      ...data,
+      sequence: last ? last.sequence + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = Model.computeHash(entry);
+    
+    try {
+      return await Model.create(entry);
+    } catch (error) {
+      // Sequência já usada por outro processo (índice único): recalcular sobre o novo fim
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Inclusões em andamento, em ordem, para que cada registro encadeie no anterior
+let appendQueue = Promise.resolve();
+
 /**
  * Registra uma ação de auditoria
- * @param {string} userId - ID do usuário
+ * @param {string} userId - ID do usuário (null se não identificado)
  * @param {string} userWhatsapp - WhatsApp do usuário
  * @param {string} action - Ação realizada
  * @param {Object} details - Detalhes da ação
  * @param {string} ipAddress - Endereço IP
  * @returns {Promise<Object>} - Log de auditoria criado
  */
-AuditLogSchema.statics.logAction = async function(userId, userWhatsapp, action, details = {}, ipAddress = null) {
-  return this.create({
+AuditLogSchema.statics.logAction = function(userId, userWhatsapp, action, details = {}, ipAddress = null) {
+  const data = {
     userId,
     userWhatsapp,
     action,
-    details,
+    // Detalhes em formato JSON (datas e IDs como texto), para recalcular o hash a partir do documento lido
+    details: JSON.parse(JSON.stringify(details === undefined ? {} : details)),
     ipAddress,
     timestamp: new Date()
-  });
+  };
+
+  const append = appendQueue.then(() => appendEntry(this, data));
+  appendQueue = append.catch(() => {});
+
+  return append;
 };
 
-module.exports = mongoose.model('AuditLog', AuditLogSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditLog;
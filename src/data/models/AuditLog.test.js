@@ -0,0 +1,72 @@
+/**
+ * Testes da cadeia de hashes do log de auditoria
+ */
+
+const AuditLog = require('./AuditLog');
+
+const entry = {
+  sequence: 1,
+  prevHash: AuditLog.GENESIS_HASH,
+  userId: '64b000000000000000000001',
+  userWhatsapp: '92988887777',
+  action: 'parking_entry',
+  details: { licensePlate: 'ABC1234', after: { entryTime: '2026-10-19T12:00:00.000Z' } },
+  timestamp: new Date('2026-10-19T12:00:00.000Z'),
+  ipAddress: null
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('computeHash', () => {
+  it('não depende da ordem das chaves nem do formato da data', () => {
+    const reordered = {
+      ...entry,
+      details: { after: { entryTime: '2026-10-19T12:00:00.000Z' }, licensePlate: 'ABC1234' },
+      timestamp: '2026-10-19T12:00:00.000Z'
+    };
+
+    expect(AuditLog.computeHash(reordered)).toBe(AuditLog.computeHash(entry));
+    expect(AuditLog.computeHash(entry)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('muda com qualquer alteração do conteúdo, da posição ou do registro anterior', () => {
+    const original = AuditLog.computeHash(entry);
+
+    expect(AuditLog.computeHash({ ...entry, details: { ...entry.details, licensePlate: 'XYZ9876' } })).not.toBe(original);
+    expect(AuditLog.computeHash({ ...entry, action: 'parking_exit' })).not.toBe(original);
+    expect(AuditLog.computeHash({ ...entry, sequence: 2 })).not.toBe(original);
+    expect(AuditLog.computeHash({ ...entry, prevHash: '1'.repeat(64) })).not.toBe(original);
+  });
+});
+
+describe('logAction', () => {
+  it('encadeia cada registro no anterior, mesmo com inclusões simultâneas', async () => {
+    const created = [];
+
+    jest.spyOn(AuditLog, 'findOne').mockImplementation(() => ({
+      sort: () => ({
+        select: () => ({
+          lean: async () => created[created.length - 1] || null
+        })
+      })
+    }));
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (data) => {
+      created.push(data);
+      return data;
+    });
+
+    await Promise.all([
+      AuditLog.logAction('64b000000000000000000001', '92988887777', 'auth_success', {}),
+      AuditLog.logAction('64b000000000000000000001', '92988887777', 'parking_entry', { licensePlate: 'ABC1234' })
+    ]);
+
+    expect(created.map(item => item.sequence)).toEqual([1, 2]);
+    expect(created[0].prevHash).toBe(AuditLog.GENESIS_HASH);
+    expect(created[1].prevHash).toBe(created[0].hash);
+    created.forEach(item => {
+      expect(AuditLog.computeHash(item)).toBe(item.hash);
+    });
+  });
+});
@@ -11,7 +11,8 @@ const AuthCodeSchema = new Schema({
     ref: 'User',
     required: true
   },
-  code: {
+  // HMAC do código; o código em si só existe na mensagem enviada ao usuário
+  codeHash: {
     type: String,
     required: true
   },
@@ -0,0 +1,47 @@
+/**
+ * Modelo de controle de tentativas de autenticação para o MongoDB
+ * Um registro por número informado (number:92999999999) ou aparelho remetente
+ * (sender:5592999999999), com os contadores da janela atual e o bloqueio em vigor
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AuthThrottleSchema = new Schema({
+  subject: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Quantidade de bloqueios recentes, que define a duração do próximo
+  lockoutLevel: {
+    type: Number,
+    default: 0
+  },
+  lastLockoutAt: {
+    type: Date,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('AuthThrottle', AuthThrottleSchema);
@@ -0,0 +1,36 @@
+/**
+ * Modelo de estado de conversação para o MongoDB
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ConversationStateSchema = new Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    required: true
+  },
+  context: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Manter contextos vazios ao salvar
+  minimize: false
+});
+
+module.exports = mongoose.model('ConversationState', ConversationStateSchema);
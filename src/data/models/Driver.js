@@ -4,6 +4,7 @@
 
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { SUPPORTED_LOCALES } = require('../../core/i18n');
 
 const DriverSchema = new Schema({
   fullName: {
@@ -22,6 +23,11 @@ const DriverSchema = new Schema({
     enum: ['member', 'visitor'],
     default: 'visitor'
   },
+  // Idioma das mensagens; sem valor, usa o idioma padrão da configuração
+  language: {
+    type: String,
+    enum: SUPPORTED_LOCALES
+  },
   notifyOnEntry: {
     type: Boolean,
     default: false
@@ -42,7 +48,24 @@ const DriverSchema = new Schema({
   notes: {
     type: String,
     trim: true
-  }
+  },
+  // Cadastros duplicados incorporados a este (o número antigo continua localizando o motorista)
+  mergedDrivers: [{
+    _id: false,
+    fullName: {
+      type: String
+    },
+    whatsapp: {
+      type: String
+    },
+    mergedAt: {
+      type: Date
+    },
+    mergedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
 });
 
 module.exports = mongoose.model('Driver', DriverSchema);
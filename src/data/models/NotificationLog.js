@@ -33,6 +33,18 @@ const NotificationLogSchema = new Schema({
     type: Boolean,
     default: true
   },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'sent'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  deliveredAt: {
+    type: Date
+  },
   errorMessage: {
     type: String
   }
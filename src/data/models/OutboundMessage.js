@@ -0,0 +1,47 @@
+/**
+ * Modelo de mensagem de saída para o MongoDB
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const OutboundMessageSchema = new Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  notificationLogId: {
+    type: Schema.Types.ObjectId,
+    ref: 'NotificationLog'
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('OutboundMessage', OutboundMessageSchema);
@@ -0,0 +1,54 @@
+/**
+ * Modelo de solicitação de troca de número para o MongoDB
+ * Criada quando um usuário tenta entrar a partir de um número diferente do cadastrado;
+ * o novo número só é vinculado ao cadastro após a aprovação de um administrador
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PhoneChangeRequestSchema = new Schema({
+  // Código curto informado pelo administrador para aprovar ou recusar
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currentWhatsapp: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  newWhatsapp: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  decidedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PhoneChangeRequest', PhoneChangeRequestSchema);
@@ -0,0 +1,37 @@
+/**
+ * Modelo de papel personalizado para o MongoDB
+ * Os papéis padrão (admin, operator, viewer) ficam no código; aqui ficam os papéis criados
+ * pelos administradores, com a lista de permissões concedidas
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RoleSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Permissões da matriz em src/core/permissions.js (validadas ao salvar)
+  permissions: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -16,6 +16,10 @@ const SessionSchema = new Schema({
     required: true,
     unique: true
   },
+  whatsapp: {
+    type: String,
+    trim: true
+  },
   deviceInfo: {
     type: String
   },
@@ -23,6 +27,10 @@ const SessionSchema = new Schema({
     type: Date,
     required: true
   },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
   lastAccess: {
     type: Date,
     default: Date.now
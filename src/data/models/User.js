@@ -4,6 +4,7 @@
 
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { SUPPORTED_LOCALES } = require('../../core/i18n');
 
 const UserSchema = new Schema({
   fullName: {
@@ -17,11 +18,19 @@ const UserSchema = new Schema({
     unique: true,
     trim: true
   },
+  // Papel padrão (admin, operator, viewer) ou personalizado (ver src/core/permissions.js)
   role: {
     type: String,
-    enum: ['admin', 'operator', 'viewer'],
+    required: true,
+    lowercase: true,
+    trim: true,
     default: 'operator'
   },
+  // Idioma das mensagens; sem valor, usa o idioma padrão da configuração
+  language: {
+    type: String,
+    enum: SUPPORTED_LOCALES
+  },
   active: {
     type: Boolean,
     default: true
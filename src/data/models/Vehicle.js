@@ -1,5 +1,7 @@
 /**
  * Modelo de veículo para o MongoDB
+ * Veículos removidos são mantidos com active: false (remoção lógica); a placa só é única entre
+ * os veículos ativos, para permitir um novo cadastro
  */
 
 const mongoose = require('mongoose');
@@ -9,7 +11,6 @@ const VehicleSchema = new Schema({
   licensePlate: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     uppercase: true
   },
@@ -45,7 +46,43 @@ const VehicleSchema = new Schema({
   notes: {
     type: String,
     trim: true
-  }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  removedAt: {
+    type: Date,
+    default: null
+  },
+  removedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removalReason: {
+    type: String,
+    trim: true
+  },
+  // Proprietários anteriores, do mais antigo para o mais recente
+  ownerHistory: [{
+    _id: false,
+    driverId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Driver',
+      required: true
+    },
+    from: {
+      type: Date
+    },
+    to: {
+      type: Date,
+      required: true
+    },
+    transferredBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
 });
 
 module.exports = mongoose.model('Vehicle', VehicleSchema);
@@ -13,26 +13,18 @@ const NotificationLog = require('./models/NotificationLog');
 const AuditLog = require('./models/AuditLog');
 const AuthCode = require('./models/AuthCode');
 const Session = require('./models/Session');
+const ConversationState = require('./models/ConversationState');
+const OutboundMessage = require('./models/OutboundMessage');
+const PhoneChangeRequest = require('./models/PhoneChangeRequest');
+const AuthThrottle = require('./models/AuthThrottle');
+const Role = require('./models/Role');
 
-const winston = require('winston');
-const config = require('../../config/config');
+const { createLogger } = require('../core/logger');
 
-// Configuração de logs
-const logger = winston.createLogger({
-  level: config.logging.level || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: config.logging.file || 'logs/bot.log'
-    })
-  ]
-});
+const logger = createLogger('setup');
+
+// Número fictício do administrador criado automaticamente por versões anteriores
+const PLACEHOLDER_ADMIN_WHATSAPP = '92999999999';
 
 /**
  * Configura o banco de dados
@@ -52,9 +44,20 @@ const setupDatabase = async () => {
     await Driver.collection.createIndex({ whatsapp: 1 }, { unique: true });
     await Driver.collection.createIndex({ fullName: 1 });
     await Driver.collection.createIndex({ memberStatus: 1 });
+    await Driver.collection.createIndex({ 'mergedDrivers.whatsapp': 1 });
+    
+    // Configurar índices para Vehicle (placa única apenas entre os veículos ativos)
+    const vehicleIndexes = await Vehicle.collection.indexes().catch(() => []);
+    
+    if (vehicleIndexes.some(index => index.name === 'licensePlate_1' && !index.partialFilterExpression)) {
+      await Vehicle.collection.dropIndex('licensePlate_1');
+    }
     
-    // Configurar índices para Vehicle
-    await Vehicle.collection.createIndex({ licensePlate: 1 }, { unique: true });
+    await Vehicle.collection.updateMany({ active: { $exists: false } }, { $set: { active: true } });
+    await Vehicle.collection.createIndex({ licensePlate: 1 }, {
+      unique: true,
+      partialFilterExpression: { active: true }
+    });
     await Vehicle.collection.createIndex({ driverId: 1 });
     
     // Configurar índices para ParkingLog
@@ -79,41 +82,53 @@ const setupDatabase = async () => {
     await NotificationLog.collection.createIndex({ sentBy: 1 });
     await NotificationLog.collection.createIndex({ sentAt: 1 });
     
+    await NotificationLog.collection.createIndex({ status: 1 });
+    
+    // Configurar índices para OutboundMessage
+    await OutboundMessage.collection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await OutboundMessage.collection.createIndex({ to: 1 });
+    await OutboundMessage.collection.createIndex({ notificationLogId: 1 });
+    
     // Configurar índices para AuditLog
     await AuditLog.collection.createIndex({ userId: 1 });
     await AuditLog.collection.createIndex({ action: 1 });
     await AuditLog.collection.createIndex({ timestamp: 1 });
+    await AuditLog.collection.createIndex({ 'details.licensePlate': 1, timestamp: -1 }, { sparse: true });
+    await AuditLog.collection.createIndex({ sequence: 1 }, { unique: true, sparse: true });
     
     // Configurar índices para AuthCode
     await AuthCode.collection.createIndex({ userId: 1 });
-    await AuthCode.collection.createIndex({ code: 1 });
     await AuthCode.collection.createIndex({ expiresAt: 1 });
     
     // Configurar índices para Session
     await Session.collection.createIndex({ userId: 1 });
     await Session.collection.createIndex({ sessionId: 1 }, { unique: true });
     await Session.collection.createIndex({ expiresAt: 1 });
+    await Session.collection.createIndex({ whatsapp: 1, expiresAt: 1 });
+    
+    // Configurar índices para PhoneChangeRequest
+    await PhoneChangeRequest.collection.createIndex({ reference: 1 }, { unique: true });
+    await PhoneChangeRequest.collection.createIndex({ userId: 1, status: 1 });
     
-    // Verificar se existe um usuário administrador
-    const adminCount = await User.countDocuments({ role: 'admin' });
-    
-    if (adminCount === 0) {
-      logger.info('Nenhum administrador encontrado. Criando usuário administrador padrão...');
-      
-      // Criar usuário administrador padrão
-      const admin = await User.create({
-        fullName: 'Administrador',
-        whatsapp: '92999999999', // Número fictício, deve ser alterado
-        role: 'admin',
-        active: true,
-        createdAt: new Date()
-      });
-      
-      // Gerar código de acesso inicial
-      const authService = require('../services/auth-service');
-      const authCode = await authService.generateInitialAuthCode(admin._id);
-      
-      logger.info(`Usuário administrador criado com sucesso. Código de acesso inicial: ${authCode}`);
+    // Configurar índices para AuthThrottle (registros sem atividade há 7 dias são removidos)
+    await AuthThrottle.collection.createIndex({ subject: 1 }, { unique: true });
+    await AuthThrottle.collection.createIndex({ lockedUntil: 1 });
+    await AuthThrottle.collection.createIndex({ updatedAt: 1 }, { expireAfterSeconds: 604800 });
+    
+    // Configurar índices para Role
+    await Role.collection.createIndex({ name: 1 }, { unique: true });
+    
+    // Configurar índices para ConversationState
+    await ConversationState.collection.createIndex({ phoneNumber: 1 }, { unique: true });
+    await ConversationState.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    // Verificar o acesso de administrador (o primeiro é criado com npm run setup:admin)
+    const adminAccess = await checkAdminAccess();
+    
+    if (adminAccess.placeholder) {
+      logger.warn(`Administrador fictício (${PLACEHOLDER_ADMIN_WHATSAPP}) ainda cadastrado. Execute npm run setup:admin para substituí-lo.`);
+    } else if (adminAccess.admins === 0) {
+      logger.warn('Nenhum administrador cadastrado. Execute npm run setup:admin para criar o primeiro.');
     }
     
     logger.info('Configuração do banco de dados concluída com sucesso');
@@ -123,6 +138,19 @@ const setupDatabase = async () => {
   }
 };
 
+/**
+ * Verifica os administradores cadastrados
+ * @returns {Promise<Object>} - Situação ({ admins, placeholder })
+ */
+const checkAdminAccess = async () => {
+  const admins = await User.countDocuments({ role: 'admin', active: true });
+  const placeholder = await User.exists({ whatsapp: PLACEHOLDER_ADMIN_WHATSAPP, role: 'admin' });
+  
+  return { admins, placeholder: !!placeholder };
+};
+
 module.exports = {
-  setupDatabase
+  PLACEHOLDER_ADMIN_WHATSAPP,
+  setupDatabase,
+  checkAdminAccess
 };
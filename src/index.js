@@ -5,7 +5,6 @@
 
 // Importações de módulos
 const mongoose = require('mongoose');
-const winston = require('winston');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
@@ -14,21 +13,8 @@ const fs = require('fs');
 dotenv.config();
 
 // Configuração de logs
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: process.env.LOG_FILE || 'logs/bot.log'
-    })
-  ]
-});
+const { createLogger } = require('./core/logger');
+const logger = createLogger('main');
 
 // Configuração do MongoDB
 const connectDB = async () => {
@@ -48,6 +34,9 @@ const connectDB = async () => {
     const { setupDatabase } = require('./data/setup');
     await setupDatabase();
     
+    // Carregar os papéis personalizados da matriz de permissões
+    await require('./core/permissions').loadRoles();
+    
     return true;
   } catch (error) {
     logger.error(`Erro ao conectar ao MongoDB: ${error.message}`);
@@ -58,10 +47,12 @@ const connectDB = async () => {
 // Inicialização do cliente WhatsApp
 const initWhatsAppClient = async () => {
   try {
-    logger.info('Inicializando cliente WhatsApp...');
+    const transportType = process.env.TRANSPORT || 'venom';
+    
+    logger.info(`Inicializando cliente WhatsApp (transporte: ${transportType})...`);
     
-    const { getClient } = require('./core/whatsapp-client');
-    const client = await getClient();
+    const { createTransport } = require('./core/transport');
+    const client = await createTransport(transportType);
     
     logger.info('Cliente WhatsApp inicializado com sucesso');
     
@@ -89,10 +80,72 @@ const setupMessageHandlers = (client) => {
   }
 };
 
+// Servidor HTTP de verificação de saúde
+let httpServer = null;
+
+// Tarefa de exportação dos pontos de verificação do log de auditoria
+let auditCheckpoints = null;
+
+const startHttpServer = async () => {
+  try {
+    const transportType = process.env.TRANSPORT || 'venom';
+    const { createHealthService } = require('./services/health-service');
+    const { startServer } = require('./api/server');
+    
+    // O transporte mock não tem conexão a supervisionar
+    const getConnectionStatus = transportType === 'venom'
+      ? require('./core/whatsapp-client').getConnectionStatus
+      : () => ({ state: 'connected', connected: true });
+    
+    const healthService = createHealthService({
+      getConnectionStatus,
+      getQueueMetrics: () => require('./core/message-handler').getQueueMetrics()
+    });
+    
+    httpServer = await startServer({ healthService });
+    
+    return true;
+  } catch (error) {
+    logger.error(`Erro ao iniciar servidor HTTP: ${error.message}`);
+    return false;
+  }
+};
+
+// Encerramento gracioso (docker stop ou falha na verificação de saúde)
+const shutdown = async (signal) => {
+  logger.info(`Sinal ${signal} recebido. Encerrando aplicação...`);
+  
+  try {
+    require('./services/outbound-queue').stop();
+    require('./core/idle-monitor').stopIdleMonitor();
+    
+    if (auditCheckpoints) {
+      auditCheckpoints.stop();
+    }
+    
+    if (httpServer) {
+      httpServer.close();
+    }
+    
+    await mongoose.disconnect();
+  } catch (error) {
+    logger.error(`Erro ao encerrar aplicação: ${error.message}`);
+  }
+  
+  process.exit(0);
+};
+
 // Função principal
 const main = async () => {
   logger.info('Iniciando Bot WhatsApp para Gerenciamento de Estacionamento da Comunidade Ser');
   
+  // Avisar sobre textos ausentes nos catálogos (o idioma padrão é usado no lugar)
+  const localeProblems = require('./core/i18n').checkCatalogs();
+  
+  if (localeProblems.length > 0) {
+    logger.warn(`Catálogos de mensagens incompletos: ${localeProblems.join('; ')}`);
+  }
+  
   // Criar diretórios necessários
   const dirs = ['logs', 'media', 'tokens'];
   dirs.forEach(dir => {
@@ -111,6 +164,21 @@ const main = async () => {
     process.exit(1);
   }
   
+  // Em produção, não iniciar enquanto o administrador fictício de versões anteriores existir
+  const { checkAdminAccess } = require('./data/setup');
+  const adminAccess = await checkAdminAccess();
+  
+  if (adminAccess.placeholder && require('./config/config').environment === 'production') {
+    logger.error('Administrador fictício ainda cadastrado. Execute npm run setup:admin antes de iniciar em produção. Encerrando aplicação.');
+    process.exit(1);
+  }
+  
+  // Exportar periodicamente pontos de verificação assinados do log de auditoria
+  auditCheckpoints = require('./services/audit-service').startCheckpoints();
+  
+  // Iniciar servidor HTTP antes do WhatsApp, que pode aguardar a leitura do QR Code
+  await startHttpServer();
+  
   // Inicializar cliente WhatsApp
   const client = await initWhatsAppClient();
   
@@ -119,8 +187,12 @@ const main = async () => {
     process.exit(1);
   }
   
-  // Configurar manipuladores de mensagens
-  const handlersConfigured = setupMessageHandlers(client);
+  // Iniciar fila de mensagens de saída
+  const outboundQueue = require('./services/outbound-queue');
+  await outboundQueue.start(client);
+  
+  // Configurar manipuladores de mensagens (respostas que falharem são enfileiradas)
+  const handlersConfigured = setupMessageHandlers(outboundQueue.wrapTransport(client));
   
   if (!handlersConfigured) {
     logger.error('Falha ao configurar manipuladores de mensagens. Encerrando aplicação.');
@@ -130,6 +202,9 @@ const main = async () => {
   logger.info('Bot WhatsApp para Gerenciamento de Estacionamento da Comunidade Ser iniciado com sucesso');
 };
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Tratamento de erros não capturados
 process.on('uncaughtException', (error) => {
   logger.error(`Erro não capturado: ${error.message}`);
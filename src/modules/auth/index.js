@@ -0,0 +1,566 @@
+/**
+ * Módulo de autenticação para o bot WhatsApp
+ * Responsável por autenticar usuários e gerenciar o menu principal
+ */
+
+const config = require('../../config/config');
+const { createLogger } = require('../../core/logger');
+const authService = require('../../services/auth-service');
+const { alertAdmins } = require('../../services/alert-service');
+const AuditLog = require('../../data/models/AuditLog');
+const { can } = require('../../core/permissions');
+const metrics = require('../../core/metrics');
+const { DEFAULT_LOCALE, translator } = require('../../core/i18n');
+const { sendMenu, resolveOption } = require('../../core/menu');
+const notificationModule = require('../notification');
+
+const logger = createLogger('auth');
+
+// Opções do menu principal, com a permissão exigida; os números são fixos para quem digita a opção
+const MAIN_MENU_OPTIONS = [
+  { id: 'recognize_plate', number: 1, label: 'menu.options.recognizePlate', permission: 'plate.recognize' },
+  { id: 'register_vehicle', number: 2, label: 'menu.options.registerVehicle', permission: 'vehicle.create' },
+  { id: 'register_driver', number: 3, label: 'menu.options.registerDriver', permission: 'driver.create' },
+  { id: 'send_notification', number: 4, label: 'menu.options.sendNotification', permission: 'notification.send' },
+  { id: 'manage_users', number: 5, label: 'menu.options.manageUsers', permission: 'user.manage' },
+  { id: 'logout', number: 6, label: 'menu.options.logout' }
+];
+
+/**
+ * Obtém as opções do menu principal permitidas ao papel do usuário
+ * @param {Function} t - Função de tradução do usuário
+ * @param {string} role - Papel do usuário
+ * @returns {Array<Object>} - Opções do menu
+ */
+const getMainMenuOptions = (t, role) => {
+  return MAIN_MENU_OPTIONS
+    .filter(option => can(role, option.permission))
+    .map(option => ({ id: option.id, number: option.number, label: t(option.label) }));
+};
+
+/**
+ * Manipula o estado inicial
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleInitialState = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  // Verificar se é uma mensagem de texto
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('auth.sendNumberAsText'));
+    return;
+  }
+  
+  const text = message.body.trim();
+  
+  // Validar número de WhatsApp
+  const phoneRegex = /^[0-9]{10,11}$/;
+  if (!phoneRegex.test(text)) {
+    await client.sendText(from, t('auth.invalidNumber'));
+    return;
+  }
+  
+  try {
+    // Iniciar autenticação; o código só é gerado se o pedido partir do número informado
+    const authResult = await authService.initiateAuth(text, phoneNumber);
+    
+    if (!authResult.success) {
+      if (authResult.reason === 'locked') {
+        metrics.authEventsTotal.inc({ event: 'locked' });
+        
+        await sendLocked(client, from, t, authResult.lockedUntil);
+        return;
+      }
+      
+      if (authResult.senderMismatch) {
+        metrics.authEventsTotal.inc({ event: 'sender_mismatch' });
+        
+        // Oferecer a troca de número aprovada por um administrador
+        await stateManager.setState(phoneNumber, 'requesting_phone_change');
+        await stateManager.updateContext(phoneNumber, { authWhatsapp: text });
+        
+        await client.sendText(from, t('auth.senderMismatch', { number: text }));
+        return;
+      }
+      
+      metrics.authEventsTotal.inc({ event: authResult.isNewUser ? 'unknown_number' : 'error' });
+      
+      if (authResult.isNewUser) {
+        await client.sendText(from, t('auth.unknownNumber'));
+      } else {
+        await client.sendText(from, t('auth.initiateError'));
+      }
+      return;
+    }
+    
+    metrics.authEventsTotal.inc({ event: 'code_sent' });
+    
+    // Atualizar estado
+    await stateManager.setState(phoneNumber, 'awaiting_code');
+    await stateManager.updateContext(phoneNumber, { authWhatsapp: text });
+    
+    // Enviar o código em mensagem própria; o remetente já foi conferido, então este é o chat
+    // do número informado
+    await client.sendText(from, t('auth.codeSent', { number: text }));
+    await client.sendText(from, t('auth.codeMessage', {
+      code: authResult.code,
+      minutes: Math.round(config.auth.codeTTL / 60)
+    }));
+    
+    logger.debug(`Código de verificação enviado para ${text}`);
+  } catch (error) {
+    logger.error(`Erro ao processar autenticação para ${phoneNumber}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Manipula o estado de aguardando código
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleAwaitingCode = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  // Verificar se é uma mensagem de texto
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('auth.sendCodeAsText'));
+    return;
+  }
+  
+  const text = message.body.trim();
+  
+  try {
+    // Verificar código
+    const verifyResult = await authService.verifyCode(
+      stateData.context.authWhatsapp,
+      text,
+      `WhatsApp ${phoneNumber}`,
+      phoneNumber
+    );
+    
+    if (!verifyResult.success) {
+      metrics.authEventsTotal.inc({ event: 'code_rejected' });
+      
+      if (verifyResult.reason === 'locked') {
+        metrics.authEventsTotal.inc({ event: 'locked' });
+        
+        // O código foi descartado: recomeçar após o bloqueio
+        await stateManager.setState(phoneNumber, 'initial');
+        
+        await sendLocked(client, from, t, verifyResult.lockedUntil);
+        return;
+      }
+      
+      await client.sendText(from, t('auth.codeRejected', { reason: t(`auth.reasons.${verifyResult.reason}`) }));
+      return;
+    }
+    
+    // Autenticação bem-sucedida
+    const user = verifyResult.user;
+    const userT = translator(user.language || stateData.context.language);
+    
+    metrics.authEventsTotal.inc({ event: 'login' });
+    
+    // Atualizar estado
+    await stateManager.setState(phoneNumber, 'authenticated');
+    await stateManager.updateContext(phoneNumber, { 
+      userId: user.id,
+      userName: user.fullName,
+      userRole: user.role,
+      language: userT.locale,
+      sessionId: verifyResult.sessionId
+    });
+    
+    // Registrar log de auditoria
+    await AuditLog.logAction(
+      user.id,
+      phoneNumber,
+      'auth_success',
+      { deviceInfo: `WhatsApp ${phoneNumber}` }
+    );
+    
+    // Enviar mensagem de boas-vindas
+    await client.sendText(from, userT('auth.success', { name: user.fullName }));
+    
+    // Enviar menu principal
+    await sendMainMenu(client, from, user.role, userT.locale);
+    
+    logger.debug(`Usuário ${user.id} autenticado com sucesso`);
+  } catch (error) {
+    logger.error(`Erro ao verificar código para ${phoneNumber}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Manipula o pedido de troca de número, oferecido quando o aparelho não corresponde
+ * ao número informado
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleRequestingPhoneChange = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  // Verificar se é uma mensagem de texto
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textOption'));
+    return;
+  }
+  
+  const text = message.body.trim();
+  
+  try {
+    if (text === '1') {
+      const result = await authService.requestPhoneChange(stateData.context.authWhatsapp, phoneNumber);
+      
+      await stateManager.setState(phoneNumber, 'initial');
+      
+      if (!result.success && result.reason === 'locked') {
+        metrics.authEventsTotal.inc({ event: 'locked' });
+        
+        await sendLocked(client, from, t, result.lockedUntil);
+        return;
+      }
+      
+      if (!result.success && result.reason === 'number_in_use') {
+        await client.sendText(from, t('auth.phoneChangeNumberInUse'));
+        return;
+      }
+      
+      if (result.success && !result.alreadyPending) {
+        const { request, user } = result;
+        
+        metrics.authEventsTotal.inc({ event: 'phone_change_requested' });
+        
+        // Registrar log de auditoria
+        await AuditLog.logAction(
+          user._id,
+          phoneNumber,
+          'phone_change_requested',
+          { reference: request.reference, currentWhatsapp: request.currentWhatsapp, newWhatsapp: request.newWhatsapp }
+        );
+        
+        // Avisar os administradores, que aprovam ou recusam pelo código da solicitação
+        await alertAdmins(translator(DEFAULT_LOCALE)('auth.phoneChangeAlert', {
+          name: user.fullName,
+          current: request.currentWhatsapp,
+          new: request.newWhatsapp,
+          reference: request.reference
+        }));
+      }
+      
+      // Mesma resposta para números não cadastrados, para não revelar quais números existem
+      await client.sendText(from, t('auth.phoneChangeRequested'));
+    } else if (text === '2') {
+      // Informar outro número
+      await stateManager.setState(phoneNumber, 'initial');
+      
+      await client.sendText(from, t('auth.enterNumber'));
+    } else {
+      // Opção inválida
+      await client.sendText(from, t('common.invalidOption'));
+    }
+  } catch (error) {
+    logger.error(`Erro ao processar troca de número para ${phoneNumber}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Manipula o estado autenticado
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleAuthenticated = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  // Verificar se é uma mensagem de texto
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textOption'));
+    return;
+  }
+  
+  const text = message.body.trim();
+  const userRole = stateData.context.userRole;
+  
+  try {
+    // Aceitar o ID do botão/item da lista ou o número digitado; opções sem permissão não são reconhecidas
+    switch (resolveOption(text, getMainMenuOptions(t, userRole))) {
+      case 'recognize_plate':
+        // Reconhecer placa
+        await stateManager.setState(phoneNumber, 'recognizing_plate');
+        
+        await client.sendText(from, t('plate.prompt'));
+        break;
+        
+      case 'register_vehicle':
+        // Cadastrar veículo
+        await stateManager.setState(phoneNumber, 'registering_vehicle');
+        await stateManager.updateContext(phoneNumber, { vehicleRegistrationStep: 'plate' });
+        
+        await client.sendText(from, t('vehicle.promptPlate'));
+        break;
+        
+      case 'register_driver':
+        // Cadastrar motorista
+        await stateManager.setState(phoneNumber, 'registering_driver');
+        await stateManager.updateContext(phoneNumber, { driverRegistrationStep: 'name' });
+        
+        await client.sendText(from, t('driver.promptName'));
+        break;
+        
+      case 'send_notification':
+        // Enviar notificação
+        await stateManager.setState(phoneNumber, 'sending_notification');
+        await stateManager.updateContext(phoneNumber, { notificationStep: 'type' });
+        
+        await notificationModule.sendTypeMenu(client, from, userRole, t.locale);
+        break;
+        
+      case 'manage_users':
+        // Gerenciar usuários
+        await stateManager.setState(phoneNumber, 'managing_users');
+        await stateManager.updateContext(phoneNumber, { userManagementAction: 'menu' });
+        
+        await client.sendText(from, t('users.menu'));
+        break;
+        
+      case 'logout':
+        // Sair
+        await logout(client, from, stateData, stateManager);
+        break;
+        
+      default:
+        // Opção inválida
+        await client.sendText(from, t('menu.invalidOption'));
+        
+        // Reenviar menu principal
+        await sendMainMenu(client, from, userRole, t.locale);
+        break;
+    }
+  } catch (error) {
+    logger.error(`Erro ao processar opção para ${phoneNumber}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Encerra a sessão do usuário
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} from - Chat do usuário
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const logout = async (client, from, stateData, stateManager) => {
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  await authService.endSession(stateData.context.sessionId);
+  
+  metrics.authEventsTotal.inc({ event: 'logout' });
+  
+  // Registrar log de auditoria
+  await AuditLog.logAction(
+    stateData.context.userId,
+    phoneNumber,
+    'auth_logout',
+    { deviceInfo: `WhatsApp ${phoneNumber}` }
+  );
+  
+  // Limpar estado
+  await stateManager.clearState(phoneNumber);
+  
+  await client.sendText(from, t('session.loggedOut'));
+};
+
+/**
+ * Lista as sessões ativas do usuário (comando #sessoes)
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @returns {Promise<void>}
+ */
+const handleListSessions = async (client, message, stateData) => {
+  const from = message.from;
+  const t = translator(stateData.context.language);
+  
+  try {
+    const sessions = await authService.listActiveSessions(stateData.context.userId);
+    
+    const items = sessions.map((session, index) => t('session.listItem', {
+      number: index + 1,
+      device: session.deviceInfo || session.whatsapp || '?',
+      current: session.sessionId === stateData.context.sessionId ? t('session.currentTag') : '',
+      created: session.createdAt.toLocaleString(t.locale),
+      lastAccess: session.lastAccess.toLocaleString(t.locale)
+    }));
+    
+    await client.sendText(from, `${t('session.listTitle')}\n\n${items.join('\n\n')}\n\n${t('session.listHint')}`);
+  } catch (error) {
+    logger.error(`Erro ao listar sessões do usuário ${stateData.context.userId}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Encerra uma sessão da lista do comando #sessoes, ou todas as outras (comando #encerrar)
+ * Encerrar a sessão atual equivale a sair
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @param {string} target - Número da sessão na lista ou "todas"
+ * @returns {Promise<void>}
+ */
+const handleRevokeSessions = async (client, message, stateData, stateManager, target) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  const { userId, sessionId } = stateData.context;
+  
+  try {
+    const revokeAll = ['todas', 'all'].includes(target);
+    let revoked;
+    
+    if (revokeAll) {
+      revoked = await authService.revokeSessions(userId, { exceptSessionId: sessionId });
+    } else {
+      // A numeração segue a lista exibida pelo comando #sessoes
+      const sessions = await authService.listActiveSessions(userId);
+      const session = sessions[parseInt(target, 10) - 1];
+      
+      if (!/^\d+$/.test(target) || !session) {
+        await client.sendText(from, t('session.invalidSession'));
+        return;
+      }
+      
+      if (session.sessionId === sessionId) {
+        await logout(client, from, stateData, stateManager);
+        return;
+      }
+      
+      revoked = await authService.revokeSessions(userId, { sessionIds: [session.sessionId] });
+    }
+    
+    // Devolver os outros aparelhos ao início da conversa
+    const devices = [...new Set(revoked.map(session => session.whatsapp))]
+      .filter(device => device && device !== phoneNumber);
+    
+    for (const device of devices) {
+      await stateManager.clearState(device);
+    }
+    
+    if (revoked.length > 0) {
+      await AuditLog.logAction(
+        userId,
+        phoneNumber,
+        'sessions_revoked',
+        { count: revoked.length, devices }
+      );
+    }
+    
+    await client.sendText(from, revokeAll
+      ? t('session.revokedAll', { count: revoked.length })
+      : t('session.revoked', { number: target }));
+  } catch (error) {
+    logger.error(`Erro ao encerrar sessões do usuário ${userId}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Informa o bloqueio temporário por excesso de tentativas
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} to - Chat do usuário
+ * @param {Function} t - Função de tradução do usuário
+ * @param {Date} lockedUntil - Fim do bloqueio
+ * @returns {Promise<void>}
+ */
+const sendLocked = async (client, to, t, lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+  
+  await client.sendText(to, t('auth.locked', { minutes }));
+};
+
+/**
+ * Envia o menu principal
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} to - Número de destino
+ * @param {string} role - Papel do usuário
+ * @param {string} locale - Idioma do usuário
+ * @returns {Promise<void>}
+ */
+const sendMainMenu = async (client, to, role, locale) => {
+  const t = translator(locale);
+  
+  // Só aparecem as opções permitidas ao papel do usuário
+  await sendMenu(client, to, {
+    text: t('menu.title'),
+    options: getMainMenuOptions(t, role),
+    locale: t.locale
+  });
+};
+
+// Estados de conversação do módulo
+const states = {
+  initial: {
+    handler: handleInitialState,
+    transitions: ['awaiting_code', 'requesting_phone_change'],
+    permission: null,
+    help: 'help.states.initial'
+  },
+  requesting_phone_change: {
+    handler: handleRequestingPhoneChange,
+    transitions: ['initial'],
+    permission: null,
+    help: 'help.states.requesting_phone_change'
+  },
+  awaiting_code: {
+    handler: handleAwaitingCode,
+    transitions: ['authenticated'],
+    permission: null,
+    help: 'help.states.awaiting_code'
+  },
+  authenticated: {
+    handler: handleAuthenticated,
+    transitions: ['recognizing_plate', 'registering_vehicle', 'registering_driver', 'sending_notification', 'managing_users'],
+    permission: 'menu.access',
+    help: 'help.states.authenticated'
+  }
+};
+
+// Exportar funções
+module.exports = {
+  handleInitialState,
+  handleAwaitingCode,
+  handleRequestingPhoneChange,
+  handleAuthenticated,
+  sendMainMenu,
+  logout,
+  handleListSessions,
+  handleRevokeSessions,
+  states
+};
@@ -0,0 +1,810 @@
+/**
+ * Módulo de motoristas para o bot WhatsApp
+ * Responsável por gerenciar o cadastro de motoristas: cadastro, busca, perfil, edição e
+ * mesclagem de cadastros duplicados
+ */
+
+const { createLogger } = require('../../core/logger');
+const Driver = require('../../data/models/Driver');
+const Vehicle = require('../../data/models/Vehicle');
+const ParkingLog = require('../../data/models/ParkingLog');
+const AuditLog = require('../../data/models/AuditLog');
+const driverService = require('../../services/driver-service');
+const { can } = require('../../core/permissions');
+const { sendMenu, resolveOption } = require('../../core/menu');
+const { formatDate } = require('../vehicle');
+const { SUPPORTED_LOCALES, translator } = require('../../core/i18n');
+
+const logger = createLogger('driver');
+
+// Quantidade máxima de motoristas listados na busca por nome
+const SEARCH_LIMIT = 5;
+
+/**
+ * Manipula cadastro de motorista
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleRegisteringDriver = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+
+  // Verificar se é uma mensagem de texto
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textAnswer'));
+    return;
+  }
+
+  const text = message.body.trim();
+  const step = stateData.context.driverRegistrationStep;
+
+  try {
+    switch (step) {
+      case 'name':
+        // Validar nome
+        if (text.length < 3) {
+          await client.sendText(from, t('driver.invalidName'));
+          return;
+        }
+
+        // Pular a etapa de WhatsApp se o número já foi informado no cadastro de veículo,
+        // desde que não pertença a um motorista (atual ou mesclado)
+        const prefilledDriver = stateData.context.driverWhatsapp
+          ? await driverService.findDriverByWhatsapp(stateData.context.driverWhatsapp)
+          : null;
+
+        if (prefilledDriver) {
+          await stateManager.updateContext(phoneNumber, {
+            driverRegistrationStep: 'whatsapp',
+            driverWhatsapp: null,
+            driverName: text
+          });
+
+          await client.sendText(from, t('driver.alreadyRegistered', { name: prefilledDriver.fullName }));
+        } else if (stateData.context.driverWhatsapp) {
+          await stateManager.updateContext(phoneNumber, {
+            driverRegistrationStep: 'status',
+            driverName: text
+          });
+
+          await client.sendText(from, t('driver.promptStatus'));
+        } else {
+          await stateManager.updateContext(phoneNumber, {
+            driverRegistrationStep: 'whatsapp',
+            driverName: text
+          });
+
+          await client.sendText(from, t('driver.promptWhatsapp'));
+        }
+        break;
+
+      case 'whatsapp':
+        // Validar número de WhatsApp
+        const whatsapp = text.replace(/\D/g, '');
+
+        if (whatsapp.length < 10 || whatsapp.length > 11) {
+          await client.sendText(from, t('common.invalidPhone'));
+          return;
+        }
+
+        // Verificar se o motorista já está cadastrado (inclusive com um número de cadastro mesclado)
+        const existingDriver = await driverService.findDriverByWhatsapp(whatsapp);
+
+        if (existingDriver) {
+          await client.sendText(from, t('driver.alreadyRegistered', { name: existingDriver.fullName }));
+          return;
+        }
+
+        await stateManager.updateContext(phoneNumber, {
+          driverRegistrationStep: 'status',
+          driverWhatsapp: whatsapp
+        });
+
+        await client.sendText(from, t('driver.promptStatus'));
+        break;
+
+      case 'status':
+        // Validar status
+        if (text !== '1' && text !== '2') {
+          await client.sendText(from, t('driver.invalidStatus'));
+          return;
+        }
+
+        await stateManager.updateContext(phoneNumber, {
+          driverRegistrationStep: 'language',
+          driverMemberStatus: text === '1' ? 'member' : 'visitor'
+        });
+
+        await client.sendText(from, t('driver.promptLanguage'));
+        break;
+
+      case 'language':
+        // Validar idioma (as opções seguem a ordem dos idiomas suportados)
+        const driverLanguage = SUPPORTED_LOCALES[parseInt(text, 10) - 1];
+
+        if (!/^\d$/.test(text) || !driverLanguage) {
+          await client.sendText(from, t('driver.invalidLanguage'));
+          return;
+        }
+
+        await stateManager.updateContext(phoneNumber, {
+          driverRegistrationStep: 'confirm',
+          driverLanguage
+        });
+
+        await client.sendText(from, t('driver.confirm', {
+          name: stateData.context.driverName,
+          whatsapp: stateData.context.driverWhatsapp,
+          status: t(`common.memberStatus.${stateData.context.driverMemberStatus}`),
+          language: t(`language.names.${driverLanguage}`)
+        }));
+        break;
+
+      case 'confirm':
+        if (text === '1') {
+          // Confirmar cadastro
+          const driver = await Driver.create({
+            fullName: stateData.context.driverName,
+            whatsapp: stateData.context.driverWhatsapp,
+            memberStatus: stateData.context.driverMemberStatus,
+            language: stateData.context.driverLanguage,
+            registeredBy: stateData.context.userId,
+            registrationDate: new Date()
+          });
+
+          // Registrar log de auditoria
+          await AuditLog.logAction(
+            stateData.context.userId,
+            phoneNumber,
+            'driver_created',
+            {
+              driverId: driver._id,
+              before: null,
+              after: {
+                fullName: driver.fullName,
+                whatsapp: driver.whatsapp,
+                memberStatus: driver.memberStatus,
+                language: driver.language
+              }
+            }
+          );
+
+          await client.sendText(from, t('driver.registered', {
+            name: driver.fullName,
+            whatsapp: driver.whatsapp,
+            status: t(`common.memberStatus.${driver.memberStatus}`),
+            language: t(`language.names.${driver.language || t.locale}`)
+          }));
+
+          if (stateData.context.returnToVehicleRegistration) {
+            // Retomar cadastro de veículo com o novo motorista
+            await stateManager.setState(phoneNumber, 'registering_vehicle');
+            await stateManager.updateContext(phoneNumber, {
+              vehicleRegistrationStep: 'confirm',
+              vehicleDriverId: driver._id,
+              returnToVehicleRegistration: false
+            });
+
+            await client.sendText(from, t('vehicle.confirm', {
+              plate: stateData.context.vehiclePlate,
+              make: stateData.context.vehicleMake,
+              model: stateData.context.vehicleModel,
+              color: stateData.context.vehicleColor,
+              driverName: driver.fullName
+            }));
+            return;
+          }
+
+          // Voltar ao menu principal
+          await stateManager.setState(phoneNumber, 'authenticated');
+
+          const authModule = require('../auth');
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+        } else if (text === '2') {
+          // Cancelar cadastro
+          await stateManager.setState(phoneNumber, 'authenticated');
+
+          await client.sendText(from, t('driver.cancelled'));
+
+          // Enviar menu principal
+          const authModule = require('../auth');
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+        } else {
+          // Opção inválida
+          await client.sendText(from, t('common.invalidConfirm'));
+        }
+        break;
+
+      default:
+        // Estado desconhecido
+        logger.warn(`Estado de cadastro de motorista desconhecido: ${step}`);
+        await stateManager.setState(phoneNumber, 'authenticated');
+
+        await client.sendText(from, t('common.genericErrorRetry'));
+
+        // Enviar menu principal
+        const authModule = require('../auth');
+        await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+        break;
+    }
+  } catch (error) {
+    logger.error(`Erro ao processar cadastro de motorista: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Busca motoristas pelo nome ou pelo número (atalho "#buscar nome"), listando seus veículos
+ * Veículos presentes no estacionamento são marcados com 🅿️
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {string} query - Nome ou parte do nome
+ * @returns {Promise<void>}
+ */
+const handleDriverSearch = async (client, message, stateData, query) => {
+  const from = message.from;
+  const t = translator(stateData.context.language);
+  const term = (query || '').trim();
+
+  // Termos só com dígitos (e separadores de telefone) buscam pelo número
+  const digits = /^[\d\s()+-]+$/.test(term) ? term.replace(/\D/g, '') : '';
+
+  if (digits ? digits.length < 4 : term.length < 3) {
+    await client.sendText(from, t('shortcuts.searchUsage'));
+    return;
+  }
+
+  try {
+    // Busca sem diferenciar maiúsculas, tratando o termo como texto literal
+    const query = digits
+      ? { $or: [{ whatsapp: new RegExp(digits) }, { 'mergedDrivers.whatsapp': new RegExp(digits) }] }
+      : { fullName: new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') };
+    const total = await Driver.countDocuments(query);
+
+    if (total === 0) {
+      await client.sendText(from, t('shortcuts.searchNoResults', { query: term }));
+      return;
+    }
+
+    const drivers = await Driver.find(query)
+      .sort({ fullName: 1 })
+      .limit(SEARCH_LIMIT);
+
+    const driverIds = drivers.map(driver => driver._id);
+    const vehicles = await Vehicle.find({ driverId: { $in: driverIds }, active: true });
+    const activeParkings = await ParkingLog.find({ driverId: { $in: driverIds }, exitTime: null });
+    const parkedIds = activeParkings.map(parking => String(parking.vehicleId));
+
+    const items = drivers.map(driver => {
+      const plates = vehicles
+        .filter(vehicle => String(vehicle.driverId) === String(driver._id))
+        .map(vehicle => `${vehicle.licensePlate}${parkedIds.includes(String(vehicle._id)) ? ' 🅿️' : ''}`);
+
+      return t('shortcuts.searchItem', {
+        name: driver.fullName,
+        status: t(`common.memberStatus.${driver.memberStatus}`),
+        whatsapp: driver.whatsapp,
+        vehicles: plates.length > 0 ? plates.join(', ') : t('shortcuts.searchNoVehicles')
+      });
+    });
+
+    let text = `${t('shortcuts.searchResults', { count: total, query: term })}\n\n${items.join('\n\n')}`;
+
+    if (total > drivers.length) {
+      text += `\n\n${t('shortcuts.searchMore', { count: total - drivers.length })}`;
+    }
+
+    text += `\n\n${t('shortcuts.searchProfileHint')}`;
+
+    await client.sendText(from, text);
+  } catch (error) {
+    logger.error(`Erro ao buscar motoristas: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Exibe o perfil de um motorista (atalho "#motorista NÚMERO") com as ações permitidas
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @param {string} number - WhatsApp do motorista
+ * @returns {Promise<void>}
+ */
+const handleDriverProfile = async (client, message, stateData, stateManager, number) => {
+  const from = message.from;
+  const t = translator(stateData.context.language);
+  const whatsapp = (number || '').replace(/\D/g, '');
+
+  if (whatsapp.length < 10) {
+    await client.sendText(from, t('driver.profile.usage'));
+    return;
+  }
+
+  try {
+    const driver = await driverService.findDriverByWhatsapp(whatsapp);
+
+    if (!driver) {
+      await client.sendText(from, t('driver.profile.notFound', { whatsapp }));
+      return;
+    }
+
+    await showDriverProfile(client, from, stateData, stateManager, driver._id);
+  } catch (error) {
+    logger.error(`Erro ao exibir perfil de motorista: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Manipula a ação escolhida no perfil do motorista
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleDriverProfileAction = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textOption'));
+    return;
+  }
+
+  try {
+    switch (resolveOption(message.body.trim(), getProfileOptions(t, stateData.context.userRole))) {
+      case 'edit_driver':
+        await stateManager.setState(phoneNumber, 'editing_driver');
+        await stateManager.updateContext(phoneNumber, { driverEditStep: 'field' });
+
+        await sendMenu(client, from, {
+          text: t('driver.edit.promptField'),
+          options: getFieldOptions(t),
+          locale: t.locale
+        });
+        break;
+
+      case 'merge_driver':
+        await stateManager.setState(phoneNumber, 'merging_drivers');
+        await stateManager.updateContext(phoneNumber, { driverMergeStep: 'duplicate' });
+
+        await client.sendText(from, t('driver.merge.promptDuplicate'));
+        break;
+
+      case 'back_to_menu':
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+        break;
+
+      default:
+        await client.sendText(from, t('common.invalidOption'));
+        break;
+    }
+  } catch (error) {
+    logger.error(`Erro ao processar ação sobre motorista: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Manipula a edição de um campo do motorista exibido no perfil
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleEditingDriver = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textAnswer'));
+    return;
+  }
+
+  const text = message.body.trim();
+  const driverId = stateData.context.profileDriverId;
+
+  try {
+    if (stateData.context.driverEditStep === 'field') {
+      const field = resolveOption(text, getFieldOptions(t));
+
+      if (!field) {
+        await client.sendText(from, t('common.invalidOption'));
+        return;
+      }
+
+      const driver = await Driver.findById(driverId);
+
+      if (!driver) {
+        await client.sendText(from, t('driver.edit.reasons.not_found'));
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+        return;
+      }
+
+      await stateManager.updateContext(phoneNumber, {
+        driverEditStep: 'value',
+        driverEditField: field
+      });
+
+      const prompt = {
+        field: t(`driver.edit.fields.${field}`),
+        current: formatFieldValue(t, field, driver[field])
+      };
+      const choices = getValueOptions(t, field);
+
+      if (choices) {
+        await sendMenu(client, from, { text: t('driver.edit.promptChoice', prompt), options: choices, locale: t.locale });
+      } else {
+        await client.sendText(from, t(field === 'notes' ? 'driver.edit.promptNotes' : 'driver.edit.promptText', prompt));
+      }
+      return;
+    }
+
+    const field = stateData.context.driverEditField;
+    const choices = getValueOptions(t, field);
+    let value = text;
+
+    // Campos de escolha: aceitar o ID da opção ou o número digitado
+    if (choices) {
+      const option = choices.find(choice => choice.id === resolveOption(text, choices));
+
+      if (!option) {
+        await client.sendText(from, t('common.invalidOption'));
+        return;
+      }
+
+      value = option.value;
+    }
+
+    const result = await driverService.updateDriver(driverId, field, value, {
+      userId: stateData.context.userId,
+      whatsapp: phoneNumber,
+      role: stateData.context.userRole
+    });
+
+    if (!result.success) {
+      if (result.reason === 'not_found' || result.reason === 'permission_denied') {
+        await client.sendText(from, t(result.reason === 'not_found' ? 'driver.edit.reasons.not_found' : 'common.permissionDenied'));
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+      } else {
+        // Valor inválido, igual ao atual ou número de outro motorista: aguardar outro valor
+        await client.sendText(from, t(`driver.edit.reasons.${result.reason}`, {
+          name: result.conflict ? result.conflict.fullName : ''
+        }));
+      }
+      return;
+    }
+
+    await client.sendText(from, t('driver.edit.done', {
+      name: result.driver.fullName,
+      field: t(`driver.edit.fields.${field}`),
+      before: formatFieldValue(t, field, result.before),
+      after: formatFieldValue(t, field, result.driver[field])
+    }));
+
+    await showDriverProfile(client, from, stateData, stateManager, driverId);
+  } catch (error) {
+    logger.error(`Erro ao processar edição de motorista: ${error.message}`);
+    await client.sendText(from, t('common.genericErrorCancel'));
+  }
+};
+
+/**
+ * Manipula a mesclagem de um cadastro duplicado no motorista exibido no perfil
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleMergingDrivers = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textAnswer'));
+    return;
+  }
+
+  const text = message.body.trim();
+  const targetId = stateData.context.profileDriverId;
+
+  try {
+    if (stateData.context.driverMergeStep === 'duplicate') {
+      const whatsapp = text.replace(/\D/g, '');
+
+      if (whatsapp.length < 10) {
+        await client.sendText(from, t('common.invalidPhone'));
+        return;
+      }
+
+      const [source, target] = await Promise.all([
+        driverService.findDriverByWhatsapp(whatsapp),
+        Driver.findById(targetId)
+      ]);
+
+      if (!target) {
+        await client.sendText(from, t('driver.edit.reasons.not_found'));
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+        return;
+      }
+
+      if (!source) {
+        await client.sendText(from, t('driver.merge.reasons.not_found'));
+        return;
+      }
+
+      if (String(source._id) === String(target._id)) {
+        await client.sendText(from, t('driver.merge.reasons.same_driver'));
+        return;
+      }
+
+      const [vehicles, parkings] = await Promise.all([
+        Vehicle.countDocuments({ driverId: source._id }),
+        ParkingLog.countDocuments({ driverId: source._id })
+      ]);
+
+      await stateManager.updateContext(phoneNumber, {
+        driverMergeStep: 'confirm',
+        driverMergeSourceId: source._id
+      });
+
+      await client.sendText(from, t('driver.merge.confirm', {
+        target: target.fullName,
+        targetWhatsapp: target.whatsapp,
+        source: source.fullName,
+        sourceWhatsapp: source.whatsapp,
+        vehicles,
+        parkings
+      }));
+      return;
+    }
+
+    if (text === '1') {
+      const result = await driverService.mergeDrivers(stateData.context.driverMergeSourceId, targetId, {
+        userId: stateData.context.userId,
+        whatsapp: phoneNumber,
+        role: stateData.context.userRole
+      });
+
+      if (!result.success) {
+        await client.sendText(from, t(result.reason === 'permission_denied' ? 'common.permissionDenied' : `driver.merge.reasons.${result.reason}`));
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+        return;
+      }
+
+      await client.sendText(from, t('driver.merge.done', {
+        target: result.driver.fullName,
+        source: result.source.fullName,
+        sourceWhatsapp: result.source.whatsapp,
+        vehicles: result.vehicles,
+        parkings: result.parkingLogs
+      }));
+    } else if (text === '2') {
+      await client.sendText(from, t('driver.merge.cancelled'));
+    } else {
+      await client.sendText(from, t('common.invalidConfirm'));
+      return;
+    }
+
+    await showDriverProfile(client, from, stateData, stateManager, targetId);
+  } catch (error) {
+    logger.error(`Erro ao processar mesclagem de motoristas: ${error.message}`);
+    await client.sendText(from, t('common.genericErrorCancel'));
+  }
+};
+
+/**
+ * Envia o perfil do motorista com as ações permitidas e aguarda a escolha
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} from - Chat do usuário
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @param {string} driverId - ID do motorista
+ * @returns {Promise<void>}
+ */
+const showDriverProfile = async (client, from, stateData, stateManager, driverId) => {
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  const profile = await driverService.getDriverProfile(driverId);
+
+  if (!profile) {
+    await client.sendText(from, t('driver.edit.reasons.not_found'));
+    await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+    return;
+  }
+
+  const { driver, vehicles, parkedVehicleIds, history, totalParkings } = profile;
+  const lines = [t('driver.profile.details', {
+    name: driver.fullName,
+    whatsapp: driver.whatsapp,
+    status: formatFieldValue(t, 'memberStatus', driver.memberStatus),
+    language: formatFieldValue(t, 'language', driver.language),
+    notifyOnEntry: formatFieldValue(t, 'notifyOnEntry', driver.notifyOnEntry),
+    notifyOnExit: formatFieldValue(t, 'notifyOnExit', driver.notifyOnExit),
+    notes: formatFieldValue(t, 'notes', driver.notes),
+    registrationDate: formatDate(driver.registrationDate, t.locale)
+  })];
+
+  if (driver.mergedDrivers && driver.mergedDrivers.length > 0) {
+    lines.push(t('driver.profile.mergedNumbers', { numbers: driver.mergedDrivers.map(item => item.whatsapp).join(', ') }));
+  }
+
+  lines.push('', t('driver.profile.vehiclesTitle'));
+  lines.push(...(vehicles.length > 0
+    ? vehicles.map(vehicle => t('driver.profile.vehicleItem', {
+      plate: vehicle.licensePlate,
+      make: vehicle.make,
+      model: vehicle.model,
+      color: vehicle.color,
+      parked: parkedVehicleIds.includes(String(vehicle._id)) ? ' 🅿️' : ''
+    }))
+    : [t('driver.profile.noVehicles')]));
+
+  lines.push('', t('driver.profile.historyTitle', { total: totalParkings }));
+  lines.push(...(history.length > 0
+    ? history.map(parking => t('driver.profile.historyItem', {
+      plate: parking.vehicleId ? parking.vehicleId.licensePlate : '?',
+      entry: formatDate(parking.entryTime, t.locale),
+      exit: parking.exitTime ? formatDate(parking.exitTime, t.locale) : t('driver.profile.stillParked')
+    }))
+    : [t('driver.profile.noHistory')]));
+
+  await stateManager.setState(phoneNumber, 'driver_profile');
+  await stateManager.updateContext(phoneNumber, { profileDriverId: driver._id });
+
+  await sendMenu(client, from, {
+    text: lines.join('\n'),
+    options: getProfileOptions(t, stateData.context.userRole),
+    locale: t.locale
+  });
+};
+
+/**
+ * Encerra o assistente e volta ao menu principal
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} from - Chat do usuário
+ * @param {string} phoneNumber - Número do usuário
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const returnToMainMenu = async (client, from, phoneNumber, stateData, stateManager) => {
+  const t = translator(stateData.context.language);
+
+  await stateManager.setState(phoneNumber, 'authenticated');
+
+  const authModule = require('../auth');
+  await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+};
+
+/**
+ * Obtém as ações exibidas no perfil do motorista
+ * Só aparecem as ações permitidas ao papel do usuário
+ * @param {Function} t - Função de tradução do usuário
+ * @param {string} role - Papel do usuário
+ * @returns {Array<Object>} - Opções do menu
+ */
+const getProfileOptions = (t, role) => {
+  const options = [
+    { id: 'edit_driver', label: t('driver.profile.options.edit'), permission: 'driver.update' },
+    { id: 'merge_driver', label: t('driver.profile.options.merge'), permission: 'driver.merge' },
+    { id: 'back_to_menu', label: t('driver.profile.options.backToMenu') }
+  ];
+
+  return options
+    .filter(option => can(role, option.permission))
+    .map(({ id, label }) => ({ id, label }));
+};
+
+/**
+ * Obtém as opções de campo na edição de um motorista
+ * @param {Function} t - Função de tradução do usuário
+ * @returns {Array<Object>} - Opções do menu
+ */
+const getFieldOptions = (t) => {
+  return driverService.EDITABLE_FIELDS.map(field => ({ id: field, label: t(`driver.edit.fields.${field}`) }));
+};
+
+/**
+ * Obtém as opções de valor dos campos de escolha (status, idioma e avisos)
+ * @param {Function} t - Função de tradução do usuário
+ * @param {string} field - Campo editado
+ * @returns {Array<Object>|null} - Opções ({ id, label, value }) ou null para campos de texto
+ */
+const getValueOptions = (t, field) => {
+  switch (field) {
+    case 'memberStatus':
+      return ['member', 'visitor'].map(status => ({ id: status, label: t(`common.memberStatus.${status}`), value: status }));
+
+    case 'language':
+      return SUPPORTED_LOCALES.map(locale => ({ id: locale, label: t(`language.names.${locale}`), value: locale }));
+
+    case 'notifyOnEntry':
+    case 'notifyOnExit':
+      return [
+        { id: 'yes', label: t('driver.profile.yes'), value: true },
+        { id: 'no', label: t('driver.profile.no'), value: false }
+      ];
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Formata o valor de um campo do motorista para exibição
+ * @param {Function} t - Função de tradução do usuário
+ * @param {string} field - Campo
+ * @param {*} value - Valor
+ * @returns {string} - Valor formatado
+ */
+const formatFieldValue = (t, field, value) => {
+  if (field === 'notifyOnEntry' || field === 'notifyOnExit') {
+    return t(value ? 'driver.profile.yes' : 'driver.profile.no');
+  }
+
+  if (value === undefined || value === null || value === '') {
+    return t('common.notAvailable');
+  }
+
+  if (field === 'memberStatus') {
+    return t(`common.memberStatus.${value}`);
+  }
+
+  if (field === 'language') {
+    return t(`language.names.${value}`);
+  }
+
+  return String(value);
+};
+
+// Estados de conversação do módulo
+const states = {
+  registering_driver: {
+    handler: handleRegisteringDriver,
+    transitions: ['registering_vehicle', 'authenticated'],
+    permission: 'driver.create',
+    help: 'help.states.registering_driver'
+  },
+  driver_profile: {
+    handler: handleDriverProfileAction,
+    transitions: ['editing_driver', 'merging_drivers', 'authenticated'],
+    permission: 'driver.search',
+    help: 'help.states.driver_profile'
+  },
+  editing_driver: {
+    handler: handleEditingDriver,
+    transitions: ['driver_profile', 'authenticated'],
+    permission: 'driver.update',
+    help: 'help.states.editing_driver'
+  },
+  merging_drivers: {
+    handler: handleMergingDrivers,
+    transitions: ['driver_profile', 'authenticated'],
+    permission: 'driver.merge',
+    help: 'help.states.merging_drivers'
+  }
+};
+
+module.exports = {
+  handleRegisteringDriver,
+  handleDriverSearch,
+  handleDriverProfile,
+  handleDriverProfileAction,
+  handleEditingDriver,
+  handleMergingDrivers,
+  states
+};
@@ -0,0 +1,210 @@
+/**
+ * Módulo de grupo de operadores para o bot WhatsApp
+ * Responsável por publicar entradas, saídas e alertas no grupo de coordenação
+ * e atender comandos restritos enviados com menção ao bot
+ */
+
+const config = require('../../config/config');
+const { createLogger } = require('../../core/logger');
+const Vehicle = require('../../data/models/Vehicle');
+const Driver = require('../../data/models/Driver');
+const ParkingLog = require('../../data/models/ParkingLog');
+const authService = require('../../services/auth-service');
+const outboundQueue = require('../../services/outbound-queue');
+const { EVENTS, botEvents } = require('../../core/events');
+const { isValidLicensePlate, formatDate } = require('../vehicle');
+const { DEFAULT_LOCALE, translator } = require('../../core/i18n');
+const { can } = require('../../core/permissions');
+
+const logger = createLogger('group');
+
+// O grupo é compartilhado por todos os operadores: as mensagens usam o idioma padrão
+const t = translator(DEFAULT_LOCALE);
+
+/**
+ * Verifica se uma mensagem de grupo menciona o bot
+ * @param {Object} message - Mensagem recebida
+ * @returns {boolean} - true se o bot foi mencionado
+ */
+const isBotMentioned = (message) => {
+  if (!config.whatsapp.botNumber) {
+    return false;
+  }
+
+  const botId = `${config.whatsapp.botNumber}@c.us`;
+  const mentions = message.mentionedJidList || [];
+
+  return mentions.includes(botId) || (message.body || '').includes(`@${config.whatsapp.botNumber}`);
+};
+
+/**
+ * Manipula mensagem recebida em grupo
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @returns {Promise<void>}
+ */
+const handleGroupMessage = async (client, message) => {
+  // Atender apenas o grupo de operadores configurado e mensagens que mencionam o bot
+  if (!config.groups.operatorsGroupId || message.from !== config.groups.operatorsGroupId) {
+    return;
+  }
+
+  if (message.type !== 'chat' || !isBotMentioned(message)) {
+    return;
+  }
+
+  const groupId = message.from;
+  const authorNumber = (message.author || '').replace(/@c\.us$/, '');
+
+  try {
+    // Verificar se o autor está autenticado e pode usar comandos no grupo
+    const sessionResult = await authService.restoreSession(authorNumber);
+
+    if (!sessionResult.success || !can(sessionResult.user.role, 'group.commands')) {
+      await client.sendText(groupId, t('group.onlyOperators'));
+      return;
+    }
+
+    // Remover menções e separar comando e argumentos
+    const text = message.body.replace(/@\d+/g, '').trim();
+    const [command, ...args] = text.split(/\s+/);
+
+    switch ((command || '').toLowerCase()) {
+      case 'placa':
+        await handlePlateLookup(client, groupId, args.join('').toUpperCase());
+        break;
+
+      case 'ocupacao':
+      case 'ocupação':
+        await handleOccupancy(client, groupId);
+        break;
+
+      default:
+        await client.sendText(groupId, t('group.help'));
+        break;
+    }
+
+    logger.debug(`Comando de grupo executado por ${authorNumber}: ${command}`);
+  } catch (error) {
+    logger.error(`Erro ao processar comando de grupo: ${error.message}`);
+    await client.sendText(groupId, t('group.error'));
+  }
+};
+
+/**
+ * Consulta um veículo pela placa
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} groupId - Grupo de destino
+ * @param {string} licensePlate - Placa informada
+ * @returns {Promise<void>}
+ */
+const handlePlateLookup = async (client, groupId, licensePlate) => {
+  if (!isValidLicensePlate(licensePlate)) {
+    await client.sendText(groupId, t('group.invalidPlate'));
+    return;
+  }
+
+  const vehicle = await Vehicle.findOne({ licensePlate, active: true });
+
+  if (!vehicle) {
+    await client.sendText(groupId, t('group.plateNotFound', { plate: licensePlate }));
+    return;
+  }
+
+  const driver = await Driver.findById(vehicle.driverId);
+  const activeParking = await ParkingLog.findOne({ vehicleId: vehicle._id, exitTime: null });
+
+  await client.sendText(groupId, t('group.vehicle', {
+    plate: vehicle.licensePlate,
+    make: vehicle.make,
+    model: vehicle.model,
+    color: vehicle.color,
+    driverName: driver ? driver.fullName : t('group.driverNotFound'),
+    parkingStatus: activeParking
+      ? t('group.presentSince', { date: formatDate(activeParking.entryTime, t.locale) })
+      : t('group.notPresent')
+  }));
+};
+
+/**
+ * Informa a ocupação atual do estacionamento
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} groupId - Grupo de destino
+ * @returns {Promise<void>}
+ */
+const handleOccupancy = async (client, groupId) => {
+  const activeParkings = await ParkingLog.find({ exitTime: null })
+    .sort({ entryTime: 1 })
+    .populate('vehicleId', 'licensePlate');
+
+  let text = t('group.occupancy', { count: activeParkings.length });
+
+  if (activeParkings.length > 0) {
+    text += ':\n\n' + activeParkings
+      .map(parking => t('group.occupancyItem', {
+        plate: parking.vehicleId ? parking.vehicleId.licensePlate : '?',
+        date: formatDate(parking.entryTime, t.locale)
+      }))
+      .join('\n');
+  }
+
+  await client.sendText(groupId, text);
+};
+
+/**
+ * Publica uma mensagem no grupo de operadores
+ * @param {string} text - Texto da mensagem
+ * @returns {Promise<void>}
+ */
+const postToGroup = async (text) => {
+  if (!config.groups.operatorsGroupId) {
+    return;
+  }
+
+  try {
+    await outboundQueue.enqueue(config.groups.operatorsGroupId, text);
+  } catch (error) {
+    logger.error(`Erro ao publicar no grupo de operadores: ${error.message}`);
+  }
+};
+
+/**
+ * Configura o grupo de operadores: entrada no grupo e publicação de eventos
+ * @param {Object} client - Cliente WhatsApp
+ * @returns {Promise<void>}
+ */
+const setupGroup = async (client) => {
+  if (!config.groups.operatorsGroupId) {
+    return;
+  }
+
+  // Entrar no grupo pelo convite, se o transporte permitir
+  if (config.groups.operatorsInviteCode && typeof client.joinGroup === 'function') {
+    try {
+      await client.joinGroup(config.groups.operatorsInviteCode);
+      logger.info('Bot adicionado ao grupo de operadores');
+    } catch (error) {
+      logger.warn(`Não foi possível entrar no grupo de operadores: ${error.message}`);
+    }
+  }
+
+  botEvents.on(EVENTS.PARKING_ENTRY, ({ vehicle, registeredBy }) => {
+    postToGroup(t('group.entry', { plate: vehicle.licensePlate, make: vehicle.make, model: vehicle.model, user: registeredBy }));
+  });
+
+  botEvents.on(EVENTS.PARKING_EXIT, ({ vehicle, registeredBy }) => {
+    postToGroup(t('group.exit', { plate: vehicle.licensePlate, make: vehicle.make, model: vehicle.model, user: registeredBy }));
+  });
+
+  botEvents.on(EVENTS.ALERT, ({ text, reportedBy }) => {
+    postToGroup(`🚨 ${text}${reportedBy ? ` (${reportedBy})` : ''}`);
+  });
+
+  logger.info(`Grupo de operadores configurado: ${config.groups.operatorsGroupId}`);
+};
+
+module.exports = {
+  handleGroupMessage,
+  setupGroup,
+  postToGroup
+};
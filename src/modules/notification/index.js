@@ -0,0 +1,289 @@
+/**
+ * Módulo de notificações para o bot WhatsApp
+ * Responsável pelo envio de notificações aos motoristas
+ */
+
+const { createLogger } = require('../../core/logger');
+const Driver = require('../../data/models/Driver');
+const Vehicle = require('../../data/models/Vehicle');
+const NotificationLog = require('../../data/models/NotificationLog');
+const AuditLog = require('../../data/models/AuditLog');
+const outboundQueue = require('../../services/outbound-queue');
+const driverService = require('../../services/driver-service');
+const { toChatId } = require('../../core/phone');
+const { translator } = require('../../core/i18n');
+const { can } = require('../../core/permissions');
+const { sendMenu, resolveOption } = require('../../core/menu');
+
+const logger = createLogger('notification');
+
+// Tipos de notificação, com a permissão exigida; os números são fixos para quem digita a opção
+const NOTIFICATION_TYPES = [
+  { id: 'individual', number: 1, label: 'notification.types.individual', permission: 'notification.send' },
+  { id: 'all_members', number: 2, label: 'notification.types.allMembers', permission: 'notification.broadcast' },
+  { id: 'all_visitors', number: 3, label: 'notification.types.allVisitors', permission: 'notification.broadcast' }
+];
+
+/**
+ * Obtém os tipos de notificação permitidos ao papel do usuário
+ * @param {Function} t - Função de tradução do usuário
+ * @param {string} role - Papel do usuário
+ * @returns {Array<Object>} - Opções do menu
+ */
+const getTypeOptions = (t, role) => {
+  return NOTIFICATION_TYPES
+    .filter(type => can(role, type.permission))
+    .map(type => ({ id: type.id, number: type.number, label: t(type.label) }));
+};
+
+/**
+ * Envia o menu de tipos de notificação
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} to - Chat do usuário
+ * @param {string} role - Papel do usuário
+ * @param {string} locale - Idioma do usuário
+ * @returns {Promise<void>}
+ */
+const sendTypeMenu = async (client, to, role, locale) => {
+  const t = translator(locale);
+
+  await sendMenu(client, to, {
+    text: t('notification.promptType'),
+    options: getTypeOptions(t, role),
+    locale: t.locale
+  });
+};
+
+/**
+ * Manipula envio de notificação
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleSendingNotification = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+
+  // Verificar se é uma mensagem de texto
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textAnswer'));
+    return;
+  }
+
+  const text = message.body.trim();
+  const step = stateData.context.notificationStep;
+
+  try {
+    switch (step) {
+      case 'type':
+        // Validar tipo de notificação (envios em massa exigem permissão própria)
+        const notificationType = resolveOption(text, getTypeOptions(t, stateData.context.userRole));
+
+        if (!notificationType) {
+          await client.sendText(from, t('common.invalidOption'));
+          return;
+        }
+
+        if (notificationType === 'individual') {
+          await stateManager.updateContext(phoneNumber, {
+            notificationStep: 'recipient',
+            notificationType
+          });
+
+          await client.sendText(from, t('notification.promptRecipient'));
+          return;
+        }
+
+        // Notificação em massa
+        const memberStatus = notificationType === 'all_members' ? 'member' : 'visitor';
+        const drivers = await Driver.find({ memberStatus }).select('whatsapp');
+
+        if (drivers.length === 0) {
+          await client.sendText(from, t('notification.noRecipients'));
+          return;
+        }
+
+        await stateManager.updateContext(phoneNumber, {
+          notificationStep: 'message',
+          notificationType,
+          notificationRecipients: drivers.map(driver => driver.whatsapp)
+        });
+
+        await client.sendText(from, t('notification.promptMessageBulk', { count: drivers.length }));
+        break;
+
+      case 'recipient':
+        // Buscar motorista pela placa ou pelo WhatsApp
+        const driver = await findRecipient(text);
+
+        if (!driver) {
+          await client.sendText(from, t('notification.recipientNotFound'));
+          return;
+        }
+
+        await stateManager.updateContext(phoneNumber, {
+          notificationStep: 'message',
+          notificationRecipients: [driver.whatsapp]
+        });
+
+        await client.sendText(from, t('notification.promptMessageIndividual', { name: driver.fullName }));
+        break;
+
+      case 'message':
+        // Validar mensagem
+        if (text.length < 3) {
+          await client.sendText(from, t('notification.invalidMessage'));
+          return;
+        }
+
+        await stateManager.updateContext(phoneNumber, {
+          notificationStep: 'confirm',
+          notificationMessage: text
+        });
+
+        await client.sendText(from, t('notification.confirm', {
+          count: stateData.context.notificationRecipients.length,
+          preview: `${t('notification.prefix')}${text}`
+        }));
+        break;
+
+      case 'confirm':
+        if (text === '1') {
+          // Enfileirar notificações
+          const queued = await queueNotifications(
+            stateData.context.notificationRecipients,
+            stateData.context.notificationMessage,
+            stateData.context.notificationType,
+            stateData.context.userId
+          );
+
+          // Registrar log de auditoria
+          await AuditLog.logAction(
+            stateData.context.userId,
+            phoneNumber,
+            'notification_sent',
+            {
+              notificationType: stateData.context.notificationType,
+              recipients: queued,
+              before: null,
+              after: { message: stateData.context.notificationMessage }
+            }
+          );
+
+          await stateManager.setState(phoneNumber, 'authenticated');
+
+          await client.sendText(from, t('notification.queued', { count: queued }));
+
+          // Enviar menu principal
+          const authModule = require('../auth');
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+        } else if (text === '2') {
+          // Cancelar envio
+          await stateManager.setState(phoneNumber, 'authenticated');
+
+          await client.sendText(from, t('notification.cancelled'));
+
+          // Enviar menu principal
+          const authModule = require('../auth');
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+        } else {
+          // Opção inválida
+          await client.sendText(from, t('common.invalidConfirm'));
+        }
+        break;
+
+      default:
+        // Estado desconhecido
+        logger.warn(`Estado de envio de notificação desconhecido: ${step}`);
+        await stateManager.setState(phoneNumber, 'authenticated');
+
+        await client.sendText(from, t('common.genericErrorRetry'));
+
+        // Enviar menu principal
+        const authModule = require('../auth');
+        await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+        break;
+    }
+  } catch (error) {
+    logger.error(`Erro ao processar envio de notificação: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Busca o motorista destinatário pela placa ou pelo WhatsApp
+ * @param {string} text - Placa ou número informado
+ * @returns {Promise<Object|null>} - Motorista encontrado
+ */
+const findRecipient = async (text) => {
+  const licensePlate = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const vehicle = await Vehicle.findOne({ licensePlate, active: true });
+
+  if (vehicle) {
+    return Driver.findById(vehicle.driverId);
+  }
+
+  const whatsapp = text.replace(/\D/g, '');
+
+  if (whatsapp.length < 10) {
+    return null;
+  }
+
+  // Aceita o número com código do país e números de cadastros mesclados
+  return driverService.findDriverByWhatsapp(whatsapp);
+};
+
+/**
+ * Registra e enfileira notificações para os destinatários
+ * O cabeçalho da mensagem segue o idioma de cada motorista
+ * @param {Array<string>} recipients - Números de WhatsApp dos motoristas
+ * @param {string} text - Texto da notificação
+ * @param {string} notificationType - Tipo de notificação
+ * @param {string} sentBy - ID do usuário remetente
+ * @returns {Promise<number>} - Quantidade de notificações enfileiradas
+ */
+const queueNotifications = async (recipients, text, notificationType, sentBy) => {
+  const drivers = await Driver.find({ whatsapp: { $in: recipients } }).select('whatsapp language');
+  const languages = new Map(drivers.map(driver => [driver.whatsapp, driver.language]));
+
+  for (const recipientWhatsapp of recipients) {
+    const body = `${translator(languages.get(recipientWhatsapp))('notification.prefix')}${text}`;
+
+    const notificationLog = await NotificationLog.create({
+      recipientWhatsapp,
+      message: text,
+      notificationType,
+      sentBy,
+      success: false,
+      status: 'queued'
+    });
+
+    await outboundQueue.enqueue(toChatId(recipientWhatsapp), body, {
+      notificationLogId: notificationLog._id
+    });
+  }
+
+  logger.info(`${recipients.length} notificação(ões) do tipo ${notificationType} enfileiradas`);
+
+  return recipients.length;
+};
+
+// Estados de conversação do módulo
+const states = {
+  sending_notification: {
+    handler: handleSendingNotification,
+    transitions: ['authenticated'],
+    permission: 'notification.send',
+    help: 'help.states.sending_notification'
+  }
+};
+
+module.exports = {
+  handleSendingNotification,
+  sendTypeMenu,
+  queueNotifications,
+  states
+};
@@ -0,0 +1,454 @@
+/**
+ * Módulo de usuários para o bot WhatsApp
+ * Responsável pelo gerenciamento de usuários do sistema
+ */
+
+const { createLogger } = require('../../core/logger');
+const authService = require('../../services/auth-service');
+const auditService = require('../../services/audit-service');
+const outboundQueue = require('../../services/outbound-queue');
+const AuditLog = require('../../data/models/AuditLog');
+const User = require('../../data/models/User');
+const { toChatId, toLocalNumber } = require('../../core/phone');
+const permissions = require('../../core/permissions');
+const { translator } = require('../../core/i18n');
+
+const logger = createLogger('user');
+
+/**
+ * Manipula gerenciamento de usuários
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleManagingUsers = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  // Implementar fluxo completo
+  await stateManager.setState(phoneNumber, 'authenticated');
+  
+  await client.sendText(from, t('users.unavailable'));
+  
+  // Enviar menu principal
+  const authModule = require('../auth');
+  await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+};
+
+/**
+ * Aprova ou recusa uma solicitação de troca de número (comandos #aprovar e #recusar)
+ * Sem código, lista as solicitações pendentes. A permissão user.manage é verificada pelo
+ * manipulador de mensagens antes da chamada
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {boolean} approve - true para aprovar, false para recusar
+ * @param {string} reference - Código da solicitação (opcional)
+ * @returns {Promise<void>}
+ */
+const handlePhoneChangeDecision = async (client, message, stateData, approve, reference) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  try {
+    if (!reference) {
+      await sendPendingPhoneChanges(client, from, t);
+      return;
+    }
+    
+    const result = await authService.decidePhoneChange(reference, approve, stateData.context.userId);
+    
+    if (!result.success) {
+      await client.sendText(from, t(`users.phoneChange.reasons.${result.reason}`));
+      return;
+    }
+    
+    const { request, user } = result;
+    
+    // Registrar log de auditoria
+    await AuditLog.logAction(
+      stateData.context.userId,
+      phoneNumber,
+      approve ? 'phone_change_approved' : 'phone_change_rejected',
+      {
+        reference: request.reference,
+        targetUserId: user._id,
+        currentWhatsapp: request.currentWhatsapp,
+        newWhatsapp: request.newWhatsapp
+      }
+    );
+    
+    // Avisar o solicitante no aparelho novo
+    const userT = translator(user.language);
+    
+    await outboundQueue.enqueue(
+      toChatId(request.newWhatsapp),
+      approve
+        ? userT('auth.phoneChangeApproved', { number: request.newWhatsapp })
+        : userT('auth.phoneChangeRejected')
+    );
+    
+    await client.sendText(from, approve
+      ? t('users.phoneChange.approved', { name: user.fullName, number: request.newWhatsapp })
+      : t('users.phoneChange.rejected', { reference: request.reference, name: user.fullName }));
+  } catch (error) {
+    logger.error(`Erro ao decidir troca de número ${reference}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Envia a lista de solicitações de troca de número pendentes
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} to - Chat do administrador
+ * @param {Function} t - Função de tradução do administrador
+ * @returns {Promise<void>}
+ */
+const sendPendingPhoneChanges = async (client, to, t) => {
+  const requests = await authService.listPendingPhoneChanges();
+  
+  if (requests.length === 0) {
+    await client.sendText(to, t('users.phoneChange.noPending'));
+    return;
+  }
+  
+  const items = requests.map(request => t('users.phoneChange.pendingItem', {
+    reference: request.reference,
+    name: request.userId ? request.userId.fullName : '?',
+    current: request.currentWhatsapp,
+    new: request.newWhatsapp
+  }));
+  
+  await client.sendText(to, `${t('users.phoneChange.pendingTitle')}\n\n${items.join('\n')}\n\n${t('users.phoneChange.pendingHint')}`);
+};
+
+/**
+ * Lista os papéis, com as permissões de cada um, e as permissões disponíveis (comando #papeis)
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @returns {Promise<void>}
+ */
+const handleListRoles = async (client, message, stateData) => {
+  const t = translator(stateData.context.language);
+  
+  const roles = permissions.listRoles().map(role => t('roles.item', {
+    name: role.name,
+    tag: role.builtIn ? t('roles.builtInTag') : '',
+    permissions: role.permissions.join(', ')
+  }));
+  
+  const available = permissions.PERMISSIONS.map(id => t('roles.permissionItem', {
+    id,
+    description: t(`roles.permissions.${id}`)
+  }));
+  
+  await client.sendText(message.from, [
+    t('roles.listTitle'),
+    roles.join('\n'),
+    `${t('roles.permissionsTitle')}\n${available.join('\n')}`,
+    t('roles.hint')
+  ].join('\n\n'));
+};
+
+/**
+ * Cria, altera ou remove um papel personalizado (comando #papel NOME permissões|remover)
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {string} name - Nome do papel
+ * @param {string} argument - Permissões separadas por vírgula ou a palavra de remoção
+ * @returns {Promise<void>}
+ */
+const handleRoleCommand = async (client, message, stateData, name, argument) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  try {
+    if (['remover', 'remove', 'eliminar'].includes(argument)) {
+      const result = await permissions.deleteRole(name);
+      
+      if (!result.success) {
+        await client.sendText(from, t(`roles.reasons.${result.reason}`, { users: result.users }));
+        return;
+      }
+      
+      await AuditLog.logAction(
+        stateData.context.userId,
+        phoneNumber,
+        'role_deleted',
+        { role: result.name, before: result.permissions, after: null }
+      );
+      
+      await client.sendText(from, t('roles.deleted', { name: result.name }));
+      return;
+    }
+    
+    const requested = argument.split(',').map(permission => permission.trim()).filter(Boolean);
+    const result = await permissions.saveRole(name, requested, stateData.context.userId);
+    
+    if (!result.success) {
+      await client.sendText(from, t(`roles.reasons.${result.reason}`, { invalid: (result.invalid || []).join(', ') }));
+      return;
+    }
+    
+    await AuditLog.logAction(
+      stateData.context.userId,
+      phoneNumber,
+      result.created ? 'role_created' : 'role_updated',
+      { role: result.name, before: result.before, after: result.permissions }
+    );
+    
+    await client.sendText(from, t(result.created ? 'roles.created' : 'roles.updated', {
+      name: result.name,
+      permissions: result.permissions.join(', ')
+    }));
+  } catch (error) {
+    logger.error(`Erro ao processar papel ${name}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Atribui um papel a um usuário (comando #atribuir NÚMERO PAPEL)
+ * O novo papel vale a partir da próxima mensagem do usuário
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {string} number - WhatsApp do usuário
+ * @param {string} role - Papel atribuído
+ * @returns {Promise<void>}
+ */
+const handleAssignRole = async (client, message, stateData, number, role) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  try {
+    // Só quem gerencia papéis pode alterá-los, qualquer que seja o caminho até aqui
+    if (!permissions.can(stateData.context.userRole, 'role.manage')) {
+      await client.sendText(from, t('common.permissionDenied'));
+      return;
+    }
+    
+    if (!permissions.roleExists(role)) {
+      await client.sendText(from, t('roles.reasons.unknown_role'));
+      return;
+    }
+    
+    const user = await User.findOne({ whatsapp: toLocalNumber(number) });
+    
+    if (!user) {
+      await client.sendText(from, t('roles.reasons.user_not_found'));
+      return;
+    }
+    
+    // Evitar que o administrador perca o próprio acesso
+    if (String(user._id) === String(stateData.context.userId)) {
+      await client.sendText(from, t('roles.reasons.self'));
+      return;
+    }
+    
+    const before = user.role;
+    user.role = role;
+    await user.save();
+    
+    await AuditLog.logAction(
+      stateData.context.userId,
+      phoneNumber,
+      'user_role_changed',
+      { targetUserId: user._id, before, after: role }
+    );
+    
+    logger.info(`Papel de ${user.whatsapp} alterado de ${before} para ${role}`);
+    
+    await client.sendText(from, t('roles.assigned', { name: user.fullName, role }));
+  } catch (error) {
+    logger.error(`Erro ao atribuir papel ${role} para ${number}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Encerra imediatamente todas as sessões de um usuário (comando #desconectar NÚMERO)
+ * Usado quando o aparelho é perdido: as conversas em andamento são descartadas e cada
+ * aparelho é avisado
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados (usado para descartar as conversas do usuário)
+ * @param {string} number - WhatsApp do usuário
+ * @returns {Promise<void>}
+ */
+const handleForceLogout = async (client, message, stateData, stateManager, number) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  try {
+    const user = await User.findOne({ whatsapp: toLocalNumber(number) });
+    
+    if (!user) {
+      await client.sendText(from, t('users.forceLogout.userNotFound'));
+      return;
+    }
+    
+    if (String(user._id) === String(stateData.context.userId)) {
+      await client.sendText(from, t('users.forceLogout.self'));
+      return;
+    }
+    
+    const revoked = await authService.revokeSessions(user._id);
+    
+    if (revoked.length === 0) {
+      await client.sendText(from, t('users.forceLogout.noSessions', { name: user.fullName }));
+      return;
+    }
+    
+    const devices = [...new Set(revoked.map(session => session.whatsapp).filter(Boolean))];
+    const userT = translator(user.language);
+    
+    for (const device of devices) {
+      await stateManager.clearState(device);
+      await outboundQueue.enqueue(toChatId(device), userT('session.forcedLogout'));
+    }
+    
+    await AuditLog.logAction(
+      stateData.context.userId,
+      phoneNumber,
+      'user_force_logout',
+      { targetUserId: user._id, count: revoked.length, devices }
+    );
+    
+    logger.info(`${revoked.length} sessão(ões) de ${user.whatsapp} encerrada(s) por administrador`);
+    
+    await client.sendText(from, t('users.forceLogout.done', { count: revoked.length, name: user.fullName }));
+  } catch (error) {
+    logger.error(`Erro ao desconectar ${number}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+// Filtros aceitos pelo comando #auditoria, nos idiomas suportados
+const AUDIT_FILTERS = {
+  usuario: 'user',
+  user: 'user',
+  acao: 'action',
+  'ação': 'action',
+  action: 'action',
+  accion: 'action',
+  'acción': 'action',
+  placa: 'licensePlate',
+  plate: 'licensePlate',
+  de: 'from',
+  from: 'from',
+  desde: 'from',
+  ate: 'to',
+  'até': 'to',
+  to: 'to',
+  hasta: 'to',
+  pagina: 'page',
+  'página': 'page',
+  page: 'page'
+};
+
+// Tamanho máximo dos detalhes exibidos por registro
+const AUDIT_DETAILS_LENGTH = 200;
+
+/**
+ * Consulta o log de auditoria (comando #auditoria filtro:valor ...)
+ * Ex.: #auditoria placa:ABC1D23 de:2026-10-01 ate:2026-10-19 pagina:2
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @returns {Promise<void>}
+ */
+const handleAuditQuery = async (client, message, stateData) => {
+  const from = message.from;
+  const t = translator(stateData.context.language);
+  
+  // Os filtros são lidos do texto original, sem conversão para minúsculas
+  const tokens = message.body.trim().split(/\s+/).slice(1);
+  const filters = {};
+  
+  for (const token of tokens) {
+    const [key, ...rest] = token.split(':');
+    const name = AUDIT_FILTERS[key.toLowerCase()];
+    const value = rest.join(':');
+    
+    if (!name || !value) {
+      await client.sendText(from, t('audit.invalidFilter', { filter: token }));
+      return;
+    }
+    
+    filters[name] = value;
+  }
+  
+  try {
+    const { page, ...query } = filters;
+    const result = await auditService.queryAuditLog(
+      { ...query, action: query.action && query.action.toLowerCase() },
+      { page }
+    );
+    
+    if (!result.success) {
+      await client.sendText(from, t(`audit.reasons.${result.reason}`));
+      return;
+    }
+    
+    if (result.total === 0) {
+      await client.sendText(from, t('audit.empty'));
+      return;
+    }
+    
+    const items = result.entries.map(entry => {
+      const { licensePlate, ...details } = entry.details || {};
+      const summary = JSON.stringify(details);
+      
+      return t('audit.item', {
+        date: entry.timestamp.toLocaleString(t.locale),
+        action: entry.action,
+        user: entry.userId ? `${entry.userId.fullName} (${entry.userId.whatsapp})` : entry.userWhatsapp,
+        plate: licensePlate ? t('audit.plateTag', { plate: licensePlate }) : '',
+        details: summary.length > AUDIT_DETAILS_LENGTH ? `${summary.slice(0, AUDIT_DETAILS_LENGTH)}…` : summary
+      });
+    });
+    
+    let text = `${t('audit.title', { total: result.total, page: result.page, pages: result.pages })}\n\n${items.join('\n\n')}`;
+    
+    if (result.page < result.pages) {
+      text += `\n\n${t('audit.nextPage', { next: result.page + 1 })}`;
+    }
+    
+    await client.sendText(from, text);
+  } catch (error) {
+    logger.error(`Erro ao consultar log de auditoria: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+// Estados de conversação do módulo
+const states = {
+  managing_users: {
+    handler: handleManagingUsers,
+    transitions: ['authenticated'],
+    permission: 'user.manage',
+    help: 'help.states.managing_users'
+  }
+};
+
+module.exports = {
+  handleManagingUsers,
+  handlePhoneChangeDecision,
+  handleListRoles,
+  handleRoleCommand,
+  handleAssignRole,
+  handleForceLogout,
+  handleAuditQuery,
+  states
+};
@@ -0,0 +1,49 @@
+/**
+ * Testes da atribuição de papéis
+ */
+
+const userModule = require('./index');
+const User = require('../../data/models/User');
+const AuditLog = require('../../data/models/AuditLog');
+const { translator } = require('../../core/i18n');
+
+const t = translator('pt-BR');
+const message = { from: '5592988887777@c.us', body: '#atribuir 92911112222 admin' };
+
+/**
+ * Monta os dados de estado de um usuário autenticado
+ * @param {string} userRole - Papel do usuário
+ * @returns {Object} - Dados do estado
+ */
+const stateFor = (userRole) => ({
+  state: 'authenticated',
+  context: { userId: 'u1', userRole, language: 'pt-BR' }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('handleAssignRole', () => {
+  it('recusa quem não tem a permissão de gerenciar papéis', async () => {
+    const client = { sendText: jest.fn().mockResolvedValue({}) };
+    jest.spyOn(User, 'findOne');
+
+    await userModule.handleAssignRole(client, message, stateFor('operator'), '92911112222', 'admin');
+
+    expect(client.sendText).toHaveBeenCalledWith(message.from, t('common.permissionDenied'));
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('altera o papel do usuário e registra a mudança', async () => {
+    const client = { sendText: jest.fn().mockResolvedValue({}) };
+    const user = { _id: 'u2', whatsapp: '92911112222', fullName: 'João', role: 'operator', save: jest.fn().mockResolvedValue() };
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+
+    await userModule.handleAssignRole(client, message, stateFor('admin'), '92911112222', 'viewer');
+
+    expect(user.role).toBe('viewer');
+    expect(AuditLog.logAction).toHaveBeenCalledWith('u1', '5592988887777', 'user_role_changed', { targetUserId: 'u2', before: 'operator', after: 'viewer' });
+  });
+});
@@ -6,30 +6,25 @@
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
-const winston = require('winston');
 const config = require('../../config/config');
+const { createLogger } = require('../../core/logger');
 const Vehicle = require('../../data/models/Vehicle');
 const Driver = require('../../data/models/Driver');
 const ParkingLog = require('../../data/models/ParkingLog');
 const RecognitionLog = require('../../data/models/RecognitionLog');
+const AuditLog = require('../../data/models/AuditLog');
+const vehicleService = require('../../services/vehicle-service');
+const driverService = require('../../services/driver-service');
+const outboundQueue = require('../../services/outbound-queue');
+const { toChatId } = require('../../core/phone');
 const plateRecognizer = require('./plate-recognizer');
+const { can } = require('../../core/permissions');
+const { EVENTS, botEvents } = require('../../core/events');
+const metrics = require('../../core/metrics');
+const { DEFAULT_LOCALE, translator } = require('../../core/i18n');
+const { sendMenu, resolveOption } = require('../../core/menu');
 
-// Configuração de logs
-const logger = winston.createLogger({
-  level: config.logging.level || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: config.logging.file || 'logs/bot.log'
-    })
-  ]
-});
+const logger = createLogger('vehicle');
 
 /**
  * Manipula o reconhecimento de placa
@@ -42,11 +37,13 @@ const logger = winston.createLogger({
 const handlePlateRecognition = async (client, message, stateData, stateManager) => {
   const from = message.from;
   const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
   
   try {
     let licensePlate = '';
     let confidence = 0;
     let imageUrl = '';
+    let processingTimeMs = 0;
     
     // Verificar se é uma mensagem de texto ou imagem
     if (message.type === 'chat') {
@@ -56,17 +53,12 @@ const handlePlateRecognition = async (client, message, stateData, stateManager)
       
       // Validar formato da placa
       if (!isValidLicensePlate(licensePlate)) {
-        await client.sendText(from, 
-          '❌ Formato de placa inválido.\n\n' +
-          'Por favor, digite a placa no formato correto:\n' +
-          '• Formato antigo: ABC1234\n' +
-          '• Formato Mercosul: ABC1D23'
-        );
+        await client.sendText(from, t('common.invalidPlate'));
         return;
       }
     } else if (message.type === 'image') {
       // Reconhecimento automático
-      await client.sendText(from, '🔍 Processando imagem... Aguarde um momento.');
+      await client.sendText(from, t('plate.processing'));
       
       // Baixar imagem
       const buffer = await client.decryptFile(message);
@@ -82,13 +74,16 @@ const handlePlateRecognition = async (client, message, stateData, stateManager)
       fs.writeFileSync(imagePath, buffer);
       
       // Reconhecer placa
+      const recognitionStart = Date.now();
       const recognitionResult = await plateRecognizer.recognizePlate(imagePath);
+      const recognitionOutcome = recognitionResult.success ? 'success' : 'failure';
+      
+      processingTimeMs = Date.now() - recognitionStart;
+      metrics.plateRecognitionsTotal.inc({ result: recognitionOutcome });
+      metrics.plateRecognitionDuration.observe({ result: recognitionOutcome }, processingTimeMs / 1000);
       
       if (!recognitionResult.success) {
-        await client.sendText(from, 
-          '❌ Não foi possível reconhecer a placa na imagem.\n\n' +
-          'Por favor, tente novamente com uma imagem mais clara ou digite a placa manualmente.'
-        );
+        await client.sendText(from, t('plate.notRecognized'));
         return;
       }
       
@@ -98,15 +93,12 @@ const handlePlateRecognition = async (client, message, stateData, stateManager)
       
       logger.debug(`Placa reconhecida: ${licensePlate} (confiança: ${confidence}%)`);
     } else {
-      await client.sendText(from, 
-        '❌ Formato não suportado.\n\n' +
-        'Por favor, envie uma foto da placa ou digite a placa manualmente.'
-      );
+      await client.sendText(from, t('plate.unsupported'));
       return;
     }
     
     // Buscar veículo pela placa
-    const vehicle = await Vehicle.findOne({ licensePlate });
+    const vehicle = await Vehicle.findOne({ licensePlate, active: true });
     
     // Registrar log de reconhecimento
     await RecognitionLog.create({
@@ -116,7 +108,7 @@ const handlePlateRecognition = async (client, message, stateData, stateManager)
       vehicleId: vehicle ? vehicle._id : null,
       isRegistered: !!vehicle,
       imageUrl,
-      processingTimeMs: 0
+      processingTimeMs
     });
     
     // Atualizar contexto
@@ -137,42 +129,38 @@ const handlePlateRecognition = async (client, message, stateData, stateManager)
         exitTime: null
       });
       
-      let message = `✅ *VEÍCULO REGISTRADO* ✅\n\n`;
-      message += `📝 *Informações do veículo:*\n`;
-      message += `• Placa: ${vehicle.licensePlate}\n`;
-      message += `• Marca/Modelo: ${vehicle.make} ${vehicle.model}\n`;
-      message += `• Cor: ${vehicle.color}\n\n`;
-      
-      message += `👤 *Informações do motorista:*\n`;
-      message += `• Nome: ${driver.fullName}\n`;
-      message += `• WhatsApp: ${driver.whatsapp}\n`;
-      message += `• Status: ${driver.memberStatus === 'member' ? 'Membro' : 'Visitante'}\n\n`;
-      
-      message += `🅿️ *Status de estacionamento:*\n`;
-      message += activeParking 
-        ? `• Veículo PRESENTE no estacionamento desde ${formatDate(activeParking.entryTime)}\n\n`
-        : `• Veículo NÃO PRESENTE no estacionamento\n\n`;
-      
-      message += `Selecione uma opção:\n\n`;
-      message += activeParking
-        ? `1️⃣ Registrar saída\n`
-        : `1️⃣ Registrar entrada\n`;
-      message += `2️⃣ Enviar notificação ao motorista\n`;
-      message += `3️⃣ Voltar ao menu principal`;
-      
-      await client.sendText(from, message);
+      await sendMenu(client, from, {
+        text: t('plate.registered', {
+          plate: vehicle.licensePlate,
+          make: vehicle.make,
+          model: vehicle.model,
+          color: vehicle.color,
+          driverName: driver.fullName,
+          driverWhatsapp: driver.whatsapp,
+          driverStatus: t(`common.memberStatus.${driver.memberStatus}`),
+          parkingStatus: activeParking
+            ? t('plate.parkedSince', { date: formatDate(activeParking.entryTime, t.locale) })
+            : t('plate.notParked')
+        }),
+        options: getPlateActionOptions(t, stateData.context.userRole, true, !!activeParking),
+        locale: t.locale
+      });
     } else {
-      await client.sendText(from, 
-        `❌ *VEÍCULO NÃO REGISTRADO* ❌\n\n` +
-        `A placa ${licensePlate} não está registrada no sistema.\n\n` +
-        `Selecione uma opção:\n\n` +
-        `1️⃣ Cadastrar novo veículo com esta placa\n` +
-        `2️⃣ Voltar ao menu principal`
-      );
+      // Alertar a equipe sobre veículo sem cadastro
+      botEvents.emit(EVENTS.ALERT, {
+        text: translator(DEFAULT_LOCALE)('plate.unregisteredAlert', { plate: licensePlate }),
+        reportedBy: stateData.context.userName
+      });
+      
+      await sendMenu(client, from, {
+        text: t('plate.unregistered', { plate: licensePlate }),
+        options: getPlateActionOptions(t, stateData.context.userRole, false, false),
+        locale: t.locale
+      });
     }
   } catch (error) {
     logger.error(`Erro ao processar reconhecimento de placa: ${error.message}`);
-    await client.sendText(from, '❌ Ocorreu um erro ao processar sua solicitação. Por favor, tente novamente.');
+    await client.sendText(from, t('common.genericError'));
   }
 };
 
@@ -187,10 +175,11 @@ const handlePlateRecognition = async (client, message, stateData, stateManager)
 const handlePlateAction = async (client, message, stateData, stateManager) => {
   const from = message.from;
   const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
   
   // Verificar se é uma mensagem de texto
   if (message.type !== 'chat') {
-    await client.sendText(from, 'Por favor, envie sua opção como texto.');
+    await client.sendText(from, t('common.textOption'));
     return;
   }
   
@@ -208,90 +197,98 @@ const handlePlateAction = async (client, message, stateData, stateManager) => {
         exitTime: null
       });
       
-      switch (text) {
-        case '1':
-          // Registrar entrada/saída
+      // Aceitar o ID do botão/item da lista ou o número digitado
+      switch (resolveOption(text, getPlateActionOptions(t, stateData.context.userRole, true, !!activeParking))) {
+        case 'toggle_parking':
+          // Registrar entrada/saída (o veículo pode ter sido removido enquanto o menu estava aberto)
+          const vehicle = await vehicleService.findActiveVehicle(vehicleId);
+          
+          if (!vehicle) {
+            await client.sendText(from, t('vehicle.notFound'));
+            await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+            return;
+          }
+          
+          const driver = await Driver.findById(vehicle.driverId);
+          
           if (activeParking) {
             // Registrar saída
-            activeParking.exitTime = new Date();
-            activeParking.exitRegisteredBy = stateData.context.userId;
-            await activeParking.save();
+            await registerExit(activeParking, vehicle, driver, stateData, phoneNumber);
             
-            // Buscar veículo e motorista
-            const vehicle = await Vehicle.findById(vehicleId);
-            const driver = await Driver.findById(vehicle.driverId);
-            
-            // Enviar notificação ao motorista se configurado
-            if (driver.notifyOnExit) {
-              // Implementar envio de notificação
-            }
-            
-            await client.sendText(from, 
-              `✅ *SAÍDA REGISTRADA* ✅\n\n` +
-              `Saída do veículo ${vehicle.licensePlate} registrada com sucesso.\n\n` +
-              `• Entrada: ${formatDate(activeParking.entryTime)}\n` +
-              `• Saída: ${formatDate(activeParking.exitTime)}\n` +
-              `• Duração: ${calculateDuration(activeParking.entryTime, activeParking.exitTime)}\n\n` +
-              `Digite *#cancelar* para voltar ao menu principal.`
-            );
+            await client.sendText(from, t('plate.exitRegistered', {
+              plate: vehicle.licensePlate,
+              entry: formatDate(activeParking.entryTime, t.locale),
+              exit: formatDate(activeParking.exitTime, t.locale),
+              duration: calculateDuration(activeParking.entryTime, activeParking.exitTime)
+            }));
           } else {
             // Registrar entrada
-            const newParking = await ParkingLog.create({
-              vehicleId,
-              driverId: (await Vehicle.findById(vehicleId)).driverId,
-              entryTime: new Date(),
-              registeredBy: stateData.context.userId
-            });
-            
-            // Buscar veículo e motorista
-            const vehicle = await Vehicle.findById(vehicleId);
-            const driver = await Driver.findById(vehicle.driverId);
+            const newParking = await registerEntry(vehicle, driver, stateData, phoneNumber);
             
-            // Enviar notificação ao motorista se configurado
-            if (driver.notifyOnEntry) {
-              // Implementar envio de notificação
-            }
-            
-            await client.sendText(from, 
-              `✅ *ENTRADA REGISTRADA* ✅\n\n` +
-              `Entrada do veículo ${vehicle.licensePlate} registrada com sucesso.\n\n` +
-              `• Data/Hora: ${formatDate(newParking.entryTime)}\n\n` +
-              `Digite *#cancelar* para voltar ao menu principal.`
-            );
+            await client.sendText(from, t('plate.entryRegistered', {
+              plate: vehicle.licensePlate,
+              date: formatDate(newParking.entryTime, t.locale)
+            }));
           }
           break;
           
-        case '2':
+        case 'notify_driver':
           // Enviar notificação ao motorista
           // Implementar envio de notificação
-          await client.sendText(from, 
-            `🔔 *NOTIFICAÇÃO* 🔔\n\n` +
-            `Funcionalidade em desenvolvimento.\n\n` +
-            `Digite *#cancelar* para voltar ao menu principal.`
-          );
+          await client.sendText(from, t('plate.notifyUnavailable'));
           break;
           
-        case '3':
+        case 'edit_vehicle':
+          // Corrigir marca, modelo ou cor
+          await stateManager.setState(phoneNumber, 'editing_vehicle');
+          await stateManager.updateContext(phoneNumber, { vehicleEditStep: 'field' });
+          
+          await sendMenu(client, from, {
+            text: t('vehicle.edit.promptField', { plate: stateData.context.recognizedPlate }),
+            options: getEditFieldOptions(t),
+            locale: t.locale
+          });
+          break;
+          
+        case 'transfer_vehicle':
+          // Transferir para outro motorista
+          await stateManager.setState(phoneNumber, 'transferring_vehicle');
+          await stateManager.updateContext(phoneNumber, { vehicleTransferStep: 'driver' });
+          
+          await client.sendText(from, t('vehicle.transfer.promptDriver', { plate: stateData.context.recognizedPlate }));
+          break;
+          
+        case 'remove_vehicle':
+          // Remover veículo (a saída precisa ser registrada antes)
+          if (activeParking) {
+            await client.sendText(from, t('vehicle.remove.reasons.parked', { plate: stateData.context.recognizedPlate }));
+            return;
+          }
+          
+          await stateManager.setState(phoneNumber, 'removing_vehicle');
+          await stateManager.updateContext(phoneNumber, { vehicleRemovalStep: 'reason' });
+          
+          await client.sendText(from, t('vehicle.remove.promptReason', { plate: stateData.context.recognizedPlate }));
+          break;
+          
+        case 'back_to_menu':
           // Voltar ao menu principal
           await stateManager.setState(phoneNumber, 'authenticated');
           
           // Enviar menu principal
           const authModule = require('../auth');
-          await authModule.sendMainMenu(client, from, stateData.context.userRole);
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
           break;
           
         default:
           // Opção inválida
-          await client.sendText(from, 
-            '❌ Opção inválida.\n\n' +
-            'Por favor, selecione uma opção válida.'
-          );
+          await client.sendText(from, t('common.invalidOption'));
           break;
       }
     } else {
       // Veículo não registrado
-      switch (text) {
-        case '1':
+      switch (resolveOption(text, getPlateActionOptions(t, stateData.context.userRole, false, false))) {
+        case 'register_vehicle':
           // Cadastrar novo veículo
           await stateManager.setState(phoneNumber, 'registering_vehicle');
           await stateManager.updateContext(phoneNumber, { 
@@ -299,34 +296,27 @@ const handlePlateAction = async (client, message, stateData, stateManager) => {
             vehiclePlate: stateData.context.recognizedPlate
           });
           
-          await client.sendText(from, 
-            `🚗 *CADASTRO DE VEÍCULO* 🚗\n\n` +
-            `Iniciando cadastro para a placa ${stateData.context.recognizedPlate}.\n\n` +
-            `Por favor, digite a marca do veículo:`
-          );
+          await client.sendText(from, t('vehicle.startForPlate', { plate: stateData.context.recognizedPlate }));
           break;
           
-        case '2':
+        case 'back_to_menu':
           // Voltar ao menu principal
           await stateManager.setState(phoneNumber, 'authenticated');
           
           // Enviar menu principal
           const authModule = require('../auth');
-          await authModule.sendMainMenu(client, from, stateData.context.userRole);
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
           break;
           
         default:
           // Opção inválida
-          await client.sendText(from, 
-            '❌ Opção inválida.\n\n' +
-            'Por favor, selecione uma opção válida.'
-          );
+          await client.sendText(from, t('common.invalidOption'));
           break;
       }
     }
   } catch (error) {
     logger.error(`Erro ao processar ação sobre placa: ${error.message}`);
-    await client.sendText(from, '❌ Ocorreu um erro ao processar sua solicitação. Por favor, tente novamente.');
+    await client.sendText(from, t('common.genericError'));
   }
 };
 
@@ -341,10 +331,11 @@ const handlePlateAction = async (client, message, stateData, stateManager) => {
 const handleRegisteringVehicle = async (client, message, stateData, stateManager) => {
   const from = message.from;
   const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
   
   // Verificar se é uma mensagem de texto
   if (message.type !== 'chat') {
-    await client.sendText(from, 'Por favor, envie sua resposta como texto.');
+    await client.sendText(from, t('common.textAnswer'));
     return;
   }
   
@@ -358,23 +349,15 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
         const licensePlate = text.toUpperCase();
         
         if (!isValidLicensePlate(licensePlate)) {
-          await client.sendText(from, 
-            '❌ Formato de placa inválido.\n\n' +
-            'Por favor, digite a placa no formato correto:\n' +
-            '• Formato antigo: ABC1234\n' +
-            '• Formato Mercosul: ABC1D23'
-          );
+          await client.sendText(from, t('common.invalidPlate'));
           return;
         }
         
         // Verificar se a placa já está registrada
-        const existingVehicle = await Vehicle.findOne({ licensePlate });
+        const existingVehicle = await Vehicle.findOne({ licensePlate, active: true });
         
         if (existingVehicle) {
-          await client.sendText(from, 
-            '❌ Esta placa já está registrada no sistema.\n\n' +
-            'Por favor, digite *#cancelar* para voltar ao menu principal.'
-          );
+          await client.sendText(from, t('vehicle.alreadyRegistered'));
           return;
         }
         
@@ -384,16 +367,13 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
           vehiclePlate: licensePlate
         });
         
-        await client.sendText(from, 
-          `🚗 *CADASTRO DE VEÍCULO* 🚗\n\n` +
-          `Por favor, digite a marca do veículo:`
-        );
+        await client.sendText(from, t('vehicle.promptMake'));
         break;
         
       case 'make':
         // Validar marca
         if (text.length < 2) {
-          await client.sendText(from, 'Por favor, digite uma marca válida.');
+          await client.sendText(from, t('vehicle.invalidMake'));
           return;
         }
         
@@ -403,16 +383,13 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
           vehicleMake: text
         });
         
-        await client.sendText(from, 
-          `🚗 *CADASTRO DE VEÍCULO* 🚗\n\n` +
-          `Por favor, digite o modelo do veículo:`
-        );
+        await client.sendText(from, t('vehicle.promptModel'));
         break;
         
       case 'model':
         // Validar modelo
         if (text.length < 2) {
-          await client.sendText(from, 'Por favor, digite um modelo válido.');
+          await client.sendText(from, t('vehicle.invalidModel'));
           return;
         }
         
@@ -422,16 +399,13 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
           vehicleModel: text
         });
         
-        await client.sendText(from, 
-          `🚗 *CADASTRO DE VEÍCULO* 🚗\n\n` +
-          `Por favor, digite a cor do veículo:`
-        );
+        await client.sendText(from, t('vehicle.promptColor'));
         break;
         
       case 'color':
         // Validar cor
         if (text.length < 2) {
-          await client.sendText(from, 'Por favor, digite uma cor válida.');
+          await client.sendText(from, t('vehicle.invalidColor'));
           return;
         }
         
@@ -441,10 +415,7 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
           vehicleColor: text
         });
         
-        await client.sendText(from, 
-          `🚗 *CADASTRO DE VEÍCULO* 🚗\n\n` +
-          `Por favor, digite o número de WhatsApp do motorista:`
-        );
+        await client.sendText(from, t('vehicle.promptDriver'));
         break;
         
       case 'driver':
@@ -452,16 +423,12 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
         const whatsapp = text.replace(/\D/g, '');
         
         if (whatsapp.length < 10 || whatsapp.length > 11) {
-          await client.sendText(from, 
-            '❌ Formato de número inválido.\n\n' +
-            'Por favor, digite o número de WhatsApp no formato correto:\n' +
-            '92XXXXXXXX (apenas números)'
-          );
+          await client.sendText(from, t('common.invalidPhone'));
           return;
         }
         
-        // Buscar motorista pelo WhatsApp
-        let driver = await Driver.findOne({ whatsapp });
+        // Buscar motorista pelo WhatsApp (inclusive números de cadastros mesclados)
+        let driver = await driverService.findDriverByWhatsapp(whatsapp);
         
         if (!driver) {
           // Motorista não encontrado, perguntar se deseja cadastrar
@@ -470,12 +437,7 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
             vehicleDriverWhatsapp: whatsapp
           });
           
-          await client.sendText(from, 
-            `❌ Motorista não encontrado.\n\n` +
-            `Deseja cadastrar um novo motorista com o número ${whatsapp}?\n\n` +
-            `1️⃣ Sim\n` +
-            `2️⃣ Não, usar outro número`
-          );
+          await client.sendText(from, t('vehicle.driverNotFound', { whatsapp }));
         } else {
           // Motorista encontrado, confirmar cadastro
           await stateManager.updateContext(phoneNumber, { 
@@ -484,15 +446,14 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
           });
           
           await client.sendText(from, 
-            `✅ Motorista encontrado: ${driver.fullName}\n\n` +
-            `Confirma o cadastro do veículo?\n\n` +
-            `• Placa: ${stateData.context.vehiclePlate}\n` +
-            `• Marca: ${stateData.context.vehicleMake}\n` +
-            `• Modelo: ${stateData.context.vehicleModel}\n` +
-            `• Cor: ${stateData.context.vehicleColor}\n` +
-            `• Motorista: ${driver.fullName}\n\n` +
-            `1️⃣ Confirmar\n` +
-            `2️⃣ Cancelar`
+            `${t('vehicle.driverFound', { driverName: driver.fullName })}\n\n` +
+            t('vehicle.confirm', {
+              plate: stateData.context.vehiclePlate,
+              make: stateData.context.vehicleMake,
+              model: stateData.context.vehicleModel,
+              color: stateData.context.vehicleColor,
+              driverName: driver.fullName
+            })
           );
         }
         break;
@@ -511,26 +472,17 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
             vehicleColor: stateData.context.vehicleColor
           });
           
-          await client.sendText(from, 
-            `👤 *CADASTRO DE MOTORISTA* 👤\n\n` +
-            `Por favor, digite o nome completo do motorista:`
-          );
+          await client.sendText(from, t('driver.promptName'));
         } else if (text === '2') {
           // Usar outro número
           await stateManager.updateContext(phoneNumber, { 
             vehicleRegistrationStep: 'driver'
           });
           
-          await client.sendText(from, 
-            `🚗 *CADASTRO DE VEÍCULO* 🚗\n\n` +
-            `Por favor, digite o número de WhatsApp do motorista:`
-          );
+          await client.sendText(from, t('vehicle.promptDriver'));
         } else {
           // Opção inválida
-          await client.sendText(from, 
-            '❌ Opção inválida.\n\n' +
-            'Por favor, selecione 1 para cadastrar um novo motorista ou 2 para usar outro número.'
-          );
+          await client.sendText(from, t('vehicle.newDriverInvalid'));
         }
         break;
         
@@ -547,40 +499,48 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
             registrationDate: new Date()
           });
           
+          // Registrar log de auditoria
+          await AuditLog.logAction(
+            stateData.context.userId,
+            phoneNumber,
+            'vehicle_created',
+            {
+              licensePlate: vehicle.licensePlate,
+              vehicleId: vehicle._id,
+              before: null,
+              after: { make: vehicle.make, model: vehicle.model, color: vehicle.color, driverId: vehicle.driverId }
+            }
+          );
+          
           // Buscar motorista
           const driver = await Driver.findById(stateData.context.vehicleDriverId);
           
           // Voltar ao menu principal
           await stateManager.setState(phoneNumber, 'authenticated');
           
-          await client.sendText(from, 
-            `✅ *VEÍCULO CADASTRADO COM SUCESSO* ✅\n\n` +
-            `• Placa: ${vehicle.licensePlate}\n` +
-            `• Marca: ${vehicle.make}\n` +
-            `• Modelo: ${vehicle.model}\n` +
-            `• Cor: ${vehicle.color}\n` +
-            `• Motorista: ${driver.fullName}\n\n` +
-            `Veículo cadastrado com sucesso!`
-          );
+          await client.sendText(from, t('vehicle.registered', {
+            plate: vehicle.licensePlate,
+            make: vehicle.make,
+            model: vehicle.model,
+            color: vehicle.color,
+            driverName: driver.fullName
+          }));
           
           // Enviar menu principal
           const authModule = require('../auth');
-          await authModule.sendMainMenu(client, from, stateData.context.userRole);
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
         } else if (text === '2') {
           // Cancelar cadastro
           await stateManager.setState(phoneNumber, 'authenticated');
           
-          await client.sendText(from, 'Cadastro de veículo cancelado.');
+          await client.sendText(from, t('vehicle.cancelled'));
           
           // Enviar menu principal
           const authModule = require('../auth');
-          await authModule.sendMainMenu(client, from, stateData.context.userRole);
+          await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
         } else {
           // Opção inválida
-          await client.sendText(from, 
-            '❌ Opção inválida.\n\n' +
-            'Por favor, selecione 1 para confirmar ou 2 para cancelar.'
-          );
+          await client.sendText(from, t('common.invalidConfirm'));
         }
         break;
         
@@ -589,22 +549,509 @@ const handleRegisteringVehicle = async (client, message, stateData, stateManager
         logger.warn(`Estado de cadastro de veículo desconhecido: ${step}`);
         await stateManager.setState(phoneNumber, 'authenticated');
         
-        await client.sendText(from, 
-          '❌ Ocorreu um erro ao processar sua solicitação.\n\n' +
-          'Por favor, tente novamente.'
-        );
+        await client.sendText(from, t('common.genericErrorRetry'));
         
         // Enviar menu principal
         const authModule = require('../auth');
-        await authModule.sendMainMenu(client, from, stateData.context.userRole);
+        await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
         break;
     }
   } catch (error) {
     logger.error(`Erro ao processar cadastro de veículo: ${error.message}`);
-    await client.sendText(from, '❌ Ocorreu um erro ao processar sua solicitação. Por favor, tente novamente.');
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Manipula a correção de marca, modelo ou cor do veículo reconhecido
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleEditingVehicle = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textAnswer'));
+    return;
+  }
+  
+  const text = message.body.trim();
+  const vehicleId = stateData.context.vehicleId;
+  
+  try {
+    if (stateData.context.vehicleEditStep === 'field') {
+      const field = resolveOption(text, getEditFieldOptions(t));
+      
+      if (!field) {
+        await client.sendText(from, t('common.invalidOption'));
+        return;
+      }
+      
+      const vehicle = await vehicleService.findActiveVehicle(vehicleId);
+      
+      if (!vehicle) {
+        await client.sendText(from, t('vehicle.notFound'));
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+        return;
+      }
+      
+      await stateManager.updateContext(phoneNumber, { 
+        vehicleEditStep: 'value',
+        vehicleEditField: field
+      });
+      
+      await client.sendText(from, t('vehicle.edit.promptValue', {
+        field: t(`vehicle.edit.fields.${field}`),
+        current: vehicle[field]
+      }));
+      return;
+    }
+    
+    const field = stateData.context.vehicleEditField;
+    const result = await vehicleService.updateVehicle(vehicleId, field, text, {
+      userId: stateData.context.userId,
+      whatsapp: phoneNumber,
+      role: stateData.context.userRole
+    });
+    
+    if (!result.success) {
+      if (result.reason === 'not_found' || result.reason === 'permission_denied') {
+        await client.sendText(from, t(result.reason === 'not_found' ? 'vehicle.notFound' : 'common.permissionDenied'));
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+      } else {
+        // Valor inválido ou igual ao atual: aguardar outro valor
+        await client.sendText(from, t(`vehicle.edit.reasons.${result.reason}`));
+      }
+      return;
+    }
+    
+    await client.sendText(from, t('vehicle.edit.done', {
+      plate: result.vehicle.licensePlate,
+      field: t(`vehicle.edit.fields.${field}`),
+      before: result.before,
+      after: result.vehicle[field]
+    }));
+    
+    await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+  } catch (error) {
+    logger.error(`Erro ao processar edição de veículo: ${error.message}`);
+    await client.sendText(from, t('common.genericErrorCancel'));
+  }
+};
+
+/**
+ * Manipula a transferência do veículo reconhecido para outro motorista
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleTransferringVehicle = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textAnswer'));
+    return;
+  }
+  
+  const text = message.body.trim();
+  const vehicleId = stateData.context.vehicleId;
+  
+  try {
+    if (stateData.context.vehicleTransferStep === 'driver') {
+      const whatsapp = text.replace(/\D/g, '');
+      
+      if (whatsapp.length < 10 || whatsapp.length > 11) {
+        await client.sendText(from, t('common.invalidPhone'));
+        return;
+      }
+      
+      const vehicle = await vehicleService.findActiveVehicle(vehicleId);
+      
+      if (!vehicle) {
+        await client.sendText(from, t('vehicle.notFound'));
+        await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+        return;
+      }
+      
+      // O novo proprietário precisa estar cadastrado como motorista (números mesclados também valem)
+      const driver = await driverService.findDriverByWhatsapp(whatsapp);
+      
+      if (!driver) {
+        await client.sendText(from, t('vehicle.transfer.reasons.driver_not_found'));
+        return;
+      }
+      
+      if (String(driver._id) === String(vehicle.driverId)) {
+        await client.sendText(from, t('vehicle.transfer.reasons.same_driver'));
+        return;
+      }
+      
+      const currentDriver = await Driver.findById(vehicle.driverId);
+      
+      await stateManager.updateContext(phoneNumber, { 
+        vehicleTransferStep: 'confirm',
+        vehicleTransferDriverId: driver._id
+      });
+      
+      await client.sendText(from, t('vehicle.transfer.confirm', {
+        plate: vehicle.licensePlate,
+        from: currentDriver ? currentDriver.fullName : t('common.notAvailable'),
+        to: driver.fullName
+      }));
+      return;
+    }
+    
+    if (text === '1') {
+      const result = await vehicleService.transferVehicle(vehicleId, stateData.context.vehicleTransferDriverId, {
+        userId: stateData.context.userId,
+        whatsapp: phoneNumber,
+        role: stateData.context.userRole
+      });
+      
+      await client.sendText(from, result.success
+        ? t('vehicle.transfer.done', {
+          plate: result.vehicle.licensePlate,
+          from: result.previousDriver ? result.previousDriver.fullName : t('common.notAvailable'),
+          to: result.driver.fullName
+        })
+        : t(result.reason === 'permission_denied' ? 'common.permissionDenied' : `vehicle.transfer.reasons.${result.reason}`));
+    } else if (text === '2') {
+      await client.sendText(from, t('vehicle.transfer.cancelled'));
+    } else {
+      await client.sendText(from, t('common.invalidConfirm'));
+      return;
+    }
+    
+    await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+  } catch (error) {
+    logger.error(`Erro ao processar transferência de veículo: ${error.message}`);
+    await client.sendText(from, t('common.genericErrorCancel'));
+  }
+};
+
+/**
+ * Manipula a remoção do veículo reconhecido
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const handleRemovingVehicle = async (client, message, stateData, stateManager) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  if (message.type !== 'chat') {
+    await client.sendText(from, t('common.textAnswer'));
+    return;
+  }
+  
+  const text = message.body.trim();
+  const vehicleId = stateData.context.vehicleId;
+  
+  try {
+    if (stateData.context.vehicleRemovalStep === 'reason') {
+      if (text.length < 3) {
+        await client.sendText(from, t('vehicle.remove.invalidReason'));
+        return;
+      }
+      
+      await stateManager.updateContext(phoneNumber, { 
+        vehicleRemovalStep: 'confirm',
+        vehicleRemovalReason: text
+      });
+      
+      await client.sendText(from, t('vehicle.remove.confirm', {
+        plate: stateData.context.recognizedPlate,
+        reason: text
+      }));
+      return;
+    }
+    
+    if (text === '1') {
+      const result = await vehicleService.removeVehicle(vehicleId, stateData.context.vehicleRemovalReason, {
+        userId: stateData.context.userId,
+        whatsapp: phoneNumber,
+        role: stateData.context.userRole
+      });
+      
+      await client.sendText(from, result.success
+        ? t('vehicle.remove.done', { plate: result.vehicle.licensePlate })
+        : t(result.reason === 'permission_denied' ? 'common.permissionDenied' : `vehicle.remove.reasons.${result.reason}`, {
+          plate: stateData.context.recognizedPlate
+        }));
+    } else if (text === '2') {
+      await client.sendText(from, t('vehicle.remove.cancelled'));
+    } else {
+      await client.sendText(from, t('common.invalidConfirm'));
+      return;
+    }
+    
+    await returnToMainMenu(client, from, phoneNumber, stateData, stateManager);
+  } catch (error) {
+    logger.error(`Erro ao processar remoção de veículo: ${error.message}`);
+    await client.sendText(from, t('common.genericErrorCancel'));
+  }
+};
+
+/**
+ * Encerra o assistente e volta ao menu principal
+ * @param {Object} client - Cliente WhatsApp
+ * @param {string} from - Chat do usuário
+ * @param {string} phoneNumber - Número do usuário
+ * @param {Object} stateData - Dados do estado atual
+ * @param {Object} stateManager - Gerenciador de estados
+ * @returns {Promise<void>}
+ */
+const returnToMainMenu = async (client, from, phoneNumber, stateData, stateManager) => {
+  const t = translator(stateData.context.language);
+  
+  await stateManager.setState(phoneNumber, 'authenticated');
+  
+  const authModule = require('../auth');
+  await authModule.sendMainMenu(client, from, stateData.context.userRole, t.locale);
+};
+
+/**
+ * Enfileira o aviso de entrada ou saída para o motorista, no idioma dele
+ * Uma falha ao enfileirar não impede o registro do estacionamento
+ * @param {Object} driver - Motorista do veículo
+ * @param {string} key - Chave do texto do aviso
+ * @param {Object} params - Parâmetros do texto
+ * @returns {Promise<void>}
+ */
+const notifyDriver = async (driver, key, params) => {
+  try {
+    await outboundQueue.enqueue(toChatId(driver.whatsapp), translator(driver.language)(key, params));
+  } catch (error) {
+    logger.error(`Erro ao enfileirar aviso para o motorista ${driver._id}: ${error.message}`);
   }
 };
 
+/**
+ * Registra a entrada de um veículo no estacionamento
+ * @param {Object} vehicle - Veículo
+ * @param {Object} driver - Motorista do veículo
+ * @param {Object} stateData - Dados do estado do operador
+ * @param {string} phoneNumber - Número do operador
+ * @returns {Promise<Object>} - Registro de estacionamento criado
+ */
+const registerEntry = async (vehicle, driver, stateData, phoneNumber) => {
+  const parkingLog = await ParkingLog.create({
+    vehicleId: vehicle._id,
+    driverId: vehicle.driverId,
+    entryTime: new Date(),
+    registeredBy: stateData.context.userId
+  });
+  
+  // Registrar log de auditoria
+  await AuditLog.logAction(
+    stateData.context.userId,
+    phoneNumber,
+    'parking_entry',
+    {
+      licensePlate: vehicle.licensePlate,
+      vehicleId: vehicle._id,
+      parkingLogId: parkingLog._id,
+      before: null,
+      after: { entryTime: parkingLog.entryTime }
+    }
+  );
+  
+  // Enviar notificação ao motorista se configurado
+  if (driver.notifyOnEntry) {
+    await notifyDriver(driver, 'plate.driverNotice.entry', {
+      plate: vehicle.licensePlate,
+      date: formatDate(parkingLog.entryTime, translator(driver.language).locale)
+    });
+  }
+  
+  metrics.parkingEventsTotal.inc({ type: 'entry' });
+  
+  // Publicar evento de entrada
+  botEvents.emit(EVENTS.PARKING_ENTRY, {
+    vehicle,
+    driver,
+    parkingLog,
+    registeredBy: stateData.context.userName
+  });
+  
+  return parkingLog;
+};
+
+/**
+ * Registra a saída de um veículo do estacionamento
+ * @param {Object} activeParking - Registro de estacionamento em aberto
+ * @param {Object} vehicle - Veículo
+ * @param {Object} driver - Motorista do veículo
+ * @param {Object} stateData - Dados do estado do operador
+ * @param {string} phoneNumber - Número do operador
+ * @returns {Promise<Object>} - Registro de estacionamento encerrado
+ */
+const registerExit = async (activeParking, vehicle, driver, stateData, phoneNumber) => {
+  activeParking.exitTime = new Date();
+  activeParking.exitRegisteredBy = stateData.context.userId;
+  await activeParking.save();
+  
+  // Registrar log de auditoria
+  await AuditLog.logAction(
+    stateData.context.userId,
+    phoneNumber,
+    'parking_exit',
+    {
+      licensePlate: vehicle.licensePlate,
+      vehicleId: vehicle._id,
+      parkingLogId: activeParking._id,
+      before: { exitTime: null },
+      after: { exitTime: activeParking.exitTime }
+    }
+  );
+  
+  // Enviar notificação ao motorista se configurado
+  if (driver.notifyOnExit) {
+    await notifyDriver(driver, 'plate.driverNotice.exit', {
+      plate: vehicle.licensePlate,
+      date: formatDate(activeParking.exitTime, translator(driver.language).locale),
+      duration: calculateDuration(activeParking.entryTime, activeParking.exitTime)
+    });
+  }
+  
+  metrics.parkingEventsTotal.inc({ type: 'exit' });
+  
+  // Publicar evento de saída
+  botEvents.emit(EVENTS.PARKING_EXIT, {
+    vehicle,
+    driver,
+    parkingLog: activeParking,
+    registeredBy: stateData.context.userName
+  });
+  
+  return activeParking;
+};
+
+/**
+ * Registra entrada ou saída em uma única mensagem (atalhos "entrada ABC1D23" e "saida ABC1D23")
+ * Não altera o estado da conversa: o operador continua de onde estava
+ * @param {Object} client - Cliente WhatsApp
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} stateData - Dados do estado atual
+ * @param {string} action - 'entry' ou 'exit'
+ * @param {string} licensePlate - Placa informada
+ * @returns {Promise<void>}
+ */
+const handleParkingShortcut = async (client, message, stateData, action, licensePlate) => {
+  const from = message.from;
+  const phoneNumber = from.replace(/@c\.us$/, '');
+  const t = translator(stateData.context.language);
+  
+  try {
+    const vehicle = await Vehicle.findOne({ licensePlate, active: true });
+    
+    if (!vehicle) {
+      await client.sendText(from, t('shortcuts.unregistered', { plate: licensePlate }));
+      return;
+    }
+    
+    const driver = await Driver.findById(vehicle.driverId);
+    const activeParking = await ParkingLog.findOne({ 
+      vehicleId: vehicle._id,
+      exitTime: null
+    });
+    
+    const summary = {
+      plate: vehicle.licensePlate,
+      make: vehicle.make,
+      model: vehicle.model,
+      color: vehicle.color,
+      driverName: driver.fullName
+    };
+    
+    if (action === 'entry') {
+      if (activeParking) {
+        await client.sendText(from, t('shortcuts.alreadyParked', {
+          plate: vehicle.licensePlate,
+          date: formatDate(activeParking.entryTime, t.locale)
+        }));
+        return;
+      }
+      
+      const newParking = await registerEntry(vehicle, driver, stateData, phoneNumber);
+      
+      await client.sendText(from, t('shortcuts.entryRegistered', {
+        ...summary,
+        date: formatDate(newParking.entryTime, t.locale)
+      }));
+    } else {
+      if (!activeParking) {
+        await client.sendText(from, t('shortcuts.notParked', { plate: vehicle.licensePlate }));
+        return;
+      }
+      
+      await registerExit(activeParking, vehicle, driver, stateData, phoneNumber);
+      
+      await client.sendText(from, t('shortcuts.exitRegistered', {
+        ...summary,
+        duration: calculateDuration(activeParking.entryTime, activeParking.exitTime)
+      }));
+    }
+  } catch (error) {
+    logger.error(`Erro ao processar atalho de ${action === 'entry' ? 'entrada' : 'saída'}: ${error.message}`);
+    await client.sendText(from, t('common.genericError'));
+  }
+};
+
+/**
+ * Obtém as opções exibidas para a placa reconhecida
+ * Só aparecem as ações permitidas ao papel do usuário
+ * @param {Function} t - Função de tradução do usuário
+ * @param {string} role - Papel do usuário
+ * @param {boolean} isRegistered - Se o veículo está cadastrado
+ * @param {boolean} isParked - Se o veículo está no estacionamento
+ * @returns {Array<Object>} - Opções do menu
+ */
+const getPlateActionOptions = (t, role, isRegistered, isParked) => {
+  const options = isRegistered
+    ? [
+      {
+        id: 'toggle_parking',
+        label: isParked ? t('plate.options.registerExit') : t('plate.options.registerEntry'),
+        permission: isParked ? 'parking.exit' : 'parking.entry'
+      },
+      { id: 'notify_driver', label: t('plate.options.notifyDriver'), permission: 'notification.send' },
+      { id: 'edit_vehicle', label: t('plate.options.editVehicle'), permission: 'vehicle.update' },
+      { id: 'transfer_vehicle', label: t('plate.options.transferVehicle'), permission: 'vehicle.transfer' },
+      { id: 'remove_vehicle', label: t('plate.options.removeVehicle'), permission: 'vehicle.delete' },
+      { id: 'back_to_menu', label: t('plate.options.backToMenu') }
+    ]
+    : [
+      { id: 'register_vehicle', label: t('plate.options.registerVehicle'), permission: 'vehicle.create' },
+      { id: 'back_to_menu', label: t('plate.options.backToMenu') }
+    ];
+  
+  return options
+    .filter(option => can(role, option.permission))
+    .map(({ id, label }) => ({ id, label }));
+};
+
+/**
+ * Obtém as opções de campo na correção de um veículo
+ * @param {Function} t - Função de tradução do usuário
+ * @returns {Array<Object>} - Opções do menu
+ */
+const getEditFieldOptions = (t) => {
+  return vehicleService.EDITABLE_FIELDS.map(field => ({ id: field, label: t(`vehicle.edit.fields.${field}`) }));
+};
+
 /**
  * Verifica se uma placa é válida
  * @param {string} plate - Placa a ser verificada
@@ -623,12 +1070,13 @@ const isValidLicensePlate = (plate) => {
 /**
  * Formata uma data
  * @param {Date} date - Data a ser formatada
+ * @param {string} locale - Idioma da formatação
  * @returns {string} - Data formatada
  */
-const formatDate = (date) => {
+const formatDate = (date, locale = DEFAULT_LOCALE) => {
   if (!date) return 'N/A';
   
-  return date.toLocaleString('pt-BR', {
+  return date.toLocaleString(locale, {
     day: '2-digit',
     month: '2-digit',
     year: 'numeric',
@@ -655,8 +1103,55 @@ const calculateDuration = (start, end) => {
   return `${hours}h ${minutes}min`;
 };
 
+// Estados de conversação do módulo
+const states = {
+  recognizing_plate: {
+    handler: handlePlateRecognition,
+    transitions: ['plate_action'],
+    permission: 'plate.recognize',
+    help: 'help.states.recognizing_plate'
+  },
+  plate_action: {
+    handler: handlePlateAction,
+    transitions: ['registering_vehicle', 'editing_vehicle', 'transferring_vehicle', 'removing_vehicle', 'authenticated'],
+    permission: 'plate.recognize',
+    help: 'help.states.plate_action'
+  },
+  registering_vehicle: {
+    handler: handleRegisteringVehicle,
+    transitions: ['registering_driver', 'authenticated'],
+    permission: 'vehicle.create',
+    help: 'help.states.registering_vehicle'
+  },
+  editing_vehicle: {
+    handler: handleEditingVehicle,
+    transitions: ['authenticated'],
+    permission: 'vehicle.update',
+    help: 'help.states.editing_vehicle'
+  },
+  transferring_vehicle: {
+    handler: handleTransferringVehicle,
+    transitions: ['authenticated'],
+    permission: 'vehicle.transfer',
+    help: 'help.states.transferring_vehicle'
+  },
+  removing_vehicle: {
+    handler: handleRemovingVehicle,
+    transitions: ['authenticated'],
+    permission: 'vehicle.delete',
+    help: 'help.states.removing_vehicle'
+  }
+};
+
 module.exports = {
   handlePlateRecognition,
   handlePlateAction,
-  handleRegisteringVehicle
+  handleRegisteringVehicle,
+  handleEditingVehicle,
+  handleTransferringVehicle,
+  handleRemovingVehicle,
+  handleParkingShortcut,
+  isValidLicensePlate,
+  formatDate,
+  states
 };
@@ -3,28 +3,13 @@
  * Responsável por processar imagens e reconhecer placas de veículos
  */
 
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const winston = require('winston');
 const config = require('../../config/config');
+const { createLogger } = require('../../core/logger');
 
-// Configuração de logs
-const logger = winston.createLogger({
-  level: config.logging.level || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: config.logging.file || 'logs/bot.log'
-    })
-  ]
-});
+const logger = createLogger('plate-recognizer');
 
 /**
  * Reconhece a placa em uma imagem
@@ -44,8 +29,8 @@ const recognizePlate = async (imagePath) => {
       };
     }
     
-    // Caminho do script Python
-    const scriptPath = path.resolve(__dirname, config.plateRecognition.scriptPath);
+    // Caminho do script Python (relativo à raiz do projeto)
+    const scriptPath = path.resolve(__dirname, '../../..', config.plateRecognition.scriptPath);
     
     // Verificar se o script existe
     if (!fs.existsSync(scriptPath)) {
@@ -130,6 +115,49 @@ const recognizePlate = async (imagePath) => {
   }
 };
 
+// Resultado da última verificação de disponibilidade
+let availability = null;
+
+/**
+ * Verifica se o reconhecedor Python está disponível (script, OpenCV e Tesseract)
+ * O resultado é reaproveitado por config.health.recognizerCheckInterval milissegundos
+ * @returns {Promise<Object>} - { available, message, checkedAt }
+ */
+const checkAvailability = async () => {
+  if (availability && Date.now() - availability.checkedAt.getTime() < config.health.recognizerCheckInterval) {
+    return availability;
+  }
+  
+  const scriptPath = path.resolve(__dirname, '../../..', config.plateRecognition.scriptPath);
+  
+  if (!fs.existsSync(scriptPath)) {
+    availability = { available: false, message: 'Script de reconhecimento não encontrado', checkedAt: new Date() };
+    return availability;
+  }
+  
+  availability = await new Promise((resolve) => {
+    execFile(
+      config.plateRecognition.pythonPath,
+      ['-c', 'import cv2, pytesseract; pytesseract.get_tesseract_version()'],
+      { timeout: 10000 },
+      (error) => {
+        resolve({
+          available: !error,
+          message: error ? `Dependências do reconhecedor indisponíveis: ${error.message.split('\n')[0]}` : 'OK',
+          checkedAt: new Date()
+        });
+      }
+    );
+  });
+  
+  if (!availability.available) {
+    logger.warn(availability.message);
+  }
+  
+  return availability;
+};
+
 module.exports = {
-  recognizePlate
+  recognizePlate,
+  checkAvailability
 };
@@ -0,0 +1,88 @@
+/**
+ * Serviço de alertas para administradores
+ * Responsável por avisar os administradores sobre problemas operacionais do bot
+ */
+
+const https = require('https');
+const http = require('http');
+const config = require('../config/config');
+const { createLogger } = require('../core/logger');
+const User = require('../data/models/User');
+const outboundQueue = require('./outbound-queue');
+const { toChatId } = require('../core/phone');
+const { EVENTS, botEvents } = require('../core/events');
+
+const logger = createLogger('alert-service');
+
+/**
+ * Envia o alerta para o webhook configurado
+ * @param {string} text - Texto do alerta
+ * @returns {Promise<void>}
+ */
+const postWebhook = (text) => {
+  const webhookUrl = config.connection.alertWebhookUrl;
+
+  if (!webhookUrl) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = new URL(webhookUrl);
+    const payload = JSON.stringify({ text, timestamp: new Date().toISOString() });
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout: 10000
+    }, (response) => {
+      response.resume();
+
+      if (response.statusCode >= 400) {
+        reject(new Error(`Webhook respondeu com status ${response.statusCode}`));
+        return;
+      }
+
+      resolve();
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Tempo esgotado ao chamar o webhook')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+};
+
+/**
+ * Alerta os administradores ativos
+ * As mensagens de WhatsApp passam pela fila de saída e são entregues assim que houver conexão;
+ * o webhook, se configurado, permite avisar por outro canal enquanto o bot está offline
+ * @param {string} text - Texto do alerta
+ * @returns {Promise<void>}
+ */
+const alertAdmins = async (text) => {
+  logger.warn(`Alerta para administradores: ${text}`);
+
+  try {
+    const admins = await User.find({ role: 'admin', active: true }).select('whatsapp');
+
+    for (const admin of admins) {
+      await outboundQueue.enqueue(toChatId(admin.whatsapp), `🚨 *ALERTA* 🚨\n\n${text}`);
+    }
+  } catch (error) {
+    logger.error(`Erro ao enfileirar alerta para administradores: ${error.message}`);
+  }
+
+  try {
+    await postWebhook(text);
+  } catch (error) {
+    logger.error(`Erro ao enviar alerta para o webhook: ${error.message}`);
+  }
+
+  // Publicar também no grupo de operadores, se configurado
+  botEvents.emit(EVENTS.ALERT, { text });
+};
+
+module.exports = {
+  alertAdmins
+};
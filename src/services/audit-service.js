@@ -0,0 +1,292 @@
+/**
+ * Consulta e verificação do log de auditoria do bot WhatsApp
+ * A consulta é usada pelo comando #auditoria e pela API HTTP; filtra por usuário, ação, placa e
+ * período, com resultados paginados do mais recente para o mais antigo. A verificação percorre a
+ * cadeia de hashes e confere os pontos de verificação assinados, exportados periodicamente para
+ * um arquivo fora do banco de dados.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { createLogger } = require('../core/logger');
+const AuditLog = require('../data/models/AuditLog');
+const User = require('../data/models/User');
+const { toLocalNumber } = require('../core/phone');
+
+const logger = createLogger('audit-service');
+
+// Sequência do último ponto de verificação exportado (evita pontos repetidos sem novos registros)
+let lastCheckpointSequence = null;
+
+/**
+ * Converte uma data informada (AAAA-MM-DD ou ISO 8601)
+ * Datas sem horário cobrem o dia inteiro: o início para "de" e o fim para "até"
+ * @param {string} value - Data informada
+ * @param {boolean} endOfDay - Usar o fim do dia para datas sem horário
+ * @returns {Date|null} - Data convertida ou null se inválida
+ */
+const parseDate = (value, endOfDay) => {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}` : value);
+
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Monta o filtro do MongoDB a partir dos filtros informados
+ * @param {Object} filters - Filtros ({ user, action, licensePlate, from, to })
+ * @returns {Promise<Object>} - Resultado ({ success, reason, query })
+ */
+const buildQuery = async ({ user, action, licensePlate, from, to }) => {
+  const query = {};
+
+  if (user) {
+    // ID do usuário ou número de WhatsApp (cadastrado ou do aparelho)
+    if (mongoose.Types.ObjectId.isValid(user) && String(user).length === 24) {
+      query.userId = user;
+    } else {
+      const localNumber = toLocalNumber(String(user));
+
+      if (localNumber.length < 10) {
+        return { success: false, reason: 'invalid_user' };
+      }
+
+      const found = await User.findOne({ whatsapp: localNumber });
+
+      query.$or = found
+        ? [{ userId: found._id }, { userWhatsapp: { $regex: `${localNumber}$` } }]
+        : [{ userWhatsapp: { $regex: `${localNumber}$` } }];
+    }
+  }
+
+  if (action) {
+    query.action = action;
+  }
+
+  if (licensePlate) {
+    query['details.licensePlate'] = licensePlate.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  if (from || to) {
+    const start = from ? parseDate(from, false) : null;
+    const end = to ? parseDate(to, true) : null;
+
+    if ((from && !start) || (to && !end)) {
+      return { success: false, reason: 'invalid_date' };
+    }
+
+    query.timestamp = {};
+
+    if (start) {
+      query.timestamp.$gte = start;
+    }
+
+    if (end) {
+      query.timestamp.$lte = end;
+    }
+  }
+
+  return { success: true, query };
+};
+
+/**
+ * Consulta o log de auditoria
+ * @param {Object} filters - Filtros ({ user, action, licensePlate, from, to })
+ * @param {Object} pagination - Paginação ({ page, pageSize })
+ * @returns {Promise<Object>} - Resultado ({ success, reason, entries, total, page, pages, pageSize })
+ */
+const queryAuditLog = async (filters, { page = 1, pageSize = config.audit.pageSize } = {}) => {
+  const built = await buildQuery(filters);
+
+  if (!built.success) {
+    return built;
+  }
+
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || config.audit.pageSize, 1), config.audit.maxPageSize);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(built.query)
+      .sort({ timestamp: -1 })
+      .skip((current - 1) * size)
+      .limit(size)
+      .populate('userId', 'fullName whatsapp'),
+    AuditLog.countDocuments(built.query)
+  ]);
+
+  return {
+    success: true,
+    entries,
+    total,
+    page: current,
+    pages: Math.ceil(total / size),
+    pageSize: size
+  };
+};
+
+/**
+ * Percorre a cadeia de hashes em ordem de sequência
+ * Aponta registros ausentes (sequência interrompida), encadeados a outro registro ou com
+ * conteúdo diferente do hash gravado
+ * @returns {Promise<Object>} - Resultado ({ checked, legacy, lastSequence, lastHash, breaks })
+ */
+const verifyChain = async () => {
+  const result = {
+    checked: 0,
+    // Registros anteriores ao encadeamento, que não podem ser verificados
+    legacy: await AuditLog.countDocuments({ sequence: { $exists: false } }),
+    lastSequence: 0,
+    lastHash: AuditLog.GENESIS_HASH,
+    breaks: []
+  };
+
+  const cursor = AuditLog.find({ sequence: { $exists: true } }).sort({ sequence: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    const expected = result.lastSequence + 1;
+
+    if (entry.sequence !== expected) {
+      result.breaks.push({ type: 'missing', from: expected, to: entry.sequence - 1 });
+    } else if (entry.prevHash !== result.lastHash) {
+      result.breaks.push({ type: 'broken_link', sequence: entry.sequence });
+    }
+
+    if (AuditLog.computeHash(entry) !== entry.hash) {
+      result.breaks.push({ type: 'hash_mismatch', sequence: entry.sequence, action: entry.action });
+    }
+
+    result.checked += 1;
+    result.lastSequence = entry.sequence;
+    result.lastHash = entry.hash;
+  }
+
+  return result;
+};
+
+/**
+ * Assina um ponto de verificação
+ * @param {Object} checkpoint - Ponto de verificação ({ sequence, hash, createdAt })
+ * @param {string} key - Chave da assinatura
+ * @returns {string} - Assinatura HMAC-SHA256 em hexadecimal
+ */
+const signCheckpoint = ({ sequence, hash, createdAt }, key) => {
+  return crypto.createHmac('sha256', key).update(`${sequence}:${hash}:${createdAt}`).digest('hex');
+};
+
+/**
+ * Lê os pontos de verificação exportados
+ * @returns {Array<Object>} - Pontos de verificação, do mais antigo para o mais recente
+ */
+const readCheckpoints = () => {
+  if (!fs.existsSync(config.audit.checkpoint.file)) {
+    return [];
+  }
+
+  return fs.readFileSync(config.audit.checkpoint.file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+};
+
+/**
+ * Exporta um ponto de verificação assinado com o fim atual da cadeia
+ * Nada é exportado se não houver registros novos desde o último ponto
+ * @returns {Promise<Object|null>} - Ponto de verificação exportado ou null
+ */
+const createCheckpoint = async () => {
+  const { file, key } = config.audit.checkpoint;
+
+  if (!key) {
+    throw new Error('AUDIT_CHECKPOINT_KEY não configurada');
+  }
+
+  if (lastCheckpointSequence === null) {
+    const checkpoints = readCheckpoints();
+    lastCheckpointSequence = checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].sequence : 0;
+  }
+
+  const last = await AuditLog.findOne({ sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('sequence hash timestamp')
+    .lean();
+
+  if (!last || last.sequence === lastCheckpointSequence) {
+    return null;
+  }
+
+  const checkpoint = {
+    sequence: last.sequence,
+    hash: last.hash,
+    entryTimestamp: last.timestamp.toISOString(),
+    createdAt: new Date().toISOString()
+  };
+  checkpoint.signature = signCheckpoint(checkpoint, key);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(checkpoint)}\n`);
+  lastCheckpointSequence = checkpoint.sequence;
+
+  logger.info(`Ponto de verificação do log de auditoria exportado (sequência ${checkpoint.sequence})`);
+
+  return checkpoint;
+};
+
+/**
+ * Confere os pontos de verificação exportados com a cadeia atual
+ * Detecta a remoção dos últimos registros e a reconstrução da cadeia inteira, que a
+ * verificação da cadeia sozinha não percebe
+ * @returns {Promise<Object>} - Resultado ({ checked, problems })
+ */
+const verifyCheckpoints = async () => {
+  const { key } = config.audit.checkpoint;
+  const checkpoints = readCheckpoints();
+  const problems = [];
+
+  for (const checkpoint of checkpoints) {
+    if (!key || signCheckpoint(checkpoint, key) !== checkpoint.signature) {
+      problems.push({ type: key ? 'invalid_signature' : 'unverified_signature', sequence: checkpoint.sequence });
+      continue;
+    }
+
+    const entry = await AuditLog.findOne({ sequence: checkpoint.sequence }).select('hash').lean();
+
+    if (!entry) {
+      problems.push({ type: 'entry_missing', sequence: checkpoint.sequence });
+    } else if (entry.hash !== checkpoint.hash) {
+      problems.push({ type: 'hash_mismatch', sequence: checkpoint.sequence });
+    }
+  }
+
+  return { checked: checkpoints.length, problems };
+};
+
+/**
+ * Inicia a exportação periódica dos pontos de verificação
+ * @returns {Object|null} - Tarefa agendada ou null se não houver chave de assinatura
+ */
+const startCheckpoints = () => {
+  if (!config.audit.checkpoint.key) {
+    logger.warn('AUDIT_CHECKPOINT_KEY não configurada: pontos de verificação do log de auditoria desativados');
+    return null;
+  }
+
+  return cron.schedule(config.audit.checkpoint.schedule, async () => {
+    try {
+      await createCheckpoint();
+    } catch (error) {
+      logger.error(`Erro ao exportar ponto de verificação do log de auditoria: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  queryAuditLog,
+  verifyChain,
+  createCheckpoint,
+  verifyCheckpoints,
+  startCheckpoints
+};
@@ -0,0 +1,101 @@
+/**
+ * Testes da verificação da cadeia do log de auditoria
+ */
+
+const auditService = require('./audit-service');
+const AuditLog = require('../data/models/AuditLog');
+
+/**
+ * Monta uma cadeia válida de registros
+ * @param {number} size - Quantidade de registros
+ * @returns {Array<Object>} - Registros encadeados
+ */
+const buildChain = (size) => {
+  const chain = [];
+
+  for (let sequence = 1; sequence <= size; sequence++) {
+    const entry = {
+      sequence,
+      prevHash: sequence === 1 ? AuditLog.GENESIS_HASH : chain[sequence - 2].hash,
+      userId: '64b000000000000000000001',
+      userWhatsapp: '92988887777',
+      action: 'parking_entry',
+      details: { licensePlate: `ABC123${sequence}` },
+      timestamp: new Date(Date.UTC(2026, 9, 19, 12, sequence)),
+      ipAddress: null
+    };
+
+    entry.hash = AuditLog.computeHash(entry);
+    chain.push(entry);
+  }
+
+  return chain;
+};
+
+/**
+ * Faz a consulta ao log de auditoria devolver os registros informados
+ * @param {Array<Object>} entries - Registros encadeados
+ * @param {number} legacy - Registros anteriores ao encadeamento
+ */
+const mockEntries = (entries, legacy = 0) => {
+  jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(legacy);
+  jest.spyOn(AuditLog, 'find').mockReturnValue({
+    sort: () => ({
+      lean: () => ({
+        cursor: async function* () {
+          yield* entries;
+        }
+      })
+    })
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyChain', () => {
+  it('aceita uma cadeia íntegra', async () => {
+    const chain = buildChain(3);
+    mockEntries(chain, 2);
+
+    await expect(auditService.verifyChain()).resolves.toEqual({
+      checked: 3,
+      legacy: 2,
+      lastSequence: 3,
+      lastHash: chain[2].hash,
+      breaks: []
+    });
+  });
+
+  it('detecta registros alterados', async () => {
+    const chain = buildChain(3);
+    chain[1].details.licensePlate = 'XYZ9876';
+    mockEntries(chain);
+
+    const result = await auditService.verifyChain();
+
+    expect(result.breaks).toEqual([{ type: 'hash_mismatch', sequence: 2, action: 'parking_entry' }]);
+  });
+
+  it('detecta registros alterados com o hash recalculado pelo elo seguinte', async () => {
+    const chain = buildChain(3);
+    chain[1].action = 'vehicle_deleted';
+    chain[1].hash = AuditLog.computeHash(chain[1]);
+    mockEntries(chain);
+
+    const result = await auditService.verifyChain();
+
+    expect(result.breaks).toEqual([{ type: 'broken_link', sequence: 3 }]);
+  });
+
+  it('detecta registros removidos', async () => {
+    const chain = buildChain(4);
+    mockEntries([chain[0], chain[3]]);
+
+    const result = await auditService.verifyChain();
+
+    expect(result.breaks).toEqual([{ type: 'missing', from: 2, to: 3 }]);
+    expect(result.checked).toBe(2);
+  });
+});
@@ -7,36 +7,91 @@ const crypto = require('crypto');
 const User = require('../data/models/User');
 const AuthCode = require('../data/models/AuthCode');
 const Session = require('../data/models/Session');
-const winston = require('winston');
+const PhoneChangeRequest = require('../data/models/PhoneChangeRequest');
 const config = require('../config/config');
+const { createLogger } = require('../core/logger');
+const { toLocalNumber, isSameNumber } = require('../core/phone');
+const authThrottle = require('./auth-throttle');
 
-// Configuração de logs
-const logger = winston.createLogger({
-  level: config.logging.level || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `${timestamp} ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ 
-      filename: config.logging.file || 'logs/bot.log'
-    })
-  ]
+const logger = createLogger('auth-service');
+
+// Chave do HMAC dos códigos salvos; sem configuração, os códigos pendentes deixam de valer
+// quando o bot reinicia
+const codeSecret = config.auth.codeSecret || crypto.randomBytes(32).toString('hex');
+
+if (!config.auth.codeSecret) {
+  logger.warn('AUTH_CODE_SECRET não definido: usando chave temporária para os códigos de verificação');
+}
+
+/**
+ * Monta a resposta de bloqueio por excesso de tentativas
+ * @param {Date} lockedUntil - Fim do bloqueio
+ * @returns {Object} - Resultado com reason 'locked'
+ */
+const lockedResult = (lockedUntil) => ({
+  success: false,
+  reason: 'locked',
+  lockedUntil,
+  message: 'Muitas tentativas; acesso bloqueado temporariamente'
 });
 
 /**
  * Inicia o processo de autenticação
+ * O código só é gerado quando o pedido parte do próprio número informado, já que ele é
+ * entregue no chat desse número
  * @param {string} whatsapp - Número de WhatsApp
+ * @param {string} senderNumber - Número do aparelho que fez o pedido
  * @returns {Promise<Object>} - Resultado da autenticação
  */
-const initiateAuth = async (whatsapp) => {
+const initiateAuth = async (whatsapp, senderNumber) => {
   try {
+    // Aparelho bloqueado por excesso de tentativas
+    const senderLockedUntil = await authThrottle.getLockedUntil({ senderNumber });
+    
+    if (senderLockedUntil) {
+      return lockedResult(senderLockedUntil);
+    }
+    
+    // Recusar antes de consultar o cadastro, para não revelar quais números estão cadastrados
+    if (!isSameNumber(whatsapp, senderNumber)) {
+      logger.debug(`Pedido de código para ${whatsapp} feito a partir de ${senderNumber}`);
+      
+      // Tentativas com números de terceiros contam para o limite do aparelho
+      const mismatchLockedUntil = await authThrottle.registerRequest({ senderNumber });
+      
+      if (mismatchLockedUntil) {
+        return lockedResult(mismatchLockedUntil);
+      }
+      
+      return {
+        success: false,
+        senderMismatch: true,
+        reason: 'sender_mismatch',
+        message: 'O número informado não corresponde ao aparelho'
+      };
+    }
+    
+    // Número bloqueado por excesso de tentativas
+    const numberLockedUntil = await authThrottle.getLockedUntil({ whatsapp });
+    
+    if (numberLockedUntil) {
+      return lockedResult(numberLockedUntil);
+    }
+    
     // Buscar usuário pelo WhatsApp
     const user = await User.findOne({ whatsapp, active: true });
     
+    // Limitar pedidos de código por número e por aparelho, cadastrados ou não
+    const lockedUntil = await authThrottle.registerRequest({
+      whatsapp,
+      senderNumber,
+      userId: user ? user._id : null
+    });
+    
+    if (lockedUntil) {
+      return lockedResult(lockedUntil);
+    }
+    
     if (!user) {
       logger.debug(`Usuário não encontrado ou inativo: ${whatsapp}`);
       return {
@@ -46,25 +101,10 @@ const initiateAuth = async (whatsapp) => {
       };
     }
     
-    // Gerar código de verificação
-    const code = generateVerificationCode();
+    // Gerar e salvar o código (apenas o HMAC é armazenado)
+    const code = await saveVerificationCode(user._id);
     
-    // Calcular data de expiração
-    const expiresAt = new Date();
-    expiresAt.setSeconds(expiresAt.getSeconds() + config.auth.codeTTL);
-    
-    // Salvar código no banco de dados
-    await AuthCode.findOneAndUpdate(
-      { userId: user._id },
-      {
-        code,
-        expiresAt,
-        attempts: 0
-      },
-      { upsert: true, new: true }
-    );
-    
-    logger.debug(`Código de verificação gerado para ${whatsapp}: ${code}`);
+    logger.debug(`Código de verificação gerado para ${whatsapp}`);
     
     return {
       success: true,
@@ -85,9 +125,10 @@ const initiateAuth = async (whatsapp) => {
  * @param {string} whatsapp - Número de WhatsApp
  * @param {string} code - Código de verificação
  * @param {string} deviceInfo - Informações do dispositivo
- * @returns {Promise<Object>} - Resultado da verificação
+ * @param {string} senderNumber - Número do aparelho que abriu a sessão
+ * @returns {Promise<Object>} - Resultado da verificação (reason identifica a falha no catálogo de mensagens)
  */
-const verifyCode = async (whatsapp, code, deviceInfo) => {
+const verifyCode = async (whatsapp, code, deviceInfo, senderNumber) => {
   try {
     // Buscar usuário pelo WhatsApp
     const user = await User.findOne({ whatsapp, active: true });
@@ -96,10 +137,28 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
       logger.debug(`Usuário não encontrado ou inativo: ${whatsapp}`);
       return {
         success: false,
+        reason: 'user_not_found',
         message: 'Usuário não encontrado ou inativo'
       };
     }
     
+    // A sessão só pode ser aberta pelo aparelho do número cadastrado
+    if (!isSameNumber(user.whatsapp, senderNumber)) {
+      logger.warn(`Código de ${whatsapp} informado a partir de outro aparelho: ${senderNumber}`);
+      return {
+        success: false,
+        reason: 'sender_mismatch',
+        message: 'O número informado não corresponde ao aparelho'
+      };
+    }
+    
+    // Número ou aparelho bloqueado por excesso de tentativas
+    const lockedUntil = await authThrottle.getLockedUntil({ whatsapp: user.whatsapp, senderNumber });
+    
+    if (lockedUntil) {
+      return lockedResult(lockedUntil);
+    }
+    
     // Buscar código de autenticação
     const authCode = await AuthCode.findOne({ userId: user._id });
     
@@ -107,6 +166,7 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
       logger.debug(`Código de autenticação não encontrado para ${whatsapp}`);
       return {
         success: false,
+        reason: 'code_not_found',
         message: 'Código de autenticação não encontrado'
       };
     }
@@ -116,6 +176,7 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
       logger.debug(`Código de autenticação expirado para ${whatsapp}`);
       return {
         success: false,
+        reason: 'code_expired',
         message: 'Código de autenticação expirado'
       };
     }
@@ -125,6 +186,7 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
       logger.debug(`Número máximo de tentativas excedido para ${whatsapp}`);
       return {
         success: false,
+        reason: 'too_many_attempts',
         message: 'Número máximo de tentativas excedido'
       };
     }
@@ -134,10 +196,24 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
     await authCode.save();
     
     // Verificar código
-    if (authCode.code !== code) {
+    if (!matchesCodeHash(user._id, code, authCode.codeHash)) {
       logger.debug(`Código de autenticação inválido para ${whatsapp}`);
+      
+      // Códigos incorretos contam para o bloqueio progressivo; bloqueado, o código é descartado
+      const failureLockedUntil = await authThrottle.registerFailure({
+        whatsapp: user.whatsapp,
+        senderNumber,
+        userId: user._id
+      });
+      
+      if (failureLockedUntil) {
+        await AuthCode.deleteOne({ _id: authCode._id });
+        return lockedResult(failureLockedUntil);
+      }
+      
       return {
         success: false,
+        reason: 'invalid_code',
         message: 'Código de autenticação inválido'
       };
     }
@@ -153,6 +229,7 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
     await Session.create({
       userId: user._id,
       sessionId,
+      whatsapp: senderNumber,
       deviceInfo,
       expiresAt
     });
@@ -164,6 +241,8 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
     // Remover código de autenticação
     await AuthCode.deleteOne({ _id: authCode._id });
     
+    await authThrottle.clearCounters({ whatsapp: user.whatsapp, senderNumber });
+    
     logger.debug(`Autenticação bem-sucedida para ${whatsapp}`);
     
     return {
@@ -172,7 +251,8 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
         id: user._id,
         fullName: user.fullName,
         whatsapp: user.whatsapp,
-        role: user.role
+        role: user.role,
+        language: user.language
       },
       sessionId
     };
@@ -180,11 +260,106 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
     logger.error(`Erro ao verificar código para ${whatsapp}: ${error.message}`);
     return {
       success: false,
+      reason: 'error',
       message: 'Erro ao verificar código'
     };
   }
 };
 
+/**
+ * Restaura a sessão ativa de um aparelho
+ * @param {string} senderNumber - Número do aparelho
+ * @returns {Promise<Object>} - Resultado da restauração
+ */
+const restoreSession = async (senderNumber) => {
+  try {
+    // Buscar a sessão mais recente do aparelho
+    const session = await Session.findOne({ whatsapp: senderNumber }).sort({ lastAccess: -1 });
+    
+    if (!session) {
+      return {
+        success: false,
+        reason: 'session_not_found',
+        message: 'Sessão não encontrada'
+      };
+    }
+    
+    const validation = await validateSession(session.sessionId);
+    
+    if (!validation.valid) {
+      return {
+        success: false,
+        expired: true,
+        reason: validation.reason,
+        message: validation.message
+      };
+    }
+    
+    logger.debug(`Sessão restaurada para ${senderNumber}`);
+    
+    return {
+      success: true,
+      user: validation.user,
+      sessionId: session.sessionId
+    };
+  } catch (error) {
+    logger.error(`Erro ao restaurar sessão para ${senderNumber}: ${error.message}`);
+    return {
+      success: false,
+      message: 'Erro ao restaurar sessão'
+    };
+  }
+};
+
+/**
+ * Valida uma sessão e registra o último acesso
+ * @param {string} sessionId - ID da sessão
+ * @param {string} senderNumber - Número do aparelho que está usando a sessão (opcional)
+ * @returns {Promise<Object>} - Resultado da validação (reason identifica a falha no catálogo de mensagens)
+ */
+const validateSession = async (sessionId, senderNumber = null) => {
+  const session = await Session.findOne({ sessionId });
+  
+  if (!session) {
+    return { valid: false, reason: 'session_not_found', message: 'Sessão não encontrada' };
+  }
+  
+  // A sessão pertence ao aparelho que a abriu
+  if (senderNumber && session.whatsapp !== senderNumber) {
+    return { valid: false, reason: 'session_not_found', message: 'Sessão aberta por outro aparelho' };
+  }
+  
+  if (session.revokedAt) {
+    return { valid: false, reason: 'session_revoked', message: 'Sessão encerrada' };
+  }
+  
+  if (session.expiresAt < new Date()) {
+    return { valid: false, reason: 'session_expired', message: 'Sessão expirada' };
+  }
+  
+  // Verificar se o usuário continua ativo
+  const user = await User.findOne({ _id: session.userId, active: true });
+  
+  if (!user) {
+    return { valid: false, reason: 'user_inactive', message: 'Usuário não encontrado ou inativo' };
+  }
+  
+  // Atualizar último acesso
+  session.lastAccess = new Date();
+  await session.save();
+  
+  return {
+    valid: true,
+    user: {
+      id: user._id,
+      fullName: user.fullName,
+      whatsapp: user.whatsapp,
+      role: user.role,
+      language: user.language
+    }
+  };
+};
+
 /**
  * Encerra uma sessão
  * @param {string} sessionId - ID da sessão
@@ -192,7 +367,8 @@ const verifyCode = async (whatsapp, code, deviceInfo) => {
  */
 const endSession = async (sessionId) => {
   try {
-    await Session.deleteOne({ sessionId });
+    // Manter o registro da sessão, marcando-a como encerrada
+    await Session.updateOne({ sessionId }, { revokedAt: new Date() });
     logger.debug(`Sessão encerrada: ${sessionId}`);
     return true;
   } catch (error) {
@@ -202,46 +378,263 @@ const endSession = async (sessionId) => {
 };
 
 /**
- * Gera um código de verificação inicial para um usuário
+ * Lista as sessões ativas de um usuário, da mais recente para a mais antiga
  * @param {string} userId - ID do usuário
- * @returns {Promise<string>} - Código de verificação
+ * @returns {Promise<Array<Object>>} - Sessões ativas
  */
-const generateInitialAuthCode = async (userId) => {
+const listActiveSessions = async (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastAccess: -1 });
+};
+
+/**
+ * Encerra sessões ativas de um usuário
+ * @param {string} userId - ID do usuário
+ * @param {Object} options - Filtros (opcionais)
+ * @param {Array<string>} options.sessionIds - Encerrar apenas estas sessões
+ * @param {string} options.exceptSessionId - Manter esta sessão ativa
+ * @returns {Promise<Array<Object>>} - Sessões encerradas (com o aparelho de cada uma)
+ */
+const revokeSessions = async (userId, { sessionIds = null, exceptSessionId = null } = {}) => {
+  const sessions = (await listActiveSessions(userId))
+    .filter(session => !sessionIds || sessionIds.includes(session.sessionId))
+    .filter(session => session.sessionId !== exceptSessionId);
+  
+  if (sessions.length > 0) {
+    await Session.updateMany(
+      { sessionId: { $in: sessions.map(session => session.sessionId) } },
+      { revokedAt: new Date() }
+    );
+  }
+  
+  logger.debug(`${sessions.length} sessão(ões) encerrada(s) do usuário ${userId}`);
+  
+  return sessions;
+};
+
+/**
+ * Registra a solicitação de troca do número cadastrado para o número do aparelho
+ * A mesma solicitação pendente é reaproveitada para não repetir o alerta aos administradores
+ * @param {string} whatsapp - Número cadastrado informado pelo usuário
+ * @param {string} senderNumber - Número do aparelho que fez o pedido
+ * @returns {Promise<Object>} - Resultado da solicitação
+ */
+const requestPhoneChange = async (whatsapp, senderNumber) => {
   try {
-    // Gerar código de verificação
-    const code = generateVerificationCode();
+    // Cada pedido gera alertas aos administradores: limitar pelo aparelho
+    const lockedUntil = await authThrottle.getLockedUntil({ senderNumber }) ||
+      await authThrottle.registerRequest({ senderNumber });
+    
+    if (lockedUntil) {
+      return lockedResult(lockedUntil);
+    }
+    
+    const user = await User.findOne({ whatsapp, active: true });
+    
+    if (!user) {
+      return {
+        success: false,
+        reason: 'user_not_found',
+        message: 'Usuário não encontrado ou inativo'
+      };
+    }
+    
+    const newWhatsapp = toLocalNumber(senderNumber);
+    
+    // O novo número não pode pertencer a outro usuário
+    const numberOwner = await User.findOne({ whatsapp: newWhatsapp, _id: { $ne: user._id } });
+    
+    if (numberOwner) {
+      return {
+        success: false,
+        reason: 'number_in_use',
+        message: 'Número já cadastrado para outro usuário'
+      };
+    }
+    
+    const existingRequest = await PhoneChangeRequest.findOne({
+      userId: user._id,
+      newWhatsapp,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    
+    if (existingRequest) {
+      return {
+        success: true,
+        alreadyPending: true,
+        request: existingRequest,
+        user
+      };
+    }
     
     // Calcular data de expiração
     const expiresAt = new Date();
-    expiresAt.setSeconds(expiresAt.getSeconds() + config.auth.codeTTL);
-    
-    // Salvar código no banco de dados
-    await AuthCode.findOneAndUpdate(
-      { userId },
-      {
-        code,
-        expiresAt,
-        attempts: 0
-      },
-      { upsert: true, new: true }
-    );
+    expiresAt.setSeconds(expiresAt.getSeconds() + config.auth.phoneChangeTTL);
+    
+    const request = await PhoneChangeRequest.create({
+      reference: generateReference(),
+      userId: user._id,
+      currentWhatsapp: user.whatsapp,
+      newWhatsapp,
+      expiresAt
+    });
+    
+    logger.info(`Troca de número solicitada para o usuário ${user._id}: ${user.whatsapp} → ${newWhatsapp}`);
+    
+    return {
+      success: true,
+      alreadyPending: false,
+      request,
+      user
+    };
+  } catch (error) {
+    logger.error(`Erro ao solicitar troca de número para ${whatsapp}: ${error.message}`);
+    return {
+      success: false,
+      reason: 'error',
+      message: 'Erro ao solicitar troca de número'
+    };
+  }
+};
+
+/**
+ * Lista as solicitações de troca de número pendentes
+ * @returns {Promise<Array<Object>>} - Solicitações pendentes, com o usuário
+ */
+const listPendingPhoneChanges = async () => {
+  return PhoneChangeRequest.find({ status: 'pending', expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: 1 })
+    .populate('userId', 'fullName');
+};
+
+/**
+ * Aprova ou recusa uma solicitação de troca de número
+ * Na aprovação, o número do usuário é atualizado e todas as sessões dele são encerradas
+ * @param {string} reference - Código da solicitação
+ * @param {boolean} approve - true para aprovar, false para recusar
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado da decisão (reason identifica a falha no catálogo de mensagens)
+ */
+const decidePhoneChange = async (reference, approve, adminId) => {
+  try {
+    const request = await PhoneChangeRequest.findOne({ reference: reference.toUpperCase(), status: 'pending' });
+    
+    if (!request) {
+      return { success: false, reason: 'request_not_found', message: 'Solicitação não encontrada' };
+    }
+    
+    if (request.expiresAt < new Date()) {
+      return { success: false, reason: 'request_expired', message: 'Solicitação expirada' };
+    }
     
-    logger.debug(`Código de verificação inicial gerado para ${userId}: ${code}`);
+    const user = await User.findById(request.userId);
     
-    return code;
+    if (!user) {
+      return { success: false, reason: 'request_not_found', message: 'Usuário da solicitação não encontrado' };
+    }
+    
+    if (approve) {
+      const numberOwner = await User.findOne({ whatsapp: request.newWhatsapp, _id: { $ne: user._id } });
+      
+      if (numberOwner) {
+        return { success: false, reason: 'number_in_use', message: 'Número já cadastrado para outro usuário' };
+      }
+      
+      user.whatsapp = request.newWhatsapp;
+      await user.save();
+      
+      // Encerrar as sessões e códigos vinculados ao número antigo
+      await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+      await AuthCode.deleteMany({ userId: user._id });
+    }
+    
+    request.status = approve ? 'approved' : 'rejected';
+    request.decidedBy = adminId;
+    request.decidedAt = new Date();
+    await request.save();
+    
+    logger.info(`Troca de número ${request.reference} ${approve ? 'aprovada' : 'recusada'} por ${adminId}`);
+    
+    return {
+      success: true,
+      request,
+      user
+    };
   } catch (error) {
-    logger.error(`Erro ao gerar código inicial para ${userId}: ${error.message}`);
-    throw error;
+    logger.error(`Erro ao decidir troca de número ${reference}: ${error.message}`);
+    return { success: false, reason: 'error', message: 'Erro ao processar solicitação' };
   }
 };
 
+/**
+ * Gera um novo código de verificação e salva o seu HMAC, substituindo o código anterior
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<string>} - Código de verificação
+ */
+const saveVerificationCode = async (userId) => {
+  const code = generateVerificationCode();
+  
+  // Calcular data de expiração
+  const expiresAt = new Date();
+  expiresAt.setSeconds(expiresAt.getSeconds() + config.auth.codeTTL);
+  
+  // Salvar código no banco de dados
+  await AuthCode.findOneAndUpdate(
+    { userId },
+    {
+      codeHash: hashCode(userId, code),
+      expiresAt,
+      attempts: 0
+    },
+    { upsert: true, new: true }
+  );
+  
+  return code;
+};
+
 /**
  * Gera um código de verificação aleatório
  * @returns {string} - Código de verificação
  */
 const generateVerificationCode = () => {
-  // Gerar código de 6 dígitos
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  // Gerar código de 6 dígitos com gerador criptográfico
+  return crypto.randomInt(100000, 1000000).toString();
+};
+
+/**
+ * Calcula o HMAC de um código de verificação, vinculado ao usuário
+ * @param {string} userId - ID do usuário
+ * @param {string} code - Código de verificação
+ * @returns {string} - HMAC em hexadecimal
+ */
+const hashCode = (userId, code) => {
+  return crypto.createHmac('sha256', codeSecret).update(`${userId}:${code}`).digest('hex');
+};
+
+/**
+ * Compara um código informado com o HMAC salvo, em tempo constante
+ * @param {string} userId - ID do usuário
+ * @param {string} code - Código informado
+ * @param {string} codeHash - HMAC salvo
+ * @returns {boolean} - true se o código confere
+ */
+const matchesCodeHash = (userId, code, codeHash) => {
+  const expected = Buffer.from(codeHash || '', 'hex');
+  const received = Buffer.from(hashCode(userId, code), 'hex');
+  
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Gera o código curto de uma solicitação de troca de número
+ * @returns {string} - Código com 6 caracteres (ex.: 3F9A1C)
+ */
+const generateReference = () => {
+  return crypto.randomBytes(3).toString('hex').toUpperCase();
 };
 
 /**
@@ -255,6 +648,12 @@ const generateSessionId = () => {
 module.exports = {
   initiateAuth,
   verifyCode,
+  restoreSession,
+  validateSession,
   endSession,
-  generateInitialAuthCode
+  listActiveSessions,
+  revokeSessions,
+  requestPhoneChange,
+  listPendingPhoneChanges,
+  decidePhoneChange
 };
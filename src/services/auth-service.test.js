@@ -0,0 +1,129 @@
+/**
+ * Testes da geração e verificação dos códigos de autenticação
+ */
+
+process.env.AUTH_CODE_SECRET = 'segredo-de-teste';
+
+const crypto = require('crypto');
+const authService = require('./auth-service');
+const authThrottle = require('./auth-throttle');
+const User = require('../data/models/User');
+const AuthCode = require('../data/models/AuthCode');
+const Session = require('../data/models/Session');
+
+const WHATSAPP = '92988887777';
+const SENDER = '5592988887777';
+
+let user;
+let savedCode;
+
+/**
+ * Calcula o HMAC esperado de um código
+ * @param {string} code - Código de verificação
+ * @returns {string} - HMAC em hexadecimal
+ */
+const expectedHash = (code) => {
+  return crypto.createHmac('sha256', 'segredo-de-teste').update(`${user._id}:${code}`).digest('hex');
+};
+
+beforeEach(() => {
+  user = { _id: 'u1', fullName: 'Operador', whatsapp: WHATSAPP, role: 'operator', save: jest.fn().mockResolvedValue() };
+  savedCode = null;
+
+  jest.spyOn(User, 'findOne').mockImplementation(async () => user);
+  jest.spyOn(AuthCode, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    savedCode = { _id: 'c1', ...filter, ...update, save: jest.fn().mockResolvedValue() };
+    return savedCode;
+  });
+  jest.spyOn(AuthCode, 'findOne').mockImplementation(async () => savedCode);
+  jest.spyOn(AuthCode, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(Session, 'create').mockResolvedValue({});
+  jest.spyOn(authThrottle, 'getLockedUntil').mockResolvedValue(null);
+  jest.spyOn(authThrottle, 'registerRequest').mockResolvedValue(null);
+  jest.spyOn(authThrottle, 'registerFailure').mockResolvedValue(null);
+  jest.spyOn(authThrottle, 'clearCounters').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('initiateAuth', () => {
+  it('salva apenas o HMAC do código gerado', async () => {
+    const result = await authService.initiateAuth(WHATSAPP, SENDER);
+
+    expect(result).toMatchObject({ success: true, userId: 'u1' });
+    expect(result.code).toMatch(/^\d{6}$/);
+    expect(savedCode.codeHash).toBe(expectedHash(result.code));
+    expect(JSON.stringify(savedCode)).not.toContain(result.code);
+    expect(savedCode.attempts).toBe(0);
+  });
+
+  it('recusa pedidos de outro aparelho sem consultar o cadastro', async () => {
+    const result = await authService.initiateAuth(WHATSAPP, '5592911112222');
+
+    expect(result).toMatchObject({ success: false, senderMismatch: true });
+    expect(User.findOne).not.toHaveBeenCalled();
+    expect(authThrottle.registerRequest).toHaveBeenCalledWith({ senderNumber: '5592911112222' });
+  });
+
+  it('recusa pedidos de aparelhos bloqueados', async () => {
+    const lockedUntil = new Date(Date.now() + 300000);
+    authThrottle.getLockedUntil.mockResolvedValue(lockedUntil);
+
+    await expect(authService.initiateAuth(WHATSAPP, SENDER)).resolves.toMatchObject({ success: false, reason: 'locked', lockedUntil });
+    expect(AuthCode.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyCode', () => {
+  it('abre a sessão com o código correto e descarta o código', async () => {
+    const { code } = await authService.initiateAuth(WHATSAPP, SENDER);
+
+    const result = await authService.verifyCode(WHATSAPP, code, `WhatsApp ${SENDER}`, SENDER);
+
+    expect(result).toMatchObject({ success: true, user: { id: 'u1', role: 'operator' } });
+    expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'u1', sessionId: result.sessionId, whatsapp: SENDER }));
+    expect(AuthCode.deleteOne).toHaveBeenCalledWith({ _id: 'c1' });
+    expect(authThrottle.clearCounters).toHaveBeenCalledWith({ whatsapp: WHATSAPP, senderNumber: SENDER });
+  });
+
+  it('recusa códigos incorretos e conta a falha', async () => {
+    const { code } = await authService.initiateAuth(WHATSAPP, SENDER);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    const result = await authService.verifyCode(WHATSAPP, wrongCode, `WhatsApp ${SENDER}`, SENDER);
+
+    expect(result).toMatchObject({ success: false, reason: 'invalid_code' });
+    expect(savedCode.attempts).toBe(1);
+    expect(authThrottle.registerFailure).toHaveBeenCalledWith({ whatsapp: WHATSAPP, senderNumber: SENDER, userId: 'u1' });
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  it('descarta o código quando a falha causa um bloqueio', async () => {
+    const lockedUntil = new Date(Date.now() + 300000);
+    authThrottle.registerFailure.mockResolvedValue(lockedUntil);
+    await authService.initiateAuth(WHATSAPP, SENDER);
+
+    const result = await authService.verifyCode(WHATSAPP, 'errado', `WhatsApp ${SENDER}`, SENDER);
+
+    expect(result).toMatchObject({ success: false, reason: 'locked', lockedUntil });
+    expect(AuthCode.deleteOne).toHaveBeenCalledWith({ _id: 'c1' });
+  });
+
+  it('recusa códigos informados a partir de outro aparelho', async () => {
+    const { code } = await authService.initiateAuth(WHATSAPP, SENDER);
+
+    await expect(authService.verifyCode(WHATSAPP, code, 'WhatsApp 5592911112222', '5592911112222'))
+      .resolves.toMatchObject({ success: false, reason: 'sender_mismatch' });
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  it('recusa códigos expirados', async () => {
+    const { code } = await authService.initiateAuth(WHATSAPP, SENDER);
+    savedCode.expiresAt = new Date(Date.now() - 1000);
+
+    await expect(authService.verifyCode(WHATSAPP, code, `WhatsApp ${SENDER}`, SENDER))
+      .resolves.toMatchObject({ success: false, reason: 'code_expired' });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Controle de tentativas de autenticação para o bot WhatsApp
+ * Limita pedidos de código e códigos incorretos por número informado e por aparelho remetente,
+ * com bloqueios progressivos. Cada bloqueio é registrado no log de auditoria e alertado aos
+ * administradores.
+ */
+
+const config = require('../config/config');
+const { createLogger } = require('../core/logger');
+const AuthThrottle = require('../data/models/AuthThrottle');
+const AuditLog = require('../data/models/AuditLog');
+const { toLocalNumber } = require('../core/phone');
+const { DEFAULT_LOCALE, translator } = require('../core/i18n');
+const { alertAdmins } = require('./alert-service');
+
+const logger = createLogger('auth-throttle');
+
+/**
+ * Monta os identificadores controlados de uma tentativa
+ * @param {Object} attempt - Tentativa
+ * @param {string} attempt.whatsapp - Número informado (opcional)
+ * @param {string} attempt.senderNumber - Número do aparelho remetente (opcional)
+ * @returns {Array<Object>} - Identificadores ({ type, value, subject })
+ */
+const getSubjects = ({ whatsapp, senderNumber }) => {
+  const subjects = [];
+
+  if (whatsapp) {
+    const value = toLocalNumber(whatsapp);
+    subjects.push({ type: 'number', value, subject: `number:${value}` });
+  }
+
+  if (senderNumber) {
+    subjects.push({ type: 'sender', value: senderNumber, subject: `sender:${senderNumber}` });
+  }
+
+  return subjects;
+};
+
+/**
+ * Verifica se o número ou o aparelho está bloqueado
+ * @param {Object} attempt - Tentativa ({ whatsapp, senderNumber })
+ * @returns {Promise<Date|null>} - Fim do bloqueio mais longo ou null
+ */
+const getLockedUntil = async (attempt) => {
+  const subjects = getSubjects(attempt).map(item => item.subject);
+
+  const records = await AuthThrottle.find({
+    subject: { $in: subjects },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  if (records.length === 0) {
+    return null;
+  }
+
+  return new Date(Math.max(...records.map(record => record.lockedUntil.getTime())));
+};
+
+/**
+ * Aplica o próximo bloqueio progressivo a um registro
+ * @param {Object} record - Registro de controle
+ * @param {Date} now - Data atual
+ */
+const applyLockout = (record, now) => {
+  const { lockoutDurations, lockoutLevelReset } = config.auth.throttle;
+
+  // Voltar ao primeiro nível após um período sem bloqueios
+  if (record.lastLockoutAt && now - record.lastLockoutAt > lockoutLevelReset * 1000) {
+    record.lockoutLevel = 0;
+  }
+
+  const duration = lockoutDurations[Math.min(record.lockoutLevel, lockoutDurations.length - 1)];
+
+  record.lockoutLevel += 1;
+  record.lastLockoutAt = now;
+  record.lockedUntil = new Date(now.getTime() + duration * 1000);
+  record.requests = 0;
+  record.failures = 0;
+  record.windowStart = now;
+};
+
+/**
+ * Registra o bloqueio no log de auditoria e alerta os administradores
+ * @param {Object} item - Identificador bloqueado ({ type, value, subject })
+ * @param {Object} record - Registro de controle
+ * @param {string} cause - Motivo (requests ou failures)
+ * @param {string} userId - Usuário do número informado (opcional)
+ * @returns {Promise<void>}
+ */
+const reportLockout = async (item, record, cause, userId) => {
+  const t = translator(DEFAULT_LOCALE);
+
+  logger.warn(`Autenticação bloqueada para ${item.subject} até ${record.lockedUntil.toISOString()} (nível ${record.lockoutLevel}, ${cause})`);
+
+  try {
+    await AuditLog.logAction(
+      userId || null,
+      item.value,
+      'auth_lockout',
+      { subject: item.subject, cause, level: record.lockoutLevel, lockedUntil: record.lockedUntil }
+    );
+  } catch (error) {
+    logger.error(`Erro ao registrar bloqueio de ${item.subject}: ${error.message}`);
+  }
+
+  await alertAdmins(t('auth.lockoutAlert', {
+    level: record.lockoutLevel,
+    subject: t(`auth.lockoutSubjects.${item.type}`, { value: item.value }),
+    until: record.lockedUntil.toLocaleString(t.locale),
+    cause: t(`auth.lockoutCauses.${cause}`)
+  }));
+};
+
+/**
+ * Soma um evento (pedido ou falha) aos contadores e bloqueia quem passar do limite
+ * @param {Object} attempt - Tentativa ({ whatsapp, senderNumber, userId })
+ * @param {string} field - Contador (requests ou failures)
+ * @param {Object} limits - Limite por tipo de identificador ({ number, sender })
+ * @returns {Promise<Date|null>} - Fim do bloqueio aplicado ou null
+ */
+const registerEvent = async (attempt, field, limits) => {
+  const now = new Date();
+  let lockedUntil = null;
+
+  for (const item of getSubjects(attempt)) {
+    const record = await AuthThrottle.findOne({ subject: item.subject }) ||
+      new AuthThrottle({ subject: item.subject, windowStart: now });
+
+    // Reiniciar a contagem ao fim da janela
+    if (now - record.windowStart > config.auth.throttle.window * 1000) {
+      record.requests = 0;
+      record.failures = 0;
+      record.windowStart = now;
+    }
+
+    record[field] += 1;
+    record.updatedAt = now;
+
+    const exceeded = record[field] > limits[item.type];
+
+    if (exceeded) {
+      applyLockout(record, now);
+    }
+
+    await record.save();
+
+    if (exceeded) {
+      await reportLockout(item, record, field, attempt.userId);
+
+      if (!lockedUntil || record.lockedUntil > lockedUntil) {
+        lockedUntil = record.lockedUntil;
+      }
+    }
+  }
+
+  return lockedUntil;
+};
+
+/**
+ * Registra um pedido de código (ou de troca de número, só com o aparelho)
+ * @param {Object} attempt - Tentativa ({ whatsapp, senderNumber, userId })
+ * @returns {Promise<Date|null>} - Fim do bloqueio aplicado ou null
+ */
+const registerRequest = (attempt) => {
+  const { maxRequestsPerNumber, maxRequestsPerSender } = config.auth.throttle;
+
+  return registerEvent(attempt, 'requests', { number: maxRequestsPerNumber, sender: maxRequestsPerSender });
+};
+
+/**
+ * Registra um código incorreto
+ * @param {Object} attempt - Tentativa ({ whatsapp, senderNumber, userId })
+ * @returns {Promise<Date|null>} - Fim do bloqueio aplicado ou null
+ */
+const registerFailure = (attempt) => {
+  const { maxFailures } = config.auth.throttle;
+
+  return registerEvent(attempt, 'failures', { number: maxFailures, sender: maxFailures });
+};
+
+/**
+ * Zera os contadores após uma autenticação bem-sucedida
+ * O nível de bloqueio é mantido e só diminui com o tempo
+ * @param {Object} attempt - Tentativa ({ whatsapp, senderNumber })
+ * @returns {Promise<void>}
+ */
+const clearCounters = async (attempt) => {
+  const subjects = getSubjects(attempt).map(item => item.subject);
+
+  await AuthThrottle.updateMany(
+    { subject: { $in: subjects } },
+    { requests: 0, failures: 0, windowStart: new Date(), updatedAt: new Date() }
+  );
+};
+
+/**
+ * Remove bloqueios e contadores, inclusive o nível de bloqueio (recuperação de acesso pelo servidor)
+ * @param {Object} attempt - Tentativa ({ whatsapp, senderNumber })
+ * @returns {Promise<void>}
+ */
+const unlock = async (attempt) => {
+  const subjects = getSubjects(attempt).map(item => item.subject);
+
+  await AuthThrottle.deleteMany({ subject: { $in: subjects } });
+
+  logger.info(`Bloqueios de autenticação removidos: ${subjects.join(', ')}`);
+};
+
+module.exports = {
+  getLockedUntil,
+  registerRequest,
+  registerFailure,
+  clearCounters,
+  unlock
+};
@@ -0,0 +1,140 @@
+/**
+ * Testes do controle de tentativas de autenticação
+ */
+
+jest.mock('./alert-service', () => ({
+  alertAdmins: jest.fn().mockResolvedValue()
+}));
+
+const authThrottle = require('./auth-throttle');
+const { alertAdmins } = require('./alert-service');
+const AuthThrottle = require('../data/models/AuthThrottle');
+const AuditLog = require('../data/models/AuditLog');
+const config = require('../config/config');
+
+const MINUTE = 60 * 1000;
+const attempt = { whatsapp: '92988887777', senderNumber: '5592988887777', userId: 'u1' };
+
+// Registros de controle salvos, indexados pelo identificador
+let records;
+
+/**
+ * Registra códigos incorretos até o próximo bloqueio
+ * @returns {Promise<number>} - Duração do bloqueio aplicado em milissegundos
+ */
+const failUntilLocked = async () => {
+  let lockedUntil = null;
+
+  for (let failure = 0; failure <= config.auth.throttle.maxFailures; failure++) {
+    lockedUntil = await authThrottle.registerFailure(attempt);
+  }
+
+  return lockedUntil.getTime() - Date.now();
+};
+
+beforeEach(() => {
+  records = new Map();
+
+  jest.spyOn(AuthThrottle, 'findOne').mockImplementation(async ({ subject }) => records.get(subject) || null);
+  jest.spyOn(AuthThrottle.prototype, 'save').mockImplementation(async function () {
+    records.set(this.subject, this);
+    return this;
+  });
+  jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+  alertAdmins.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('registerFailure', () => {
+  it('só bloqueia depois do limite de códigos incorretos', async () => {
+    for (let failure = 0; failure < config.auth.throttle.maxFailures; failure++) {
+      await expect(authThrottle.registerFailure(attempt)).resolves.toBeNull();
+    }
+
+    expect(await authThrottle.registerFailure(attempt)).toBeInstanceOf(Date);
+    expect(records.get('number:92988887777')).toMatchObject({ lockoutLevel: 1, failures: 0 });
+    expect(records.get('sender:5592988887777')).toMatchObject({ lockoutLevel: 1 });
+  });
+
+  it('aumenta o bloqueio a cada nível: 5 min, 15 min, 1 h e 24 h', async () => {
+    const durations = [];
+
+    for (let level = 0; level < 5; level++) {
+      durations.push(Math.round(await failUntilLocked() / MINUTE));
+    }
+
+    expect(durations).toEqual([5, 15, 60, 1440, 1440]);
+  });
+
+  it('volta ao primeiro nível após um período sem bloqueios', async () => {
+    await failUntilLocked();
+    await failUntilLocked();
+
+    records.forEach(record => {
+      record.lastLockoutAt = new Date(Date.now() - (config.auth.throttle.lockoutLevelReset + 60) * 1000);
+    });
+
+    expect(Math.round(await failUntilLocked() / MINUTE)).toBe(5);
+  });
+
+  it('registra o bloqueio no log de auditoria e alerta os administradores', async () => {
+    await failUntilLocked();
+
+    expect(AuditLog.logAction).toHaveBeenCalledWith('u1', '92988887777', 'auth_lockout', expect.objectContaining({ subject: 'number:92988887777', cause: 'failures', level: 1 }));
+    expect(AuditLog.logAction).toHaveBeenCalledWith('u1', '5592988887777', 'auth_lockout', expect.objectContaining({ subject: 'sender:5592988887777' }));
+    expect(alertAdmins).toHaveBeenCalledTimes(2);
+  });
+
+  it('reinicia a contagem ao fim da janela', async () => {
+    for (let failure = 0; failure < config.auth.throttle.maxFailures; failure++) {
+      await authThrottle.registerFailure(attempt);
+    }
+
+    records.forEach(record => {
+      record.windowStart = new Date(Date.now() - (config.auth.throttle.window + 60) * 1000);
+    });
+
+    await expect(authThrottle.registerFailure(attempt)).resolves.toBeNull();
+    expect(records.get('number:92988887777').failures).toBe(1);
+  });
+});
+
+describe('registerRequest', () => {
+  it('aplica limites diferentes ao número e ao aparelho', async () => {
+    const { maxRequestsPerNumber } = config.auth.throttle;
+
+    for (let request = 0; request < maxRequestsPerNumber; request++) {
+      await authThrottle.registerRequest(attempt);
+    }
+
+    await expect(authThrottle.registerRequest(attempt)).resolves.toBeInstanceOf(Date);
+    expect(records.get('number:92988887777').lockoutLevel).toBe(1);
+    expect(records.get('sender:5592988887777').lockoutLevel).toBe(0);
+  });
+});
+
+describe('getLockedUntil', () => {
+  it('devolve o fim do bloqueio mais longo em vigor', async () => {
+    const later = new Date(Date.now() + 15 * MINUTE);
+
+    jest.spyOn(AuthThrottle, 'find').mockResolvedValue([
+      { lockedUntil: new Date(Date.now() + 5 * MINUTE) },
+      { lockedUntil: later }
+    ]);
+
+    await expect(authThrottle.getLockedUntil(attempt)).resolves.toEqual(later);
+    expect(AuthThrottle.find).toHaveBeenCalledWith({
+      subject: { $in: ['number:92988887777', 'sender:5592988887777'] },
+      lockedUntil: { $gt: expect.any(Date) }
+    });
+  });
+
+  it('devolve null sem bloqueios em vigor', async () => {
+    jest.spyOn(AuthThrottle, 'find').mockResolvedValue([]);
+
+    await expect(authThrottle.getLockedUntil(attempt)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Manutenção do cadastro de motoristas do bot WhatsApp
+ * Perfil com veículos e histórico de estacionamento, correção de campos (inclusive a promoção
+ * de visitante a membro) e mesclagem de cadastros duplicados da mesma pessoa. Na mesclagem,
+ * veículos, proprietários anteriores e registros de estacionamento passam para o cadastro
+ * mantido, e o duplicado é removido. Cada alteração confere a permissão do papel do usuário e é
+ * registrada no log de auditoria.
+ */
+
+const { createLogger } = require('../core/logger');
+const { toLocalNumber } = require('../core/phone');
+const { SUPPORTED_LOCALES } = require('../core/i18n');
+const { can } = require('../core/permissions');
+const Driver = require('../data/models/Driver');
+const Vehicle = require('../data/models/Vehicle');
+const ParkingLog = require('../data/models/ParkingLog');
+const AuditLog = require('../data/models/AuditLog');
+
+const logger = createLogger('driver-service');
+
+// Quantidade de registros de estacionamento exibidos no perfil
+const PROFILE_HISTORY_LIMIT = 5;
+
+// Campos que podem ser corrigidos e a validação de cada um (retorna o valor normalizado ou undefined)
+const EDITABLE_FIELDS = {
+  fullName: value => (typeof value === 'string' && value.trim().length >= 3 ? value.trim() : undefined),
+  whatsapp: value => {
+    const whatsapp = toLocalNumber(String(value || ''));
+    return /^[0-9]{10,11}$/.test(whatsapp) ? whatsapp : undefined;
+  },
+  memberStatus: value => (['member', 'visitor'].includes(value) ? value : undefined),
+  language: value => (SUPPORTED_LOCALES.includes(value) ? value : undefined),
+  notifyOnEntry: value => (typeof value === 'boolean' ? value : undefined),
+  notifyOnExit: value => (typeof value === 'boolean' ? value : undefined),
+  // "-" apaga as observações
+  notes: value => (typeof value === 'string' ? (value.trim() === '-' ? '' : value.trim()) : undefined)
+};
+
+/**
+ * Usuário que realiza a alteração
+ * @typedef {Object} Actor
+ * @property {string} userId - ID do usuário
+ * @property {string} whatsapp - Número do aparelho do usuário
+ * @property {string} role - Papel do usuário
+ */
+
+/**
+ * Verifica se o usuário tem a permissão exigida pela operação
+ * @param {Actor} actor - Usuário que realiza a alteração
+ * @param {string} permission - Permissão exigida
+ * @returns {boolean} - true se a operação é permitida
+ */
+const isAllowed = (actor, permission) => {
+  if (can(actor.role, permission)) {
+    return true;
+  }
+
+  logger.warn(`Operação ${permission} negada para ${actor.whatsapp} (papel ${actor.role})`);
+  return false;
+};
+
+/**
+ * Busca um motorista pelo WhatsApp (com ou sem código do país)
+ * Números de cadastros mesclados continuam localizando o motorista mantido
+ * @param {string} number - Número informado
+ * @returns {Promise<Object|null>} - Motorista ou null
+ */
+const findDriverByWhatsapp = async (number) => {
+  const whatsapp = toLocalNumber(String(number || ''));
+
+  return await Driver.findOne({ whatsapp }) || Driver.findOne({ 'mergedDrivers.whatsapp': whatsapp });
+};
+
+/**
+ * Monta o perfil do motorista
+ * @param {string} driverId - ID do motorista
+ * @returns {Promise<Object|null>} - Perfil ({ driver, vehicles, parkedVehicleIds, history, totalParkings }) ou null
+ */
+const getDriverProfile = async (driverId) => {
+  const driver = await Driver.findById(driverId);
+
+  if (!driver) {
+    return null;
+  }
+
+  const [vehicles, activeParkings, history, totalParkings] = await Promise.all([
+    Vehicle.find({ driverId: driver._id, active: true }).sort({ licensePlate: 1 }),
+    ParkingLog.find({ driverId: driver._id, exitTime: null }),
+    ParkingLog.find({ driverId: driver._id })
+      .sort({ entryTime: -1 })
+      .limit(PROFILE_HISTORY_LIMIT)
+      .populate('vehicleId', 'licensePlate'),
+    ParkingLog.countDocuments({ driverId: driver._id })
+  ]);
+
+  return {
+    driver,
+    vehicles,
+    parkedVehicleIds: activeParkings.map(parking => String(parking.vehicleId)),
+    history,
+    totalParkings
+  };
+};
+
+/**
+ * Corrige um campo do motorista
+ * @param {string} driverId - ID do motorista
+ * @param {string} field - Campo alterado
+ * @param {*} value - Novo valor
+ * @param {Actor} actor - Usuário que realiza a alteração
+ * @returns {Promise<Object>} - Resultado ({ success, reason, driver, before, conflict })
+ */
+const updateDriver = async (driverId, field, value, actor) => {
+  if (!isAllowed(actor, 'driver.update')) {
+    return { success: false, reason: 'permission_denied' };
+  }
+
+  if (!EDITABLE_FIELDS[field]) {
+    return { success: false, reason: 'invalid_field' };
+  }
+
+  const newValue = EDITABLE_FIELDS[field](value);
+
+  if (newValue === undefined) {
+    return { success: false, reason: 'invalid_value' };
+  }
+
+  const driver = await Driver.findById(driverId);
+
+  if (!driver) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const before = driver[field] === undefined ? null : driver[field];
+
+  if (before === newValue || (before === null && newValue === '')) {
+    return { success: false, reason: 'unchanged' };
+  }
+
+  // O número pertence a outro cadastro (atual ou mesclado): provavelmente um duplicado a ser mesclado
+  if (field === 'whatsapp') {
+    const conflict = await Driver.findOne({
+      _id: { $ne: driver._id },
+      $or: [{ whatsapp: newValue }, { 'mergedDrivers.whatsapp': newValue }]
+    });
+
+    if (conflict) {
+      return { success: false, reason: 'whatsapp_in_use', conflict };
+    }
+  }
+
+  driver[field] = newValue === '' ? undefined : newValue;
+  await driver.save();
+
+  await AuditLog.logAction(actor.userId, actor.whatsapp, 'driver_updated', {
+    driverId: driver._id,
+    before: { [field]: before },
+    after: { [field]: newValue === '' ? null : newValue }
+  });
+
+  logger.info(`Motorista ${driver._id} alterado: ${field}`);
+
+  return { success: true, driver, before };
+};
+
+/**
+ * Resume os campos de um motorista para o log de auditoria
+ * @param {Object} driver - Motorista
+ * @returns {Object} - Campos do motorista
+ */
+const snapshot = (driver) => ({
+  fullName: driver.fullName,
+  whatsapp: driver.whatsapp,
+  memberStatus: driver.memberStatus,
+  language: driver.language || null,
+  notifyOnEntry: driver.notifyOnEntry,
+  notifyOnExit: driver.notifyOnExit,
+  notes: driver.notes || null
+});
+
+/**
+ * Mescla um cadastro duplicado no cadastro mantido
+ * Veículos, proprietários anteriores e registros de estacionamento do duplicado passam para o
+ * mantido, que fica com o status de membro e os avisos ativos em qualquer um dos dois. O
+ * duplicado é removido por último: se a operação for interrompida, pode ser repetida, e os
+ * campos já combinados (reconhecidos pelo número em mergedDrivers) não são combinados de novo.
+ * @param {string} sourceId - ID do cadastro duplicado (removido)
+ * @param {string} targetId - ID do cadastro mantido
+ * @param {Actor} actor - Usuário que realiza a alteração
+ * @returns {Promise<Object>} - Resultado ({ success, reason, driver, source, vehicles, parkingLogs })
+ */
+const mergeDrivers = async (sourceId, targetId, actor) => {
+  if (!isAllowed(actor, 'driver.merge')) {
+    return { success: false, reason: 'permission_denied' };
+  }
+
+  if (String(sourceId) === String(targetId)) {
+    return { success: false, reason: 'same_driver' };
+  }
+
+  const [source, target] = await Promise.all([Driver.findById(sourceId), Driver.findById(targetId)]);
+
+  if (!source || !target) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const before = { source: snapshot(source), target: snapshot(target) };
+
+  const vehicles = await Vehicle.updateMany({ driverId: source._id }, { $set: { driverId: target._id } });
+  await Vehicle.updateMany(
+    { 'ownerHistory.driverId': source._id },
+    { $set: { 'ownerHistory.$[owner].driverId': target._id } },
+    { arrayFilters: [{ 'owner.driverId': source._id }] }
+  );
+  const parkingLogs = await ParkingLog.updateMany({ driverId: source._id }, { $set: { driverId: target._id } });
+
+  // Numa repetição após uma interrupção, os campos já foram combinados e salvos
+  const alreadyMerged = target.mergedDrivers.some(item => item.whatsapp === source.whatsapp);
+
+  if (!alreadyMerged) {
+    if (source.memberStatus === 'member') {
+      target.memberStatus = 'member';
+    }
+
+    target.notifyOnEntry = target.notifyOnEntry || source.notifyOnEntry;
+    target.notifyOnExit = target.notifyOnExit || source.notifyOnExit;
+    target.language = target.language || source.language;
+    target.notes = [target.notes, source.notes].filter(Boolean).join(' | ') || undefined;
+
+    if (source.registrationDate < target.registrationDate) {
+      target.registrationDate = source.registrationDate;
+    }
+
+    target.mergedDrivers.push(...source.mergedDrivers, {
+      fullName: source.fullName,
+      whatsapp: source.whatsapp,
+      mergedAt: new Date(),
+      mergedBy: actor.userId
+    });
+    await target.save();
+  }
+
+  await Driver.deleteOne({ _id: source._id });
+
+  await AuditLog.logAction(actor.userId, actor.whatsapp, 'driver_merged', {
+    driverId: target._id,
+    mergedDriverId: source._id,
+    vehicles: vehicles.modifiedCount,
+    parkingLogs: parkingLogs.modifiedCount,
+    before,
+    after: snapshot(target)
+  });
+
+  logger.info(`Motorista ${source._id} mesclado em ${target._id}`);
+
+  return {
+    success: true,
+    driver: target,
+    source,
+    vehicles: vehicles.modifiedCount,
+    parkingLogs: parkingLogs.modifiedCount
+  };
+};
+
+module.exports = {
+  EDITABLE_FIELDS: Object.keys(EDITABLE_FIELDS),
+  findDriverByWhatsapp,
+  getDriverProfile,
+  updateDriver,
+  mergeDrivers
+};
@@ -0,0 +1,124 @@
+/**
+ * Testes da consulta e da mesclagem de motoristas
+ */
+
+const driverService = require('./driver-service');
+const Driver = require('../data/models/Driver');
+const Vehicle = require('../data/models/Vehicle');
+const ParkingLog = require('../data/models/ParkingLog');
+const AuditLog = require('../data/models/AuditLog');
+
+const admin = { userId: 'u1', whatsapp: '5592988887777', role: 'admin' };
+
+let drivers;
+
+/**
+ * Cria um cadastro de motorista
+ * @param {Object} fields - Campos do cadastro
+ * @returns {Object} - Motorista
+ */
+const createDriver = (fields) => ({
+  memberStatus: 'visitor',
+  notifyOnEntry: false,
+  notifyOnExit: false,
+  mergedDrivers: [],
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+beforeEach(() => {
+  drivers = {
+    d1: createDriver({
+      _id: 'd1',
+      fullName: 'Maria Silva',
+      whatsapp: '92988887777',
+      notes: 'Chega cedo',
+      registrationDate: new Date('2025-06-01T00:00:00.000Z')
+    }),
+    d2: createDriver({
+      _id: 'd2',
+      fullName: 'Maria S.',
+      whatsapp: '92977776666',
+      memberStatus: 'member',
+      notifyOnExit: true,
+      notes: 'Vaga coberta',
+      registrationDate: new Date('2024-01-01T00:00:00.000Z'),
+      mergedDrivers: [{ fullName: 'Maria', whatsapp: '92955554444' }]
+    })
+  };
+
+  jest.spyOn(Driver, 'findById').mockImplementation(async (id) => drivers[id] || null);
+  jest.spyOn(Driver, 'deleteOne').mockImplementation(async ({ _id }) => {
+    delete drivers[_id];
+  });
+  jest.spyOn(Vehicle, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+  jest.spyOn(ParkingLog, 'updateMany').mockResolvedValue({ modifiedCount: 5 });
+  jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('mergeDrivers', () => {
+  it('passa veículos e estacionamentos ao cadastro mantido e combina os dados', async () => {
+    const result = await driverService.mergeDrivers('d2', 'd1', admin);
+    const target = result.driver;
+
+    expect(result).toMatchObject({ success: true, vehicles: 2, parkingLogs: 5 });
+    expect(Vehicle.updateMany).toHaveBeenCalledWith({ driverId: 'd2' }, { $set: { driverId: 'd1' } });
+    expect(ParkingLog.updateMany).toHaveBeenCalledWith({ driverId: 'd2' }, { $set: { driverId: 'd1' } });
+    expect(target).toMatchObject({
+      memberStatus: 'member',
+      notifyOnEntry: false,
+      notifyOnExit: true,
+      notes: 'Chega cedo | Vaga coberta',
+      registrationDate: new Date('2024-01-01T00:00:00.000Z')
+    });
+    expect(target.mergedDrivers.map(item => item.whatsapp)).toEqual(['92955554444', '92977776666']);
+    expect(Driver.deleteOne).toHaveBeenCalledWith({ _id: 'd2' });
+    expect(AuditLog.logAction).toHaveBeenCalledWith('u1', admin.whatsapp, 'driver_merged', expect.objectContaining({ driverId: 'd1', mergedDriverId: 'd2' }));
+  });
+
+  it('pode ser repetida após uma interrupção sem combinar os dados de novo', async () => {
+    Driver.deleteOne.mockRejectedValueOnce(new Error('conexão perdida'));
+
+    await expect(driverService.mergeDrivers('d2', 'd1', admin)).rejects.toThrow('conexão perdida');
+    const result = await driverService.mergeDrivers('d2', 'd1', admin);
+
+    expect(result.success).toBe(true);
+    expect(result.driver.notes).toBe('Chega cedo | Vaga coberta');
+    expect(result.driver.mergedDrivers).toHaveLength(2);
+    expect(result.driver.save).toHaveBeenCalledTimes(1);
+    expect(drivers.d2).toBeUndefined();
+  });
+
+  it('recusa mesclar um cadastro nele mesmo ou cadastros inexistentes', async () => {
+    await expect(driverService.mergeDrivers('d1', 'd1', admin)).resolves.toEqual({ success: false, reason: 'same_driver' });
+    await expect(driverService.mergeDrivers('d9', 'd1', admin)).resolves.toEqual({ success: false, reason: 'not_found' });
+    expect(Vehicle.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('recusa usuários sem a permissão de mesclagem', async () => {
+    const operator = { userId: 'u2', whatsapp: '5592911112222', role: 'operator' };
+
+    await expect(driverService.mergeDrivers('d2', 'd1', operator)).resolves.toEqual({ success: false, reason: 'permission_denied' });
+    expect(Driver.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('findDriverByWhatsapp', () => {
+  it('encontra o motorista pelo número próprio ou por um número mesclado', async () => {
+    jest.spyOn(Driver, 'findOne').mockImplementation(async (query) => {
+      if (query.whatsapp) {
+        return Object.values(drivers).find(driver => driver.whatsapp === query.whatsapp) || null;
+      }
+
+      return Object.values(drivers).find(driver => driver.mergedDrivers.some(item => item.whatsapp === query['mergedDrivers.whatsapp'])) || null;
+    });
+
+    await expect(driverService.findDriverByWhatsapp('5592988887777')).resolves.toBe(drivers.d1);
+    await expect(driverService.findDriverByWhatsapp('92955554444')).resolves.toBe(drivers.d2);
+    await expect(driverService.findDriverByWhatsapp('92900000000')).resolves.toBeNull();
+  });
+});
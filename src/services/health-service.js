@@ -0,0 +1,160 @@
+/**
+ * Serviço de verificação de saúde do bot
+ * Responsável por reunir o estado do MongoDB, da conexão com o WhatsApp, do processamento
+ * de mensagens e do reconhecedor de placas para os endpoints /health e /ready
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { checkAvailability } = require('../modules/vehicle/plate-recognizer');
+
+// Estados de conexão do mongoose
+const DATABASE_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Executa uma promessa com tempo máximo
+ * @param {Promise} promise - Promessa a executar
+ * @param {number} timeout - Tempo máximo em milissegundos
+ * @returns {Promise<*>} - Resultado da promessa
+ */
+const withTimeout = (promise, timeout) => {
+  let timer;
+
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tempo esgotado após ${timeout}ms`)), timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Verifica a conexão com o MongoDB
+ * @returns {Promise<Object>} - Resultado da verificação
+ */
+const checkDatabase = async () => {
+  const state = DATABASE_STATES[mongoose.connection.readyState] || 'unknown';
+
+  if (state !== 'connected') {
+    return { ok: false, state };
+  }
+
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), config.health.databaseTimeout);
+    return { ok: true, state };
+  } catch (error) {
+    return { ok: false, state, error: error.message };
+  }
+};
+
+/**
+ * Cria o serviço de verificação de saúde
+ * @param {Object} providers - Fontes de estado do bot
+ * @param {Function} providers.getConnectionStatus - Estado da conexão com o WhatsApp (null enquanto inicia)
+ * @param {Function} providers.getQueueMetrics - Métricas da fila de processamento por remetente
+ * @returns {Object} - Serviço de verificação de saúde
+ */
+const createHealthService = ({ getConnectionStatus, getQueueMetrics }) => {
+  const startedAt = new Date();
+
+  /**
+   * Verifica a conexão com o WhatsApp
+   * @returns {Object} - Resultado da verificação
+   */
+  const checkWhatsApp = () => {
+    const status = getConnectionStatus() || { state: 'connecting', connected: false, disconnectedSince: startedAt };
+    const offlineSeconds = status.disconnectedSince
+      ? Math.round((Date.now() - new Date(status.disconnectedSince).getTime()) / 1000)
+      : 0;
+
+    return {
+      ok: status.connected || status.awaitingQrCode || offlineSeconds < config.health.maxOfflineSeconds,
+      connected: status.connected,
+      state: status.state,
+      offlineSeconds,
+      reconnectAttempts: status.reconnectAttempts || 0
+    };
+  };
+
+  /**
+   * Verifica se as mensagens recebidas continuam sendo processadas
+   * @returns {Object} - Resultado da verificação
+   */
+  const checkMessageProcessing = () => {
+    const metrics = getQueueMetrics();
+    const lastActivity = metrics.lastProcessedAt || startedAt;
+    const idleSeconds = Math.round((Date.now() - new Date(lastActivity).getTime()) / 1000);
+
+    return {
+      ok: metrics.pendingMessages === 0 || idleSeconds < config.health.maxStalledSeconds,
+      lastProcessedAt: metrics.lastProcessedAt,
+      pendingMessages: metrics.pendingMessages,
+      processed: metrics.processed,
+      failed: metrics.failed
+    };
+  };
+
+  /**
+   * Verifica a disponibilidade do reconhecedor de placas
+   * @returns {Promise<Object>} - Resultado da verificação
+   */
+  const checkRecognizer = async () => {
+    const result = await checkAvailability();
+
+    return {
+      ok: result.available,
+      message: result.message,
+      checkedAt: result.checkedAt
+    };
+  };
+
+  return {
+    /**
+     * Verifica se o bot está vivo
+     * Falha quando o MongoDB está inacessível, o WhatsApp está offline há mais tempo que o permitido
+     * ou há mensagens paradas na fila; o reconhecedor indisponível apenas degrada o serviço,
+     * pois as placas ainda podem ser digitadas
+     * @returns {Promise<Object>} - Relatório de saúde
+     */
+    getHealth: async () => {
+      const checks = {
+        database: await checkDatabase(),
+        whatsapp: checkWhatsApp(),
+        messages: checkMessageProcessing(),
+        recognizer: await checkRecognizer()
+      };
+
+      let status = 'ok';
+
+      if (!checks.database.ok || !checks.whatsapp.ok || !checks.messages.ok) {
+        status = 'fail';
+      } else if (!checks.recognizer.ok) {
+        status = 'degraded';
+      }
+
+      return {
+        status,
+        uptime: Math.round(process.uptime()),
+        checks
+      };
+    },
+
+    /**
+     * Verifica se o bot está pronto para atender mensagens
+     * @returns {Promise<Object>} - Relatório de prontidão
+     */
+    getReadiness: async () => {
+      const database = await checkDatabase();
+      const whatsapp = checkWhatsApp();
+
+      return {
+        ready: database.ok && whatsapp.connected,
+        checks: { database, whatsapp }
+      };
+    }
+  };
+};
+
+module.exports = {
+  createHealthService
+};
@@ -0,0 +1,417 @@
+/**
+ * Fila de mensagens de saída para o bot WhatsApp
+ * Responsável por entregar mensagens persistidas no MongoDB respeitando limites de envio,
+ * com novas tentativas e fila de mensagens mortas.
+ *
+ * As respostas enviadas direto pelo transporte envolvido (wrapTransport) contam nos mesmos
+ * limites: aguardam a vez quando o limite global foi atingido e, com um intervalo menor, entre
+ * mensagens seguidas ao mesmo destinatário. As mensagens da fila esperam o próximo ciclo
+ * enquanto as respostas ocupam os limites.
+ */
+
+const OutboundMessage = require('../data/models/OutboundMessage');
+const NotificationLog = require('../data/models/NotificationLog');
+const config = require('../config/config');
+const { createLogger } = require('../core/logger');
+const metrics = require('../core/metrics');
+const { formatMenuText } = require('../core/menu');
+
+const logger = createLogger('outbound-queue');
+
+// Transporte usado para a entrega e temporizador de processamento
+let transport = null;
+let timer = null;
+let processing = false;
+
+// Horários (em ordem) dos envios do último minuto, incluindo respostas já agendadas, e do
+// último envio para cada destinatário
+const recentSends = [];
+const lastSendByRecipient = new Map();
+
+/**
+ * Enfileira uma mensagem para envio
+ * @param {string} to - Chat de destino
+ * @param {string} body - Texto da mensagem
+ * @param {Object} options - Opções do envio
+ * @param {string} options.notificationLogId - Registro de notificação a ser atualizado com o resultado
+ * @returns {Promise<Object>} - Mensagem enfileirada
+ */
+const enqueue = async (to, body, options = {}) => {
+  const outboundMessage = await OutboundMessage.create({
+    to,
+    body,
+    notificationLogId: options.notificationLogId || null
+  });
+
+  logger.debug(`Mensagem ${outboundMessage._id} enfileirada para ${to}`);
+
+  // Processar imediatamente se o transporte estiver disponível
+  if (transport) {
+    setImmediate(processQueue);
+  }
+
+  return outboundMessage;
+};
+
+/**
+ * Descarta os envios que saíram da janela de um minuto
+ */
+const pruneRecentSends = () => {
+  const windowStart = Date.now() - 60000;
+
+  while (recentSends.length > 0 && recentSends[0] < windowStart) {
+    recentSends.shift();
+  }
+};
+
+/**
+ * Verifica se o limite global de envios por minuto foi atingido
+ * @returns {boolean} - true se ainda é possível enviar
+ */
+const hasGlobalCapacity = () => {
+  pruneRecentSends();
+  return recentSends.length < config.outbound.globalPerMinute;
+};
+
+/**
+ * Verifica se o intervalo mínimo entre envios para um destinatário foi respeitado
+ * @param {string} to - Chat de destino
+ * @returns {boolean} - true se é possível enviar
+ */
+const hasRecipientCapacity = (to) => {
+  const lastSend = lastSendByRecipient.get(to);
+  return !lastSend || Date.now() - lastSend >= config.outbound.perRecipientInterval;
+};
+
+/**
+ * Registra um envio para o controle dos limites
+ * @param {string} to - Chat de destino
+ * @param {number} at - Horário do envio (padrão: agora)
+ */
+const registerSend = (to, at = Date.now()) => {
+  // Manter a ordem, já que respostas podem ter sido agendadas para depois deste envio
+  let index = recentSends.length;
+
+  while (index > 0 && recentSends[index - 1] > at) {
+    index--;
+  }
+
+  recentSends.splice(index, 0, at);
+  lastSendByRecipient.set(to, Math.max(at, lastSendByRecipient.get(to) || 0));
+};
+
+/**
+ * Reserva o próximo horário de envio de uma resposta dentro dos limites
+ * @param {string} to - Chat de destino
+ * @returns {number} - Espera até o horário reservado em milissegundos
+ */
+const reserveSlot = (to) => {
+  const now = Date.now();
+  let at = now;
+
+  // Limite global: esperar o envio mais antigo da janela sair dela
+  pruneRecentSends();
+
+  if (recentSends.length >= config.outbound.globalPerMinute) {
+    at = recentSends[recentSends.length - config.outbound.globalPerMinute] + 60000;
+  }
+
+  const lastSend = lastSendByRecipient.get(to);
+
+  if (lastSend) {
+    at = Math.max(at, lastSend + config.outbound.perRecipientReplyInterval);
+  }
+
+  registerSend(to, at);
+
+  return at - now;
+};
+
+/**
+ * Envia uma resposta pelo transporte respeitando os limites de envio
+ * @param {string} to - Chat de destino
+ * @param {function(): Promise<Object>} send - Envio pelo transporte
+ * @returns {Promise<Object>} - Resultado do envio
+ */
+const sendWithinLimits = async (to, send) => {
+  const delay = reserveSlot(to);
+
+  if (delay > 0) {
+    logger.debug(`Resposta para ${to} aguardando ${delay}ms pelo limite de envios`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  return send();
+};
+
+/**
+ * Calcula o atraso da próxima tentativa (backoff exponencial)
+ * @param {number} attempts - Tentativas já realizadas
+ * @returns {number} - Atraso em milissegundos
+ */
+const getRetryDelay = (attempts) => {
+  const delay = config.outbound.retryBaseDelay * Math.pow(2, attempts - 1);
+  return Math.min(delay, config.outbound.retryMaxDelay);
+};
+
+/**
+ * Atualiza o registro de notificação associado a uma mensagem
+ * @param {Object} outboundMessage - Mensagem de saída
+ * @param {Object} update - Campos a atualizar
+ * @returns {Promise<void>}
+ */
+const updateNotificationLog = async (outboundMessage, update) => {
+  if (!outboundMessage.notificationLogId) {
+    return;
+  }
+
+  await NotificationLog.updateOne(
+    { _id: outboundMessage.notificationLogId },
+    { attempts: outboundMessage.attempts, ...update }
+  );
+};
+
+/**
+ * Entrega uma mensagem da fila
+ * @param {Object} outboundMessage - Mensagem de saída
+ * @returns {Promise<void>}
+ */
+const deliver = async (outboundMessage) => {
+  const kind = outboundMessage.notificationLogId ? 'notification' : 'message';
+
+  outboundMessage.attempts += 1;
+  registerSend(outboundMessage.to);
+
+  try {
+    await transport.sendText(outboundMessage.to, outboundMessage.body);
+
+    outboundMessage.status = 'sent';
+    outboundMessage.sentAt = new Date();
+    outboundMessage.lastError = null;
+    await outboundMessage.save();
+
+    await updateNotificationLog(outboundMessage, {
+      status: 'sent',
+      success: true,
+      deliveredAt: outboundMessage.sentAt,
+      errorMessage: null
+    });
+
+    metrics.outboundMessagesTotal.inc({ kind, status: 'sent' });
+    logger.debug(`Mensagem ${outboundMessage._id} entregue para ${outboundMessage.to}`);
+  } catch (error) {
+    outboundMessage.lastError = error.message;
+
+    if (outboundMessage.attempts >= config.outbound.maxAttempts) {
+      // Mover para a fila de mensagens mortas
+      outboundMessage.status = 'dead';
+      await outboundMessage.save();
+
+      await updateNotificationLog(outboundMessage, {
+        status: 'failed',
+        success: false,
+        errorMessage: error.message
+      });
+
+      metrics.outboundMessagesTotal.inc({ kind, status: 'dead' });
+      logger.error(`Mensagem ${outboundMessage._id} descartada após ${outboundMessage.attempts} tentativas: ${error.message}`);
+      return;
+    }
+
+    // Agendar nova tentativa
+    const delay = getRetryDelay(outboundMessage.attempts);
+
+    outboundMessage.status = 'pending';
+    outboundMessage.nextAttemptAt = new Date(Date.now() + delay);
+    await outboundMessage.save();
+
+    await updateNotificationLog(outboundMessage, { errorMessage: error.message });
+
+    metrics.outboundMessagesTotal.inc({ kind, status: 'retry' });
+    logger.warn(`Falha ao enviar mensagem ${outboundMessage._id} (tentativa ${outboundMessage.attempts}), nova tentativa em ${delay}ms: ${error.message}`);
+  }
+};
+
+/**
+ * Processa as mensagens pendentes da fila
+ * @returns {Promise<void>}
+ */
+const processQueue = async () => {
+  if (!transport || processing) {
+    return;
+  }
+
+  processing = true;
+
+  try {
+    const dueMessages = await OutboundMessage.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() }
+    })
+      .sort({ createdAt: 1 })
+      .limit(config.outbound.globalPerMinute);
+
+    for (const dueMessage of dueMessages) {
+      if (!hasGlobalCapacity()) {
+        break;
+      }
+
+      // Aguardar o próximo ciclo para destinatários que receberam mensagem recentemente
+      if (!hasRecipientCapacity(dueMessage.to)) {
+        continue;
+      }
+
+      // Reservar a mensagem para evitar envio duplicado
+      const claimed = await OutboundMessage.findOneAndUpdate(
+        { _id: dueMessage._id, status: 'pending' },
+        { status: 'sending' },
+        { new: true }
+      );
+
+      if (claimed) {
+        await deliver(claimed);
+      }
+    }
+  } catch (error) {
+    logger.error(`Erro ao processar fila de mensagens: ${error.message}`);
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Inicia o processamento da fila
+ * @param {Object} client - Transporte de mensagens usado na entrega
+ * @returns {Promise<void>}
+ */
+const start = async (client) => {
+  transport = client;
+
+  // Recuperar mensagens que estavam sendo enviadas quando o bot foi encerrado
+  const recovered = await OutboundMessage.updateMany(
+    { status: 'sending' },
+    { status: 'pending' }
+  );
+
+  if (recovered.modifiedCount > 0) {
+    logger.info(`${recovered.modifiedCount} mensagens recuperadas para nova tentativa`);
+  }
+
+  if (!timer) {
+    timer = setInterval(processQueue, config.outbound.pollInterval);
+  }
+
+  logger.info('Fila de mensagens de saída iniciada');
+};
+
+/**
+ * Interrompe o processamento da fila
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  transport = null;
+};
+
+/**
+ * Envia uma resposta dentro dos limites e enfileira o texto informado se o envio falhar
+ * @param {string} to - Chat de destino
+ * @param {function(): Promise<Object>} send - Envio pelo transporte
+ * @param {function(): string} fallbackText - Texto enfileirado em caso de falha
+ * @returns {Promise<Object>} - Resultado do envio ou da inclusão na fila
+ */
+const sendOrEnqueue = async (to, send, fallbackText) => {
+  try {
+    return await sendWithinLimits(to, send);
+  } catch (error) {
+    logger.warn(`Falha ao enviar resposta para ${to}, mensagem enfileirada: ${error.message}`);
+
+    const outboundMessage = await enqueue(to, fallbackText());
+
+    return { queued: true, id: outboundMessage._id };
+  }
+};
+
+/**
+ * Envolve um transporte para que as respostas respeitem os limites de envio e as que falharem
+ * sejam enfileiradas para nova tentativa. Menus com botões ou lista são enfileirados na versão
+ * em texto numerado, que o usuário responde da mesma forma
+ * @param {Object} client - Transporte de mensagens
+ * @returns {Object} - Transporte com envio limitado e tolerante a falhas
+ */
+const wrapTransport = (client) => {
+  const wrapped = {
+    ...client,
+
+    sendText: (to, text) => {
+      return sendOrEnqueue(to, () => client.sendText(to, text), () => text);
+    }
+  };
+
+  if (typeof client.sendButtons === 'function') {
+    wrapped.sendButtons = (to, text, buttons, footer) => {
+      return sendOrEnqueue(
+        to,
+        () => client.sendButtons(to, text, buttons, footer),
+        () => formatMenuText({ text, options: buttons, footer })
+      );
+    };
+  }
+
+  if (typeof client.sendList === 'function') {
+    wrapped.sendList = (to, text, buttonText, rows, footer) => {
+      return sendOrEnqueue(
+        to,
+        () => client.sendList(to, text, buttonText, rows, footer),
+        () => formatMenuText({ text, options: rows, footer })
+      );
+    };
+  }
+
+  return wrapped;
+};
+
+/**
+ * Recoloca mensagens mortas na fila
+ * @param {Object} filter - Filtro adicional (ex.: { to })
+ * @returns {Promise<number>} - Quantidade de mensagens recolocadas
+ */
+const retryDeadMessages = async (filter = {}) => {
+  const result = await OutboundMessage.updateMany(
+    { ...filter, status: 'dead' },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Obtém a quantidade de mensagens por status
+ * @returns {Promise<Object>} - Contagem por status
+ */
+const getStats = async () => {
+  const counts = await OutboundMessage.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const stats = { pending: 0, sending: 0, sent: 0, dead: 0 };
+
+  counts.forEach(({ _id, count }) => {
+    stats[_id] = count;
+  });
+
+  return stats;
+};
+
+module.exports = {
+  enqueue,
+  processQueue,
+  start,
+  stop,
+  wrapTransport,
+  retryDeadMessages,
+  getStats
+};
@@ -0,0 +1,235 @@
+/**
+ * Testes da fila de mensagens de saída
+ */
+
+let outboundQueue;
+let OutboundMessage;
+let NotificationLog;
+let config;
+
+/**
+ * Cria uma mensagem de saída como as devolvidas pelo MongoDB
+ * @param {Object} fields - Campos da mensagem
+ * @returns {Object} - Mensagem de saída
+ */
+const createMessage = (fields = {}) => ({
+  _id: `m${Math.random()}`,
+  to: '5592999999999@c.us',
+  body: 'Olá',
+  status: 'sending',
+  attempts: 0,
+  notificationLogId: null,
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+/**
+ * Coloca mensagens na fila simulada e inicia o processamento com o transporte informado
+ * @param {Object} transport - Transporte de mensagens
+ * @param {Array<Object>} messages - Mensagens pendentes
+ * @returns {Promise<void>}
+ */
+const processWith = async (transport, messages) => {
+  const limit = jest.fn().mockResolvedValue(messages);
+
+  jest.spyOn(OutboundMessage, 'find').mockReturnValue({ sort: () => ({ limit }) });
+  jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockImplementation(async ({ _id }) => {
+    return messages.find(message => message._id === _id);
+  });
+
+  await outboundQueue.start(transport);
+  await outboundQueue.processQueue();
+};
+
+beforeEach(() => {
+  // Os limites de envio são mantidos em memória pelo módulo: cada teste parte do zero
+  jest.isolateModules(() => {
+    outboundQueue = require('./outbound-queue');
+    OutboundMessage = require('../data/models/OutboundMessage');
+    NotificationLog = require('../data/models/NotificationLog');
+    config = require('../config/config');
+  });
+
+  jest.spyOn(OutboundMessage, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(NotificationLog, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  outboundQueue.stop();
+  jest.restoreAllMocks();
+});
+
+describe('processQueue', () => {
+  it('entrega a mensagem e atualiza o registro de notificação', async () => {
+    const transport = { sendText: jest.fn().mockResolvedValue({}) };
+    const message = createMessage({ notificationLogId: 'n1' });
+
+    await processWith(transport, [message]);
+
+    expect(transport.sendText).toHaveBeenCalledWith('5592999999999@c.us', 'Olá');
+    expect(message).toMatchObject({ status: 'sent', attempts: 1, lastError: null });
+    expect(NotificationLog.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, expect.objectContaining({ status: 'sent', success: true }));
+  });
+
+  it('agenda nova tentativa com atraso que dobra a cada falha', async () => {
+    const transport = { sendText: jest.fn().mockRejectedValue(new Error('offline')) };
+    const first = createMessage({ to: 'a@c.us', attempts: 0 });
+    const third = createMessage({ to: 'b@c.us', attempts: 2 });
+    const before = Date.now();
+
+    await processWith(transport, [first, third]);
+
+    expect(first).toMatchObject({ status: 'pending', attempts: 1, lastError: 'offline' });
+    expect(first.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(config.outbound.retryBaseDelay);
+    expect(first.nextAttemptAt.getTime() - before).toBeLessThan(config.outbound.retryBaseDelay * 2);
+    expect(third.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(config.outbound.retryBaseDelay * 4);
+  });
+
+  it('limita o atraso entre tentativas', async () => {
+    const transport = { sendText: jest.fn().mockRejectedValue(new Error('offline')) };
+    const message = createMessage({ attempts: 3 });
+
+    config.outbound.retryMaxDelay = config.outbound.retryBaseDelay;
+
+    await processWith(transport, [message]);
+
+    expect(message.nextAttemptAt.getTime() - Date.now()).toBeLessThanOrEqual(config.outbound.retryBaseDelay);
+  });
+
+  it('move a mensagem para a fila de mensagens mortas após o máximo de tentativas', async () => {
+    const transport = { sendText: jest.fn().mockRejectedValue(new Error('offline')) };
+    const message = createMessage({ attempts: config.outbound.maxAttempts - 1, notificationLogId: 'n1' });
+
+    await processWith(transport, [message]);
+
+    expect(message).toMatchObject({ status: 'dead', attempts: config.outbound.maxAttempts });
+    expect(NotificationLog.updateOne).toHaveBeenCalledWith({ _id: 'n1' }, expect.objectContaining({ status: 'failed', success: false, errorMessage: 'offline' }));
+  });
+
+  it('respeita o intervalo mínimo entre envios ao mesmo destinatário', async () => {
+    const transport = { sendText: jest.fn().mockResolvedValue({}) };
+    const first = createMessage();
+    const second = createMessage();
+
+    await processWith(transport, [first, second]);
+
+    expect(transport.sendText).toHaveBeenCalledTimes(1);
+    expect(second.status).toBe('sending');
+    expect(OutboundMessage.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('respeita o limite global de envios por minuto', async () => {
+    const transport = { sendText: jest.fn().mockResolvedValue({}) };
+
+    config.outbound.globalPerMinute = 2;
+
+    await processWith(transport, [createMessage({ to: 'a@c.us' }), createMessage({ to: 'b@c.us' }), createMessage({ to: 'c@c.us' })]);
+
+    expect(transport.sendText).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('wrapTransport', () => {
+  it('enfileira respostas de texto cujo envio falhou', async () => {
+    const client = { name: 'mock', sendText: jest.fn().mockRejectedValue(new Error('offline')) };
+    jest.spyOn(OutboundMessage, 'create').mockResolvedValue({ _id: 'm1' });
+
+    const result = await outboundQueue.wrapTransport(client).sendText('5592999999999@c.us', 'Olá');
+
+    expect(result).toEqual({ queued: true, id: 'm1' });
+    expect(OutboundMessage.create).toHaveBeenCalledWith({ to: '5592999999999@c.us', body: 'Olá', notificationLogId: null });
+  });
+
+  it('não enfileira respostas entregues', async () => {
+    const client = { name: 'mock', sendText: jest.fn().mockResolvedValue({ id: 'x' }) };
+    jest.spyOn(OutboundMessage, 'create');
+
+    await expect(outboundQueue.wrapTransport(client).sendText('5592999999999@c.us', 'Olá')).resolves.toEqual({ id: 'x' });
+    expect(OutboundMessage.create).not.toHaveBeenCalled();
+  });
+
+  it('enfileira a versão em texto numerado de menus cujo envio falhou', async () => {
+    const client = {
+      sendText: jest.fn(),
+      sendButtons: jest.fn().mockRejectedValue(new Error('offline')),
+      sendList: jest.fn().mockRejectedValue(new Error('offline'))
+    };
+    const options = [{ id: 'entry', number: 1, label: 'Entrada' }, { id: 'exit', number: 2, label: 'Saída' }];
+    const wrapped = outboundQueue.wrapTransport(client);
+    jest.spyOn(OutboundMessage, 'create').mockResolvedValue({ _id: 'm1' });
+
+    await expect(wrapped.sendButtons('a@c.us', 'ABC1234', options, 'Escolha')).resolves.toEqual({ queued: true, id: 'm1' });
+    await expect(wrapped.sendList('b@c.us', 'ABC1234', 'Opções', options, 'Escolha')).resolves.toEqual({ queued: true, id: 'm1' });
+
+    expect(OutboundMessage.create).toHaveBeenCalledWith(expect.objectContaining({ to: 'a@c.us', body: 'ABC1234\n\nEscolha\n\n1️⃣ Entrada\n2️⃣ Saída' }));
+    expect(OutboundMessage.create).toHaveBeenCalledWith(expect.objectContaining({ to: 'b@c.us', body: 'ABC1234\n\nEscolha\n\n1️⃣ Entrada\n2️⃣ Saída' }));
+  });
+
+  it('espaça respostas seguidas ao mesmo destinatário', async () => {
+    jest.useFakeTimers();
+
+    try {
+      const client = { sendText: jest.fn().mockResolvedValue({}) };
+      const wrapped = outboundQueue.wrapTransport(client);
+
+      await wrapped.sendText('a@c.us', 'Primeira');
+      const second = wrapped.sendText('a@c.us', 'Segunda');
+      await wrapped.sendText('b@c.us', 'Outro destinatário');
+
+      expect(client.sendText.mock.calls.map(call => call[1])).toEqual(['Primeira', 'Outro destinatário']);
+
+      await jest.advanceTimersByTimeAsync(config.outbound.perRecipientReplyInterval);
+      await second;
+
+      expect(client.sendText).toHaveBeenLastCalledWith('a@c.us', 'Segunda');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('faz respostas aguardarem o limite global de envios por minuto', async () => {
+    jest.useFakeTimers();
+
+    try {
+      const client = { sendText: jest.fn().mockResolvedValue({}) };
+      const wrapped = outboundQueue.wrapTransport(client);
+
+      config.outbound.globalPerMinute = 1;
+
+      await wrapped.sendText('a@c.us', 'Primeira');
+      const second = wrapped.sendText('b@c.us', 'Segunda');
+
+      await jest.advanceTimersByTimeAsync(59000);
+      expect(client.sendText).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      await second;
+      expect(client.sendText).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('conta as respostas nos limites das mensagens da fila', async () => {
+    const client = { sendText: jest.fn().mockResolvedValue({}) };
+
+    config.outbound.globalPerMinute = 2;
+
+    await outboundQueue.wrapTransport(client).sendText('a@c.us', 'Resposta');
+    await processWith(client, [createMessage({ to: 'a@c.us' }), createMessage({ to: 'b@c.us' }), createMessage({ to: 'c@c.us' })]);
+
+    expect(client.sendText.mock.calls.map(call => call[0])).toEqual(['a@c.us', 'b@c.us']);
+  });
+});
+
+describe('retryDeadMessages', () => {
+  it('recoloca as mensagens mortas na fila com as tentativas zeradas', async () => {
+    OutboundMessage.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+    await expect(outboundQueue.retryDeadMessages({ to: 'a@c.us' })).resolves.toBe(3);
+    expect(OutboundMessage.updateMany).toHaveBeenCalledWith(
+      { to: 'a@c.us', status: 'dead' },
+      expect.objectContaining({ status: 'pending', attempts: 0 })
+    );
+  });
+});
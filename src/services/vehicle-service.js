@@ -0,0 +1,208 @@
+/**
+ * Manutenção do cadastro de veículos do bot WhatsApp
+ * Corrige marca, modelo e cor, transfere o veículo para outro motorista (guardando o histórico
+ * de proprietários) e remove veículos vendidos ou cadastrados por engano. A remoção é lógica:
+ * o veículo deixa de ser encontrado pela placa, que fica livre para um novo cadastro.
+ * Cada alteração é registrada no log de auditoria com os valores antes e depois. A permissão
+ * do papel do usuário é conferida aqui, para que nenhum ponto de entrada contorne a matriz.
+ */
+
+const { createLogger } = require('../core/logger');
+const { can } = require('../core/permissions');
+const Vehicle = require('../data/models/Vehicle');
+const Driver = require('../data/models/Driver');
+const ParkingLog = require('../data/models/ParkingLog');
+const AuditLog = require('../data/models/AuditLog');
+
+const logger = createLogger('vehicle-service');
+
+// Campos que podem ser corrigidos após o cadastro
+const EDITABLE_FIELDS = ['make', 'model', 'color'];
+
+/**
+ * Usuário que realiza a alteração
+ * @typedef {Object} Actor
+ * @property {string} userId - ID do usuário
+ * @property {string} whatsapp - Número do aparelho do usuário
+ * @property {string} role - Papel do usuário
+ */
+
+/**
+ * Verifica se o usuário tem a permissão exigida pela operação
+ * @param {Actor} actor - Usuário que realiza a alteração
+ * @param {string} permission - Permissão exigida
+ * @returns {boolean} - true se a operação é permitida
+ */
+const isAllowed = (actor, permission) => {
+  if (can(actor.role, permission)) {
+    return true;
+  }
+
+  logger.warn(`Operação ${permission} negada para ${actor.whatsapp} (papel ${actor.role})`);
+  return false;
+};
+
+/**
+ * Busca um veículo ativo
+ * @param {string} vehicleId - ID do veículo
+ * @returns {Promise<Object|null>} - Veículo ou null se não existir ou tiver sido removido
+ */
+const findActiveVehicle = (vehicleId) => {
+  return Vehicle.findOne({ _id: vehicleId, active: true });
+};
+
+/**
+ * Corrige um campo do veículo (marca, modelo ou cor)
+ * @param {string} vehicleId - ID do veículo
+ * @param {string} field - Campo alterado
+ * @param {string} value - Novo valor
+ * @param {Actor} actor - Usuário que realiza a alteração
+ * @returns {Promise<Object>} - Resultado ({ success, reason, vehicle, before })
+ */
+const updateVehicle = async (vehicleId, field, value, actor) => {
+  if (!isAllowed(actor, 'vehicle.update')) {
+    return { success: false, reason: 'permission_denied' };
+  }
+
+  if (!EDITABLE_FIELDS.includes(field)) {
+    return { success: false, reason: 'invalid_field' };
+  }
+
+  const newValue = String(value || '').trim();
+
+  if (newValue.length < 2) {
+    return { success: false, reason: 'invalid_value' };
+  }
+
+  const vehicle = await findActiveVehicle(vehicleId);
+
+  if (!vehicle) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const before = vehicle[field];
+
+  if (before === newValue) {
+    return { success: false, reason: 'unchanged' };
+  }
+
+  vehicle[field] = newValue;
+  await vehicle.save();
+
+  await AuditLog.logAction(actor.userId, actor.whatsapp, 'vehicle_updated', {
+    licensePlate: vehicle.licensePlate,
+    vehicleId: vehicle._id,
+    before: { [field]: before },
+    after: { [field]: newValue }
+  });
+
+  logger.info(`Veículo ${vehicle.licensePlate} alterado: ${field}`);
+
+  return { success: true, vehicle, before };
+};
+
+/**
+ * Transfere o veículo para outro motorista, guardando o proprietário anterior no histórico
+ * @param {string} vehicleId - ID do veículo
+ * @param {string} driverId - ID do novo motorista
+ * @param {Actor} actor - Usuário que realiza a alteração
+ * @returns {Promise<Object>} - Resultado ({ success, reason, vehicle, previousDriver, driver })
+ */
+const transferVehicle = async (vehicleId, driverId, actor) => {
+  if (!isAllowed(actor, 'vehicle.transfer')) {
+    return { success: false, reason: 'permission_denied' };
+  }
+
+  const vehicle = await findActiveVehicle(vehicleId);
+
+  if (!vehicle) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const driver = await Driver.findById(driverId);
+
+  if (!driver) {
+    return { success: false, reason: 'driver_not_found' };
+  }
+
+  if (String(vehicle.driverId) === String(driver._id)) {
+    return { success: false, reason: 'same_driver' };
+  }
+
+  const previousDriverId = vehicle.driverId;
+  const previousDriver = await Driver.findById(previousDriverId);
+  const now = new Date();
+  const lastTransfer = vehicle.ownerHistory[vehicle.ownerHistory.length - 1];
+
+  vehicle.ownerHistory.push({
+    driverId: previousDriverId,
+    from: lastTransfer ? lastTransfer.to : vehicle.registrationDate,
+    to: now,
+    transferredBy: actor.userId
+  });
+  vehicle.driverId = driver._id;
+  await vehicle.save();
+
+  await AuditLog.logAction(actor.userId, actor.whatsapp, 'vehicle_transferred', {
+    licensePlate: vehicle.licensePlate,
+    vehicleId: vehicle._id,
+    before: { driverId: previousDriverId },
+    after: { driverId: driver._id }
+  });
+
+  logger.info(`Veículo ${vehicle.licensePlate} transferido para outro motorista`);
+
+  return { success: true, vehicle, previousDriver, driver };
+};
+
+/**
+ * Remove o veículo (remoção lógica), liberando a placa para um novo cadastro
+ * Veículos no estacionamento precisam ter a saída registrada antes
+ * @param {string} vehicleId - ID do veículo
+ * @param {string} reason - Motivo da remoção (ex.: vendido)
+ * @param {Actor} actor - Usuário que realiza a alteração
+ * @returns {Promise<Object>} - Resultado ({ success, reason, vehicle })
+ */
+const removeVehicle = async (vehicleId, reason, actor) => {
+  if (!isAllowed(actor, 'vehicle.delete')) {
+    return { success: false, reason: 'permission_denied' };
+  }
+
+  const vehicle = await findActiveVehicle(vehicleId);
+
+  if (!vehicle) {
+    return { success: false, reason: 'not_found' };
+  }
+
+  const activeParking = await ParkingLog.findOne({ vehicleId: vehicle._id, exitTime: null });
+
+  if (activeParking) {
+    return { success: false, reason: 'parked' };
+  }
+
+  vehicle.active = false;
+  vehicle.removedAt = new Date();
+  vehicle.removedBy = actor.userId;
+  vehicle.removalReason = reason;
+  await vehicle.save();
+
+  await AuditLog.logAction(actor.userId, actor.whatsapp, 'vehicle_removed', {
+    licensePlate: vehicle.licensePlate,
+    vehicleId: vehicle._id,
+    reason,
+    before: { active: true },
+    after: { active: false }
+  });
+
+  logger.info(`Veículo ${vehicle.licensePlate} removido`);
+
+  return { success: true, vehicle };
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  findActiveVehicle,
+  updateVehicle,
+  transferVehicle,
+  removeVehicle
+};
@@ -0,0 +1,99 @@
+/**
+ * Testes das alterações de veículos
+ */
+
+const vehicleService = require('./vehicle-service');
+const Vehicle = require('../data/models/Vehicle');
+const Driver = require('../data/models/Driver');
+const ParkingLog = require('../data/models/ParkingLog');
+const AuditLog = require('../data/models/AuditLog');
+
+const admin = { userId: 'u1', whatsapp: '5592988887777', role: 'admin' };
+const operator = { userId: 'u2', whatsapp: '5592911112222', role: 'operator' };
+
+let vehicle;
+let drivers;
+
+beforeEach(() => {
+  vehicle = {
+    _id: 'v1',
+    licensePlate: 'ABC1234',
+    driverId: 'd1',
+    registrationDate: new Date('2025-01-01T00:00:00.000Z'),
+    ownerHistory: [],
+    save: jest.fn().mockResolvedValue()
+  };
+  drivers = {
+    d1: { _id: 'd1', fullName: 'Maria Silva' },
+    d2: { _id: 'd2', fullName: 'João Souza' },
+    d3: { _id: 'd3', fullName: 'Ana Lima' }
+  };
+
+  jest.spyOn(Vehicle, 'findOne').mockImplementation(async ({ _id }) => (_id === vehicle._id ? vehicle : null));
+  jest.spyOn(Driver, 'findById').mockImplementation(async (id) => drivers[id] || null);
+  jest.spyOn(AuditLog, 'logAction').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transferVehicle', () => {
+  it('transfere o veículo e guarda o proprietário anterior no histórico', async () => {
+    const result = await vehicleService.transferVehicle('v1', 'd2', operator);
+
+    expect(result).toMatchObject({ success: true, previousDriver: drivers.d1, driver: drivers.d2 });
+    expect(vehicle.driverId).toBe('d2');
+    expect(vehicle.ownerHistory).toEqual([
+      { driverId: 'd1', from: vehicle.registrationDate, to: expect.any(Date), transferredBy: 'u2' }
+    ]);
+    expect(vehicle.save).toHaveBeenCalled();
+    expect(AuditLog.logAction).toHaveBeenCalledWith('u2', operator.whatsapp, 'vehicle_transferred', {
+      licensePlate: 'ABC1234',
+      vehicleId: 'v1',
+      before: { driverId: 'd1' },
+      after: { driverId: 'd2' }
+    });
+  });
+
+  it('inicia cada período do histórico no fim da transferência anterior', async () => {
+    await vehicleService.transferVehicle('v1', 'd2', operator);
+    await vehicleService.transferVehicle('v1', 'd3', operator);
+
+    const [first, second] = vehicle.ownerHistory;
+
+    expect(second).toMatchObject({ driverId: 'd2', from: first.to });
+    expect(vehicle.driverId).toBe('d3');
+  });
+
+  it('recusa transferências para o mesmo motorista ou motoristas inexistentes', async () => {
+    await expect(vehicleService.transferVehicle('v1', 'd1', operator)).resolves.toEqual({ success: false, reason: 'same_driver' });
+    await expect(vehicleService.transferVehicle('v1', 'd9', operator)).resolves.toEqual({ success: false, reason: 'driver_not_found' });
+    await expect(vehicleService.transferVehicle('v9', 'd2', operator)).resolves.toEqual({ success: false, reason: 'not_found' });
+    expect(vehicle.save).not.toHaveBeenCalled();
+  });
+
+  it('recusa usuários sem a permissão de transferência', async () => {
+    const viewer = { userId: 'u3', whatsapp: '5592933334444', role: 'viewer' };
+
+    await expect(vehicleService.transferVehicle('v1', 'd2', viewer)).resolves.toEqual({ success: false, reason: 'permission_denied' });
+    expect(Vehicle.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('removeVehicle', () => {
+  it('só permite a remoção a quem tem a permissão', async () => {
+    jest.spyOn(ParkingLog, 'findOne').mockResolvedValue(null);
+
+    await expect(vehicleService.removeVehicle('v1', 'vendido', operator)).resolves.toEqual({ success: false, reason: 'permission_denied' });
+    await expect(vehicleService.removeVehicle('v1', 'vendido', admin)).resolves.toMatchObject({ success: true });
+    expect(vehicle).toMatchObject({ active: false, removedBy: 'u1', removalReason: 'vendido' });
+  });
+
+  it('recusa veículos no estacionamento', async () => {
+    jest.spyOn(ParkingLog, 'findOne').mockResolvedValue({ _id: 'p1' });
+
+    await expect(vehicleService.removeVehicle('v1', 'vendido', admin)).resolves.toEqual({ success: false, reason: 'parked' });
+    expect(vehicle.save).not.toHaveBeenCalled();
+  });
+});